@@ -1,6 +1,11 @@
-/* core/GeometryManager.js - v1.4 */
+/* core/GeometryManager.js - v1.5 */
 class BaseGeometry { constructor() {} getShaderCode() { throw new Error(`getShaderCode() must be implemented.`); } }
 
+// Canonical geometry order - index matches the ids in config/visuals.json and the u_geometry switch in VIB34DEnhancedCore
+const GEOMETRY_ORDER = ['hypercube', 'hypertetrahedron', 'hypersphere', 'torus', 'kleinbottle', 'fractal', 'wave', 'crystal'];
+// Names used by visuals.json, the editor dashboard and the src/ visualizers
+const GEOMETRY_ALIASES = { tetrahedron: 'hypertetrahedron', sphere: 'hypersphere', klein: 'kleinbottle', 'klein-bottle': 'kleinbottle' };
+
 class HypercubeGeometry extends BaseGeometry {
     getShaderCode() {
         return `
@@ -32,7 +37,7 @@ class HypercubeGeometry extends BaseGeometry {
                     p4d = rotXW(time_rot1) * rotYZ(time_rot2 * 1.1) * rotZW(time_rot3 * 0.9) * p4d;
                     p4d = rotYW(u_time * -0.22 * baseSpeed + u_morphFactor * 0.3) * p4d;
 
-                    vec3 projectedP = project4Dto3D(p4d); // Uses projection function
+                    vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
                     vec3 p_grid4D_proj = fract(projectedP * dynamicGridDensity * 0.5 + u_time * 0.015);
                     vec3 dist4D_proj = abs(p_grid4D_proj - 0.5);
                     float box4D_proj = max(dist4D_proj.x, max(dist4D_proj.y, dist4D_proj.z));
@@ -74,7 +79,7 @@ class HypersphereGeometry extends BaseGeometry {
                      float time_rot3 = u_time * -0.24 * baseSpeed + u_audioBass * 0.25;
                      p4d = rotXW(time_rot1 * 1.05) * rotYZ(time_rot2) * rotYW(time_rot3 * 0.95) * p4d;
 
-                     vec3 projectedP = project4Dto3D(p4d); // Uses projection function
+                     vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
                      float radius4D_proj = length(projectedP);
                      float phase4D = radius4D_proj * densityFactor * 6.28318 - u_time * u_rotationSpeed * 0.8 + u_audioHigh * 3.0;
                      float shells4D_proj = 0.5 + 0.5 * sin(phase4D);
@@ -112,7 +117,7 @@ class HypertetrahedronGeometry extends BaseGeometry {
                      float baseSpeed = u_rotationSpeed * 1.15;
                      float time_rot1 = u_time*0.28*baseSpeed + u_audioHigh*0.25; float time_rot2 = u_time*0.36*baseSpeed - u_audioBass*0.2 + u_morphFactor*0.4; float time_rot3 = u_time*0.32*baseSpeed + u_audioMid*0.15;
                      p4d = rotXW(time_rot1*0.95) * rotYW(time_rot2*1.05) * rotZW(time_rot3) * p4d;
-                     vec3 projectedP = project4Dto3D(p4d); // Uses projection function
+                     vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
 
                      vec3 p_mod4D_proj = fract(projectedP * density * 0.5 + 0.5 + u_time * 0.008) - 0.5;
                      float dp1=dot(p_mod4D_proj,c1), dp2=dot(p_mod4D_proj,c2), dp3=dot(p_mod4D_proj,c3), dp4=dot(p_mod4D_proj,c4);
@@ -126,13 +131,210 @@ class HypertetrahedronGeometry extends BaseGeometry {
     }
 }
 
+class TorusGeometry extends BaseGeometry {
+    getShaderCode() {
+        return `
+            // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_lineThickness
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            float torusField(vec3 p, float density, float thickness) {
+                vec3 q = fract(p * density * 0.5 + u_time * 0.006) - 0.5;
+                float majorRadius = 0.28 + u_audioBass * 0.05;
+                vec2 t = vec2(length(q.xz) - majorRadius, q.y);
+                return 1.0 - smoothstep(0.0, thickness, abs(length(t) - 0.08));
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.6 * (1.0 + u_audioBass * 0.4));
+                float thickness = max(0.004, u_lineThickness * 1.5 * (1.0 - u_audioMid * 0.5));
+                float lattice3D = torusField(p, density, thickness);
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+
+                if (dim_factor > 0.01) {
+                    // Clifford-torus style w: circles in the xy and zw planes
+                    float w_coord = sin(atan(p.y, p.x) * 2.0 + u_time * 0.3) * cos(length(p.xy) * 2.2 - u_time * 0.2 + u_audioMid * 2.0)
+                                  * dim_factor * (0.45 + u_morphFactor * 0.55 + u_audioHigh * 0.4);
+                    vec4 p4d = vec4(p, w_coord);
+                    float baseSpeed = u_rotationSpeed * 0.9;
+                    p4d = rotXW(u_time * 0.31 * baseSpeed + u_audioHigh * 0.2) * rotZW(u_time * 0.27 * baseSpeed + u_morphFactor * 0.4) * rotXY(u_time * -0.18 * baseSpeed) * p4d;
+                    vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
+                    float lattice4D_proj = torusField(projectedP, density, thickness);
+                    finalLattice = mix(lattice3D, lattice4D_proj, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+class KleinBottleGeometry extends BaseGeometry {
+    getShaderCode() {
+        return `
+            // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_lineThickness
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            float kleinField(vec3 p, float density, float thickness) {
+                // Parametric figure-8 immersion, sampled as (u, v) iso-lines around the cell
+                vec3 q = p * density * 0.5;
+                float u = atan(q.y, q.x) * 2.0;
+                float r = length(q.xy);
+                float v = atan(q.z, fract(r) - 0.5) + u_time * 0.1;
+                float halfU = u * 0.5;
+                float tube = cos(halfU) * sin(v) - sin(halfU) * sin(2.0 * v);
+                float isoU = abs(fract(u * 0.3183 + tube * 0.25) - 0.5);
+                float isoV = abs(fract(v * 0.3183 + sin(halfU) * 0.2) - 0.5);
+                return 1.0 - smoothstep(0.0, thickness * 2.0, min(isoU, isoV));
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.5 * (1.0 + u_audioBass * 0.4));
+                float thickness = max(0.004, u_lineThickness * (1.0 - u_audioMid * 0.6));
+                float lattice3D = kleinField(p, density, thickness);
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+
+                if (dim_factor > 0.01) {
+                    // The bottle only closes without self-intersection in 4D, so w carries the twist
+                    float w_coord = sin(atan(p.y, p.x) * 0.5 + u_time * 0.22) * cos(p.z * 1.6 - u_time * 0.3 + u_audioMid * 2.0)
+                                  * dim_factor * (0.5 + u_morphFactor * 0.5 + u_audioHigh * 0.4);
+                    vec4 p4d = vec4(p, w_coord);
+                    float baseSpeed = u_rotationSpeed * 1.05;
+                    p4d = rotYW(u_time * 0.29 * baseSpeed + u_morphFactor * 0.5) * rotXW(u_time * 0.24 * baseSpeed - u_audioBass * 0.2) * rotXZ(u_time * 0.15 * baseSpeed) * p4d;
+                    vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
+                    float lattice4D_proj = kleinField(projectedP, density, thickness);
+                    finalLattice = mix(lattice3D, lattice4D_proj, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+class FractalGeometry extends BaseGeometry {
+    getShaderCode() {
+        return `
+            // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_lineThickness
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            float fractalField(vec3 p, float density, float thickness) {
+                // Menger-style folding: each octave keeps the edges of a smaller box lattice
+                vec3 q = p * density * 0.25 + u_time * 0.004;
+                float lattice = 0.0;
+                float scale = 1.0;
+                for (int i = 0; i < 4; i++) {
+                    vec3 cell = abs(fract(q * scale) - 0.5);
+                    float edge = max(cell.x, max(cell.y, cell.z));
+                    lattice = max(lattice, smoothstep(0.5, 0.5 - thickness * scale, edge) / scale);
+                    scale *= 3.0;
+                }
+                return clamp(lattice * 1.6, 0.0, 1.0);
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * (1.0 + u_audioBass * 0.5));
+                float thickness = max(0.003, u_lineThickness * (1.0 - u_audioMid * 0.6));
+                float lattice3D = fractalField(p, density, thickness);
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+
+                if (dim_factor > 0.01) {
+                    float w_coord = sin(dot(p, vec3(1.3, -0.9, 1.1)) + u_time * 0.26) * cos(length(p) * 1.7 - u_time * 0.32 + u_audioMid * 2.2)
+                                  * dim_factor * (0.4 + u_morphFactor * 0.6 + u_audioHigh * 0.5);
+                    vec4 p4d = vec4(p, w_coord);
+                    float baseSpeed = u_rotationSpeed * 0.95;
+                    p4d = rotXW(u_time * 0.35 * baseSpeed + u_audioHigh * 0.2) * rotYZ(u_time * 0.21 * baseSpeed) * rotZW(u_time * -0.27 * baseSpeed + u_morphFactor * 0.35) * p4d;
+                    vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
+                    float lattice4D_proj = fractalField(projectedP, density, thickness);
+                    finalLattice = mix(lattice3D, lattice4D_proj, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+class WaveGeometry extends BaseGeometry {
+    getShaderCode() {
+        return `
+            // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_shellWidth
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            float waveField(vec3 p, float density, float width) {
+                float t = u_time * u_rotationSpeed;
+                float interference = sin(p.x * density * 3.0 + t * 0.9)
+                                   * sin(p.y * density * 2.6 - t * 0.7 + u_audioMid * 2.0)
+                                   * sin(p.z * density * 2.2 + t * 0.5);
+                float field = 0.5 + 0.5 * interference;
+                return smoothstep(1.0 - width, 1.0, field) + smoothstep(width, 0.0, field) * 0.5;
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.35 * (1.0 + u_audioBass * 0.6));
+                float width = clamp(u_shellWidth * 6.0 * (1.0 + u_audioMid), 0.02, 0.9);
+                float lattice3D = waveField(p, density, width);
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+
+                if (dim_factor > 0.01) {
+                    float w_coord = sin(length(p) * 3.0 - u_time * 0.6 + u_audioHigh * 2.0) * cos(p.x * 0.8 + p.z * 1.2 + u_time * 0.17)
+                                  * dim_factor * (0.5 + u_morphFactor * 0.5 + u_audioBass * 0.4);
+                    vec4 p4d = vec4(p, w_coord);
+                    float baseSpeed = u_rotationSpeed * 0.8;
+                    p4d = rotZW(u_time * 0.33 * baseSpeed + u_audioMid * 0.2) * rotYW(u_time * 0.26 * baseSpeed + u_morphFactor * 0.4) * p4d;
+                    vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
+                    float lattice4D_proj = waveField(projectedP, density, width);
+                    finalLattice = mix(lattice3D, lattice4D_proj, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(clamp(finalLattice, 0.0, 1.0), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
+class CrystalGeometry extends BaseGeometry {
+    getShaderCode() {
+        return `
+            // Uniforms used: u_dimension, u_time, u_morphFactor, u_gridDensity, u_tetraThickness
+            // u_universeModifier, u_audioBass, u_audioMid, u_audioHigh, u_rotationSpeed
+            float crystalField(vec3 p, float density, float thickness) {
+                // Octahedral cells (|x|+|y|+|z|) interleaved with their cubic dual
+                vec3 q = abs(fract(p * density * 0.5 + 0.5 + u_time * 0.004) - 0.5);
+                float octa = abs(q.x + q.y + q.z - 0.5);
+                float cube = 0.5 - max(q.x, max(q.y, q.z));
+                float facets = min(octa * 0.577, cube);
+                return 1.0 - smoothstep(0.0, thickness, facets);
+            }
+            float calculateLattice(vec3 p) {
+                float density = max(0.1, u_gridDensity * 0.7 * (1.0 + u_audioBass * 0.4));
+                float thickness = max(0.003, u_tetraThickness * (1.0 - u_audioMid * 0.6));
+                float lattice3D = crystalField(p, density, thickness);
+
+                float finalLattice = lattice3D;
+                float dim_factor = smoothstep(3.0, 4.5, u_dimension);
+
+                if (dim_factor > 0.01) {
+                    float w_coord = cos(p.x * 1.5 + p.y * 1.5 - p.z * 1.5 + u_time * 0.21) * sin(length(p) * 1.3 + u_time * 0.25 - u_audioMid * 1.8)
+                                  * dim_factor * (0.45 + u_morphFactor * 0.55 + u_audioHigh * 0.45);
+                    vec4 p4d = vec4(p, w_coord);
+                    float baseSpeed = u_rotationSpeed * 1.1;
+                    p4d = rotXW(u_time * 0.26 * baseSpeed + u_morphFactor * 0.3) * rotYW(u_time * 0.31 * baseSpeed - u_audioBass * 0.2) * rotZW(u_time * 0.23 * baseSpeed) * p4d;
+                    vec3 projectedP = project4Dto3D(rotateWPlanes(p4d)); // Uses projection function
+                    float lattice4D_proj = crystalField(projectedP, density, thickness);
+                    finalLattice = mix(lattice3D, lattice4D_proj, smoothstep(0.0, 1.0, u_morphFactor));
+                }
+                return pow(max(0.0, finalLattice), max(0.1, u_universeModifier));
+            }
+        `;
+    }
+}
+
 class GeometryManager {
     constructor(options = {}) { this.options = { defaultGeometry: 'hypercube', ...options }; this.geometries = {}; this._initGeometries(); }
-    _initGeometries() { this.registerGeometry('hypercube', new HypercubeGeometry()); this.registerGeometry('hypersphere', new HypersphereGeometry()); this.registerGeometry('hypertetrahedron', new HypertetrahedronGeometry()); }
+    _initGeometries() { this.registerGeometry('hypercube', new HypercubeGeometry()); this.registerGeometry('hypersphere', new HypersphereGeometry()); this.registerGeometry('hypertetrahedron', new HypertetrahedronGeometry()); this.registerGeometry('torus', new TorusGeometry()); this.registerGeometry('kleinbottle', new KleinBottleGeometry()); this.registerGeometry('fractal', new FractalGeometry()); this.registerGeometry('wave', new WaveGeometry()); this.registerGeometry('crystal', new CrystalGeometry()); }
+    _resolveName(name) { const lowerCaseName = name ? name.toLowerCase() : this.options.defaultGeometry.toLowerCase(); return GEOMETRY_ALIASES[lowerCaseName] || lowerCaseName; }
     registerGeometry(name, instance) { const lowerCaseName = name.toLowerCase(); if (!(instance instanceof BaseGeometry)) { console.error(`Invalid geometry object for '${lowerCaseName}'.`); return; } if (this.geometries[lowerCaseName]) { /* console.warn(`Overwriting geometry '${lowerCaseName}'.`); */ } this.geometries[lowerCaseName] = instance; }
-    getGeometry(name) { const lowerCaseName = name ? name.toLowerCase() : this.options.defaultGeometry; const geometry = this.geometries[lowerCaseName]; if (!geometry) { console.warn(`Geometry '${name}' not found. Using default.`); return this.geometries[this.options.defaultGeometry.toLowerCase()]; } return geometry; }
+    getGeometry(name) { const lowerCaseName = this._resolveName(name); const geometry = this.geometries[lowerCaseName]; if (!geometry) { console.warn(`Geometry '${name}' not found. Using default.`); return this.geometries[this.options.defaultGeometry.toLowerCase()]; } return geometry; }
+    getGeometryById(id) { const name = GEOMETRY_ORDER[Math.floor(id)]; if (!name) { console.warn(`Geometry id '${id}' not found. Using default.`); } return this.getGeometry(name); }
+    getGeometryId(name) { return GEOMETRY_ORDER.indexOf(this._resolveName(name)); }
     getGeometryTypes() { return Object.keys(this.geometries); }
 }
 
-export { GeometryManager, BaseGeometry, HypercubeGeometry, HypersphereGeometry, HypertetrahedronGeometry };
+export { GeometryManager, BaseGeometry, HypercubeGeometry, HypersphereGeometry, HypertetrahedronGeometry, TorusGeometry, KleinBottleGeometry, FractalGeometry, WaveGeometry, CrystalGeometry, GEOMETRY_ORDER };
 export default GeometryManager;
@@ -0,0 +1,439 @@
+#!/usr/bin/env node
+/**
+ * @file dev-server.mjs
+ * @description Zero-dependency development server for VIB34D
+ * Serves the project directory and watches config/ for JSON edits. Each change is pushed to
+ * the page over Server-Sent Events, where ConfigHotReload re-applies the file in place.
+ *
+ * PUT /__dev/config/<name> saves a config file (JsonConfigSystem.saveConfig()). The body is
+ * checked against config/schemas and the other config files on disk; a rejected body gets
+ * 422 with { errors }. Accepted files keep the old file's layout (ConfigFormatter) and replace
+ * it atomically after it is copied to config/.backups/, which keeps the newest MAX_BACKUPS copies
+ * per file. Saving an unchanged config leaves the file alone.
+ *
+ * The server only listens on loopback: the save route writes to disk without authentication.
+ * --host 0.0.0.0 exposes it to the network, save route included. Saves whose Host header is not
+ * an address the server is bound to, or whose Origin is another site, get 403 so pages
+ * elsewhere (including DNS-rebound hostnames) cannot write through the browser.
+ *
+ * Usage: node dev-server.mjs [--port 8000] [--host 127.0.0.1]   (or PORT=8000 node dev-server.mjs)
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CONFIG_FILES } from './src/core/JsonConfigSystem.js';
+import { SchemaValidator } from './src/utils/SchemaValidator.js';
+import { checkConfigReferences } from './src/utils/ConfigReferenceChecker.js';
+import { composeConfig } from './src/utils/ConfigComposer.js';
+import { formatConfig } from './src/utils/ConfigFormatter.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const CONFIG_DIR = path.join(ROOT, 'config');
+const SCHEMA_DIR = path.join(CONFIG_DIR, 'schemas');
+const BACKUP_DIR = path.join(CONFIG_DIR, '.backups');
+const EVENTS_PATH = '/__dev/events';
+const SAVE_PATH = '/__dev/config/';
+
+const MAX_BACKUPS = 10;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Editors often write a file in several steps; wait for them to settle
+const DEBOUNCE_MS = 100;
+// Keeps proxies from closing an idle event stream
+const HEARTBEAT_MS = 25000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.glsl': 'text/plain; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+// No environment fallback: some shells set HOST to the machine name, and binding wider must be deliberate
+function parseHost(argv) {
+    const index = argv.indexOf('--host');
+    return (index >= 0 && argv[index + 1]) || '127.0.0.1';
+}
+
+function parsePort(argv) {
+    const index = argv.indexOf('--port');
+    const value = index >= 0 ? argv[index + 1] : process.env.PORT;
+    return Number.parseInt(value, 10) || 8000;
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Host header values that name this server
+ * The loopback names are interchangeable; a wildcard bind answers on every local interface.
+ */
+function boundHosts(host, port) {
+    let names = [host];
+    if (LOOPBACK_HOSTS.includes(host)) {
+        names = LOOPBACK_HOSTS;
+    } else if (host === '0.0.0.0' || host === '::') {
+        const addresses = Object.values(os.networkInterfaces()).flat().map(entry => entry.address);
+        names = [...LOOPBACK_HOSTS, os.hostname(), ...addresses];
+    }
+
+    const hosts = new Set();
+    for (const name of names) {
+        const literal = name.includes(':') ? `[${name}]` : name.toLowerCase();
+        hosts.add(`${literal}:${port}`);
+        if (port === 80) hosts.add(literal);
+    }
+    return hosts;
+}
+
+/**
+ * Why a save request must be refused, or null if it comes from a page this server served
+ */
+function checkSaveOrigin(req, hosts) {
+    const requestHost = (req.headers.host || '').toLowerCase();
+    if (!hosts.has(requestHost)) {
+        return `Host '${req.headers.host || ''}' is not this server`;
+    }
+    // Scripts and curl send no Origin; browsers always send one with a PUT
+    const origin = req.headers.origin;
+    if (origin !== undefined && origin.toLowerCase() !== `http://${requestHost}`) {
+        return `Cross-origin save from '${origin}' refused`;
+    }
+    return null;
+}
+
+const clients = new Set();
+
+function broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of clients) {
+        client.write(message);
+    }
+}
+
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+}
+
+// Tells the page it is being served by this script, and where to listen
+function injectDevMeta(html) {
+    const meta = `<meta name="vib34d-dev-server" content="${EVENTS_PATH}">`;
+    return html.includes('<head>') ? html.replace('<head>', `<head>\n    ${meta}`) : meta + html;
+}
+
+// Serves index.html for URLs that name a layout state rather than a file (state-map.json
+// "routing": { "mode": "path" }); the <base> keeps the page's relative URLs at the root
+async function serveAppShell(req, res) {
+    const html = injectDevMeta(await fs.promises.readFile(path.join(ROOT, 'index.html'), 'utf8'))
+        .replace('<head>', '<head>\n    <base href="/">');
+    res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'], 'Cache-Control': 'no-store' });
+    res.end(req.method === 'HEAD' ? undefined : html);
+}
+
+function resolvePath(urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch {
+        return null;
+    }
+
+    const filePath = path.join(ROOT, path.normalize(decoded));
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+        return null;
+    }
+    return filePath;
+}
+
+function sendError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+async function serveFile(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let filePath = resolvePath(pathname);
+    if (!filePath) {
+        sendError(res, 403, 'Forbidden');
+        return;
+    }
+
+    try {
+        let stat = await fs.promises.stat(filePath);
+        if (stat.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+            stat = await fs.promises.stat(filePath);
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        const headers = {
+            'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        };
+
+        if (extension === '.html') {
+            const html = injectDevMeta(await fs.promises.readFile(filePath, 'utf8'));
+            res.writeHead(200, headers);
+            res.end(req.method === 'HEAD' ? undefined : html);
+            return;
+        }
+
+        res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    } catch (error) {
+        if ((error.code === 'ENOENT' || error.code === 'ENOTDIR') && !path.extname(pathname)) {
+            await serveAppShell(req, res).catch(() => sendError(res, 404, 'Not found'));
+        } else if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            sendError(res, 404, 'Not found');
+        } else {
+            console.error(`❌ ${req.url}:`, error.message);
+            sendError(res, 500, 'Internal server error');
+        }
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error(`Body exceeds ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function readJson(filePath) {
+    return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Schema and cross-file errors for a config about to be saved, using what is on disk now
+ */
+async function validateForSave(configKey, config) {
+    const registry = {};
+    for (const entry of await fs.promises.readdir(SCHEMA_DIR).catch(() => [])) {
+        if (!entry.endsWith('.schema.json')) continue;
+        const schema = await readJson(path.join(SCHEMA_DIR, entry));
+        registry[schema.$id || entry] = schema;
+    }
+
+    const schema = registry[`${CONFIG_FILES[configKey]}.schema.json`];
+    const errors = schema
+        ? new SchemaValidator(registry).validate(schema, config).map(error => ({ config: configKey, ...error }))
+        : [];
+    if (errors.length > 0) return errors;
+
+    // The other files may extend shared bases; check against what they compose to (without profiles)
+    const loadJson = file => readJson(path.join(ROOT, file));
+    const configs = {};
+    for (const [key, fileName] of Object.entries(CONFIG_FILES)) {
+        configs[key] = key === configKey
+            ? config
+            : await composeConfig(`config/${fileName}.json`, loadJson).then(composed => composed.config, () => null);
+    }
+    return checkConfigReferences(configs);
+}
+
+/**
+ * Copy the current file into config/.backups/ and drop the oldest copies past MAX_BACKUPS
+ * @returns {Promise<string|null>} Backup path relative to the project, or null if there was no file yet
+ */
+async function backupConfig(fileName) {
+    const source = path.join(CONFIG_DIR, `${fileName}.json`);
+    if (!fs.existsSync(source)) return null;
+
+    await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = path.join(BACKUP_DIR, `${fileName}.${stamp}.json`);
+    await fs.promises.copyFile(source, target);
+
+    // ISO stamps sort chronologically as plain strings
+    const backups = (await fs.promises.readdir(BACKUP_DIR))
+        .filter(entry => entry.startsWith(`${fileName}.`) && entry.endsWith('.json'))
+        .sort();
+    for (const stale of backups.slice(0, Math.max(0, backups.length - MAX_BACKUPS))) {
+        await fs.promises.unlink(path.join(BACKUP_DIR, stale));
+    }
+    return path.relative(ROOT, target).split(path.sep).join('/');
+}
+
+/**
+ * Replace a file so readers see either the old or the new contents, never a partial write
+ */
+async function writeAtomic(filePath, contents) {
+    const temporary = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    const handle = await fs.promises.open(temporary, 'w');
+    try {
+        await handle.writeFile(contents, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.promises.rename(temporary, filePath);
+    } catch (error) {
+        await fs.promises.unlink(temporary).catch(() => {});
+        throw error;
+    }
+}
+
+// Saves run one after another so backups and renames never interleave
+let saveQueue = Promise.resolve();
+
+async function saveConfig(req, res, fileName) {
+    const configKey = Object.keys(CONFIG_FILES).find(key => CONFIG_FILES[key] === fileName);
+    if (!configKey) {
+        sendJson(res, 404, { success: false, message: `Unknown config '${fileName}'` });
+        return;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(await readBody(req));
+    } catch (error) {
+        const message = error.status ? error.message : `Invalid JSON: ${error.message}`;
+        sendJson(res, error.status || 400, { success: false, message, errors: [{ config: configKey, path: '', message }] });
+        return;
+    }
+
+    const task = saveQueue.then(async () => {
+        const errors = await validateForSave(configKey, config);
+        if (errors.length > 0) {
+            console.warn(`⚠️ Rejected ${fileName}.json: ${errors.length} validation error${errors.length === 1 ? '' : 's'}`);
+            sendJson(res, 422, { success: false, message: `${fileName}.json failed validation`, errors });
+            return;
+        }
+
+        // Keep the file's own layout; only the values that changed are rewritten
+        const filePath = path.join(CONFIG_DIR, `${fileName}.json`);
+        const current = await fs.promises.readFile(filePath, 'utf8').catch(() => null);
+        const contents = formatConfig(config, current);
+        if (contents === current) {
+            console.log(`💾 config/${fileName}.json is unchanged`);
+            sendJson(res, 200, { success: true, file: `config/${fileName}.json`, backup: null });
+            return;
+        }
+
+        const backup = await backupConfig(fileName);
+        await writeAtomic(filePath, contents);
+        console.log(`💾 Saved config/${fileName}.json${backup ? ` (backup: ${backup})` : ''}`);
+        sendJson(res, 200, { success: true, file: `config/${fileName}.json`, backup });
+    });
+    saveQueue = task.catch(() => {});
+
+    try {
+        await task;
+    } catch (error) {
+        console.error(`❌ Saving ${fileName}.json failed:`, error.message);
+        sendJson(res, 500, { success: false, message: error.message });
+    }
+}
+
+function watchConfig() {
+    const timers = new Map();
+
+    const watcher = fs.watch(CONFIG_DIR, { recursive: true }, (eventType, fileName) => {
+        if (!fileName || !fileName.endsWith('.json')) return;
+        const file = fileName.split(path.sep).join('/');
+        if (file.startsWith('.backups/')) return;
+
+        clearTimeout(timers.get(file));
+        timers.set(file, setTimeout(() => {
+            timers.delete(file);
+            console.log(`🔥 config/${file} changed (${clients.size} client${clients.size === 1 ? '' : 's'})`);
+            broadcast('config', { file });
+        }, DEBOUNCE_MS));
+    });
+
+    watcher.on('error', error => console.error('❌ Config watcher failed:', error.message));
+    return watcher;
+}
+
+const server = http.createServer((req, res) => {
+    if (req.url.startsWith(SAVE_PATH)) {
+        if (req.method !== 'PUT') {
+            sendError(res, 405, 'Method not allowed');
+            return;
+        }
+        const refusal = checkSaveOrigin(req, hosts);
+        if (refusal) {
+            console.warn(`⚠️ Refused save: ${refusal}`);
+            sendJson(res, 403, { success: false, message: refusal });
+            return;
+        }
+        saveConfig(req, res, req.url.slice(SAVE_PATH.length).replace(/\.json$/, ''));
+        return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+    if (req.url === EVENTS_PATH) {
+        openEventStream(req, res);
+        return;
+    }
+    serveFile(req, res);
+});
+
+const port = parsePort(process.argv.slice(2));
+const host = parseHost(process.argv.slice(2));
+const hosts = boundHosts(host, port);
+const watcher = watchConfig();
+const heartbeat = setInterval(() => {
+    for (const client of clients) client.write(': heartbeat\n\n');
+}, HEARTBEAT_MS);
+
+server.listen(port, host, () => {
+    console.log(`🚀 VIB34D dev server on http://${host.includes(':') ? `[${host}]` : host}:${port}/`);
+    if (!['127.0.0.1', 'localhost', '::1'].includes(host)) {
+        console.warn(`⚠️ Listening beyond loopback: anyone who can reach ${host}:${port} can overwrite config files`);
+    }
+    console.log(`👀 Watching ${path.relative(ROOT, CONFIG_DIR)}/ for JSON changes`);
+});
+
+process.on('SIGINT', () => {
+    console.log('\n👋 Stopping dev server');
+    clearInterval(heartbeat);
+    watcher.close();
+    for (const client of clients) client.end();
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+});
@@ -775,6 +775,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error("Initial shader compilation failed");
             }
             
+            // When embedded next to the main app, follow HomeMaster's u_rot* / u_rotVel* parameters
+            if (window.homeMaster) window.homeMaster.registerVisualizer(mainVisualizerCore);
+
             // Log success
             console.log("Visualizer Core initialized successfully");
             statusDiv.textContent = "Visualization ready";
@@ -0,0 +1,105 @@
+/**
+ * @file ArticleCard.js
+ * @description Text card: optional header image and byline, then the body
+ * The body is `content`, or the file at `contentPath` fetched the first time the card is
+ * shown. Both are rendered in the card's `format` (Markdown unless stated otherwise).
+ *
+ *   { "type": "article", "title": "...", "image": "assets/header.jpg",
+ *     "author": "...", "date": "2025-01-31", "tags": ["4d"], "contentPath": "content/intro.md" }
+ */
+
+import { ContentCard } from './ContentCard.js';
+import { isSafeUrl } from '../utils/HtmlSanitizer.js';
+import { renderContent } from '../utils/MarkdownRenderer.js';
+
+class ArticleCard extends ContentCard {
+    constructor(config) {
+        super(config);
+        this.body = null;
+        this.loadState = 'idle';
+    }
+
+    /**
+     * @protected
+     */
+    renderBody(container) {
+        const { image, title, author, date, tags } = this.config;
+
+        if (image && isSafeUrl(image, true)) {
+            const img = document.createElement('img');
+            img.className = 'card-image';
+            img.src = image;
+            img.alt = title ?? '';
+            img.loading = 'lazy';
+            container.appendChild(img);
+        }
+
+        const byline = [author, date].filter(Boolean).join(' · ');
+        if (byline || tags?.length) {
+            const meta = document.createElement('div');
+            meta.className = 'card-meta';
+            meta.textContent = byline;
+            (tags || []).forEach((tag) => {
+                const label = document.createElement('span');
+                label.className = 'card-tag';
+                label.textContent = tag;
+                meta.appendChild(label);
+            });
+            container.appendChild(meta);
+        }
+
+        if (this.config.contentPath) {
+            this.body = this.createDescription('');
+            this.body.textContent = 'Loading…';
+            container.appendChild(this.body);
+        } else {
+            super.renderBody(container);
+        }
+    }
+
+    /**
+     * @protected
+     */
+    activate() {
+        if (this.config.contentPath && this.loadState === 'idle') {
+            this.loadContent();
+        }
+    }
+
+    /**
+     * Fetch contentPath into the body
+     * A failed load is shown in the card and retried the next time it becomes active.
+     * @private
+     */
+    async loadContent() {
+        const path = this.config.contentPath;
+        this.loadState = 'loading';
+
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const source = await response.text();
+            if (!this.body) return;
+
+            this.body.innerHTML = renderContent(source, this.config.format);
+            this.loadState = 'loaded';
+        } catch (error) {
+            console.error(`❌ ArticleCard: Failed to load ${path} for ${this.config.id}:`, error);
+            if (this.body) {
+                this.body.textContent = `Could not load this article (${error.message}).`;
+            }
+            this.loadState = 'idle';
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        this.body = null;
+    }
+}
+
+ArticleCard.type = 'article';
+
+export { ArticleCard };
@@ -0,0 +1,345 @@
+/**
+ * @file CardDetailView.js
+ * @description Expands one card to fill the board and shows its long-form body
+ * A card's `detailPath` names an HTML or Markdown file that is fetched the first time the
+ * card is expanded and kept for later openings:
+ *
+ *   { "id": "card-03", "content": "Short teaser", "detailPath": "content/architecture.md" }
+ *
+ * The format follows the file extension (.html/.htm is HTML, anything else Markdown) unless
+ * `detailFormat` says otherwise. Reading progress through the expanded card's scroll drives
+ * its visualizer through SCROLL_MAPPING, as offsets the visualizer adds after its own
+ * per-frame effects; closing the card clears them.
+ *
+ * The expanded card is part of the route (StateRouter), so it has its own URL, and back
+ * closes it. Double-click (or the Read more button) opens a card; the close button or the
+ * closeCard() command closes it.
+ */
+
+import { renderContent } from '../utils/MarkdownRenderer.js';
+
+// Visualizer config key -> reading progress 0..1 => amount added to the visualizer's own value
+const SCROLL_MAPPING = {
+    dimension: progress => progress * 0.5,
+    gridDensity: progress => progress * 7.0
+};
+
+// Owner name for the offsets set on the expanded card's visualizer
+const OFFSET_SOURCE = 'reading';
+
+const HTML_EXTENSION = /\.html?$/i;
+
+class CardDetailView {
+    /**
+     * @param {SystemController} systemController - Controller owning the cards and the router
+     */
+    constructor(systemController) {
+        this.systemController = systemController;
+        this.jsonConfigSystem = systemController.jsonConfigSystem;
+
+        this.cardId = null;
+        this.card = null;
+        this.scroller = null;
+        this.detail = null;
+        this.closeButton = null;
+
+        // Card id -> rendered detail HTML, so a card is fetched once per layout
+        this.loaded = new Map();
+        // Card id -> in-flight fetch
+        this.pending = new Map();
+
+        this.handleRoute = (e) => this.followRoute(e.detail.card);
+        this.handleClick = (e) => {
+            const readMore = e.target.closest('.card-read-more');
+            if (readMore) {
+                this.open(readMore.dataset.cardId);
+            }
+        };
+        this.handleDoubleClick = (e) => {
+            const card = e.target.closest('.blog-card');
+            if (card && card.id !== this.cardId && !e.target.closest('a, button, video, audio, iframe')) {
+                this.open(card.id);
+            }
+        };
+        this.handleScroll = () => this.applyProgress();
+    }
+
+    /**
+     * Start following routes and double-clicks
+     */
+    start() {
+        window.addEventListener('vib34d:route', this.handleRoute);
+        document.addEventListener('click', this.handleClick);
+        document.addEventListener('dblclick', this.handleDoubleClick);
+    }
+
+    /**
+     * Stop listening and collapse the open card
+     */
+    stop() {
+        window.removeEventListener('vib34d:route', this.handleRoute);
+        document.removeEventListener('click', this.handleClick);
+        document.removeEventListener('dblclick', this.handleDoubleClick);
+        this.hide();
+    }
+
+    /**
+     * Expand a card
+     * @param {string} cardId - Card id from layout-content.json
+     * @param {string} [history='push'] - How the URL records it (StateRouter.record())
+     * @returns {boolean} False if the card does not exist or the state does not show it
+     */
+    open(cardId, history = 'push') {
+        if (!this.canOpen(cardId)) {
+            console.warn(`⚠️ CardDetailView: Card '${cardId}' is not shown in state '${this.systemController.currentState}'`);
+            return false;
+        }
+
+        this.show(cardId);
+        this.systemController.router?.setCard(cardId, history);
+        return true;
+    }
+
+    /**
+     * Collapse the open card
+     * @param {string} [history='push'] - How the URL records it (StateRouter.record())
+     */
+    close(history = 'push') {
+        if (!this.cardId) return;
+
+        this.hide();
+        this.systemController.router?.setCard(null, history);
+    }
+
+    /**
+     * @returns {string|null} Id of the expanded card
+     */
+    getOpenCard() {
+        return this.cardId;
+    }
+
+    /**
+     * Forget the cards of a layout that is being rebuilt
+     * Call reopen() once the new cards exist.
+     */
+    reset() {
+        this.hide();
+        this.loaded.clear();
+        this.pending.clear();
+    }
+
+    /**
+     * Expand the card the URL names, if the rebuilt layout still has it
+     */
+    reopen() {
+        this.followRoute(this.systemController.router?.getRoute().card ?? null);
+    }
+
+    /**
+     * Bring the view in line with a route's card
+     * @private
+     */
+    followRoute(cardId) {
+        if (cardId === this.cardId) return;
+
+        if (!cardId) {
+            this.hide();
+        } else if (this.canOpen(cardId)) {
+            this.show(cardId);
+        } else {
+            // A link to a card this state does not show; drop it from the URL
+            console.warn(`⚠️ CardDetailView: Ignoring card '${cardId}', not shown in state '${this.systemController.currentState}'`);
+            this.hide();
+            this.systemController.router?.setCard(null, 'replace');
+        }
+    }
+
+    /**
+     * @private
+     */
+    canOpen(cardId) {
+        const activeCards = this.jsonConfigSystem.getConfig('stateMap').states[this.systemController.currentState]?.activeCards;
+        return Boolean(this.getCardConfig(cardId) && document.getElementById(cardId))
+            && (!activeCards || activeCards.includes(cardId));
+    }
+
+    /**
+     * @private
+     */
+    getCardConfig(cardId) {
+        return (this.jsonConfigSystem.getConfig('layoutContent')?.cards || []).find(card => card.id === cardId);
+    }
+
+    /**
+     * Expand a card's element and fill in its detail
+     * @private
+     */
+    show(cardId) {
+        this.hide();
+
+        const card = document.getElementById(cardId);
+        const scroller = card?.querySelector('.card-content');
+        if (!scroller) return;
+
+        this.cardId = cardId;
+        this.card = card;
+        this.scroller = scroller;
+
+        card.classList.add('card-expanded');
+        card.setAttribute('role', 'dialog');
+        card.setAttribute('aria-label', this.getCardConfig(cardId).title ?? cardId);
+        document.body.classList.add('card-detail-open');
+
+        this.closeButton = document.createElement('button');
+        this.closeButton.type = 'button';
+        this.closeButton.className = 'card-detail-close';
+        this.closeButton.setAttribute('aria-label', 'Close');
+        this.closeButton.textContent = '×';
+        this.closeButton.addEventListener('click', () => this.close());
+        card.appendChild(this.closeButton);
+
+        if (this.getCardConfig(cardId).detailPath) {
+            this.detail = document.createElement('section');
+            this.detail.className = 'card-detail card-description';
+            scroller.appendChild(this.detail);
+            this.loadDetail(cardId);
+        }
+
+        scroller.scrollTop = 0;
+        scroller.addEventListener('scroll', this.handleScroll, { passive: true });
+        this.closeButton.focus({ preventScroll: true });
+        console.log(`📖 CardDetailView: Expanded ${cardId}`);
+    }
+
+    /**
+     * Collapse the expanded card's element
+     * @private
+     */
+    hide() {
+        if (!this.card) return;
+
+        this.restoreVisualizer();
+        this.scroller.removeEventListener('scroll', this.handleScroll);
+        this.scroller.scrollTop = 0;
+        this.detail?.remove();
+        this.closeButton.remove();
+
+        this.card.classList.remove('card-expanded');
+        this.card.removeAttribute('role');
+        this.card.removeAttribute('aria-label');
+        document.body.classList.remove('card-detail-open');
+
+        this.cardId = null;
+        this.card = null;
+        this.scroller = null;
+        this.detail = null;
+        this.closeButton = null;
+    }
+
+    /**
+     * Fill the detail section from the card's detailPath
+     * @private
+     */
+    async loadDetail(cardId) {
+        const detail = this.detail;
+
+        if (this.loaded.has(cardId)) {
+            detail.innerHTML = this.loaded.get(cardId);
+            return;
+        }
+
+        const { detailPath, detailFormat } = this.getCardConfig(cardId);
+        detail.setAttribute('aria-busy', 'true');
+        this.showStatus(detail, 'Loading…');
+
+        // Reopening the card while its file is still loading waits on the same request
+        let request = this.pending.get(cardId);
+        if (!request) {
+            request = this.fetchDetail(detailPath, detailFormat);
+            this.pending.set(cardId, request);
+        }
+
+        try {
+            const html = await request;
+            // reset() drops requests made for a layout that has since been replaced
+            if (this.pending.get(cardId) === request) {
+                this.loaded.set(cardId, html);
+            }
+            if (detail === this.detail) {
+                detail.innerHTML = html;
+                this.applyProgress();
+            }
+        } catch (error) {
+            console.error(`❌ CardDetailView: Failed to load ${detailPath} for ${cardId}:`, error);
+            if (detail === this.detail) {
+                this.showStatus(detail, `Could not load this article (${error.message}).`, () => this.loadDetail(cardId));
+            }
+        } finally {
+            if (this.pending.get(cardId) === request) {
+                this.pending.delete(cardId);
+            }
+            detail.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<string>} Sanitized HTML for the file
+     */
+    async fetchDetail(path, format) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const source = await response.text();
+        return renderContent(source, format ?? (HTML_EXTENSION.test(path) ? 'html' : 'markdown'));
+    }
+
+    /**
+     * Replace the detail section with a status line, optionally with a retry button
+     * @private
+     */
+    showStatus(detail, message, retry = null) {
+        const status = document.createElement('p');
+        status.className = 'card-detail-status';
+        status.textContent = message;
+
+        if (retry) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = 'Retry';
+            button.addEventListener('click', retry);
+            status.append(' ', button);
+        }
+        detail.replaceChildren(status);
+    }
+
+    /**
+     * Push reading progress to the expanded card's visualizer
+     * @private
+     */
+    applyProgress() {
+        const visualizer = this.systemController.contentCards.get(this.cardId)?.visualizer;
+        if (!this.scroller || !visualizer?.setOffsets) return;
+
+        const range = this.scroller.scrollHeight - this.scroller.clientHeight;
+        const progress = range > 0 ? Math.min(1, this.scroller.scrollTop / range) : 0;
+
+        const offsets = {};
+        for (const [key, map] of Object.entries(SCROLL_MAPPING)) {
+            offsets[key] = map(progress);
+        }
+        visualizer.setOffsets(OFFSET_SOURCE, offsets);
+    }
+
+    /**
+     * Take reading progress's offsets off the visualizer
+     * @private
+     */
+    restoreVisualizer() {
+        const visualizer = this.systemController.contentCards.get(this.cardId)?.visualizer;
+        visualizer?.clearOffsets?.(OFFSET_SOURCE);
+    }
+}
+
+export { CardDetailView };
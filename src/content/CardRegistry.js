@@ -0,0 +1,35 @@
+/**
+ * @file CardRegistry.js
+ * @description Card `type` in layout-content.json -> ContentCard class
+ * Cards without a type are articles, which is also what the original title/subtitle/content
+ * cards render as.
+ */
+
+import { ArticleCard } from './ArticleCard.js';
+import { VideoCard, AudioCard } from './MediaCard.js';
+import { InteractiveCard } from './InteractiveCard.js';
+
+const CARD_TYPES = {
+    article: ArticleCard,
+    video: VideoCard,
+    audio: AudioCard,
+    interactive: InteractiveCard
+};
+
+/**
+ * Create the content for a card
+ * An unknown type is shown as an article so the card still has its text.
+ * @param {Object} config - Card entry from layout-content.json
+ * @returns {ContentCard} Card content; call render() for its element
+ */
+export function createContentCard(config) {
+    const type = config.type ?? 'article';
+    const CardClass = CARD_TYPES[type];
+    if (!CardClass) {
+        console.warn(`⚠️ CardRegistry: Unknown card type '${type}' for ${config.id}, rendering it as an article`);
+        return new ArticleCard(config);
+    }
+    return new CardClass(config);
+}
+
+export { CARD_TYPES };
@@ -0,0 +1,127 @@
+/**
+ * @file ContentCard.js
+ * @description Base class for the body of a layout-content.json card
+ * SystemController builds the card shell (element, canvas, position) and asks a ContentCard
+ * for the .card-content element inside it. A card is active while the current state lists
+ * it in activeCards; subclasses load heavy content in activate() and release it in
+ * deactivate(), so hidden cards cost nothing. destroy() runs when the card leaves the
+ * layout for good (layout-content.json reload).
+ */
+
+import { renderContent } from '../utils/MarkdownRenderer.js';
+
+class ContentCard {
+    /**
+     * @param {Object} config - Card entry from layout-content.json
+     */
+    constructor(config) {
+        this.config = config;
+        this.element = null;
+        this.visualizer = null;
+        this.isActive = false;
+    }
+
+    /**
+     * Build the card's .card-content element
+     * @returns {HTMLElement} Content element; titles are plain text
+     */
+    render() {
+        const content = document.createElement('div');
+        content.className = 'card-content';
+        content.dataset.cardType = this.constructor.type;
+
+        const title = document.createElement('div');
+        title.className = 'card-title';
+        title.textContent = this.config.title ?? '';
+
+        const subtitle = document.createElement('div');
+        subtitle.className = 'card-subtitle';
+        subtitle.textContent = this.config.subtitle ?? '';
+
+        content.append(title, subtitle);
+        this.renderBody(content);
+
+        // Opens the long-form body in CardDetailView
+        if (this.config.detailPath) {
+            const readMore = document.createElement('button');
+            readMore.type = 'button';
+            readMore.className = 'card-read-more';
+            readMore.dataset.cardId = this.config.id;
+            readMore.textContent = 'Read more';
+            content.appendChild(readMore);
+        }
+
+        this.element = content;
+        return content;
+    }
+
+    /**
+     * Append everything below the subtitle
+     * @protected
+     * @param {HTMLElement} container - The .card-content element
+     */
+    renderBody(container) {
+        if (this.config.content !== undefined) {
+            container.appendChild(this.createDescription(this.config.content));
+        }
+    }
+
+    /**
+     * @protected
+     * @returns {HTMLElement} .card-description holding content rendered in the card's format
+     */
+    createDescription(source) {
+        const description = document.createElement('div');
+        description.className = 'card-description';
+        description.innerHTML = renderContent(source, this.config.format);
+        return description;
+    }
+
+    /**
+     * Show or hide the card for the current state
+     * @param {boolean} active - Whether the state lists the card in activeCards
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+
+        this.isActive = active;
+        if (active) {
+            this.activate();
+        } else {
+            this.deactivate();
+        }
+    }
+
+    /**
+     * Called when the card becomes visible
+     * @protected
+     */
+    activate() {}
+
+    /**
+     * Called when the card is hidden or destroyed while visible
+     * @protected
+     */
+    deactivate() {}
+
+    /**
+     * Give the card the visualizer drawn behind it
+     * @param {Object|null} visualizer - Card visualizer, or null when it is disposed
+     */
+    attachVisualizer(visualizer) {
+        this.visualizer = visualizer;
+    }
+
+    /**
+     * Release everything the card holds
+     */
+    destroy() {
+        this.setActive(false);
+        this.visualizer = null;
+        this.element = null;
+    }
+}
+
+ContentCard.type = 'article';
+
+export { ContentCard };
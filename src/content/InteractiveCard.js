@@ -0,0 +1,204 @@
+/**
+ * @file InteractiveCard.js
+ * @description Card hosting a live embed, mounted only while the card is visible
+ * Either a script that draws into the card, or a page shown in a sandboxed iframe:
+ *
+ *   { "type": "interactive", "script": "interactives/orbit.js" }
+ *   { "type": "interactive", "url": "https://example.com/demo/" }
+ *
+ * Scripts are ES modules, imported the first time a card using them becomes active; later
+ * activations reuse the loaded module instead of running it again. A module exports a mount
+ * function that draws into the card's target and may return a cleanup function:
+ *
+ *   export default function mount(target) {
+ *       const timer = setInterval(draw, 16);
+ *       return () => clearInterval(timer);
+ *   }
+ *
+ * The cleanup runs when the card is hidden or leaves the layout, and the target also receives
+ * `vib34d:unmount`. It must undo everything the mount did (timers, listeners, canvases).
+ *
+ * A module runs with the page's full access, so `script` must be a path on this site,
+ * resolved against the directory index.html is served from. Absolute and protocol-relative
+ * URLs are refused; use `url` to show content from elsewhere.
+ */
+
+import { ContentCard } from './ContentCard.js';
+import { isSafeUrl } from '../utils/HtmlSanitizer.js';
+
+const UNMOUNT_EVENT = 'vib34d:unmount';
+
+// Directory holding index.html, derived from this module's location (src/content/)
+const APP_BASE = new URL('../../', import.meta.url);
+// Schemes, protocol-relative paths, and characters the URL parser strips or rewrites
+const FOREIGN_SCRIPT_PATH = /^[a-z][a-z0-9+.-]*:|^\/\/|[\\\s\u0000-\u001f]/i;
+
+// Embedded pages may script themselves but not reach this page, navigate it or open popups
+const IFRAME_SANDBOX = 'allow-scripts allow-pointer-lock';
+
+/**
+ * Resolve a card's script path against the app base
+ * A leading slash still means the app base, so a site under a sub-path keeps working.
+ * @param {string} path - `script` from layout-content.json
+ * @returns {string|null} Same-origin URL, or null for anything that would load from elsewhere
+ */
+function resolveScriptPath(path) {
+    if (typeof path !== 'string' || FOREIGN_SCRIPT_PATH.test(path)) return null;
+
+    const url = new URL(path.replace(/^\/+/, ''), APP_BASE);
+    return url.origin === APP_BASE.origin ? url.href : null;
+}
+
+class InteractiveCard extends ContentCard {
+    constructor(config) {
+        super(config);
+        this.target = null;
+        this.cleanup = null;
+        this.mounted = false;
+        this.frame = null;
+
+        // Bumped on every activation and unmount, so an import that settles late can tell it is stale
+        this.mountToken = 0;
+    }
+
+    /**
+     * @protected
+     */
+    renderBody(container) {
+        this.target = document.createElement('div');
+        this.target.className = 'interactive-embed-target';
+        this.target.id = `interactive-${this.config.id}`;
+        container.appendChild(this.target);
+
+        super.renderBody(container);
+    }
+
+    /**
+     * @protected
+     */
+    activate() {
+        if (!this.target) return;
+
+        if (this.config.script) {
+            this.loadInteractiveScript(this.config.script);
+        } else if (this.config.url) {
+            this.loadFrame(this.config.url);
+        } else {
+            this.target.textContent = 'No interactive content source available.';
+        }
+    }
+
+    /**
+     * @protected
+     */
+    deactivate() {
+        this.unmount();
+    }
+
+    /**
+     * Import the card's module and mount it into the target
+     * @private
+     */
+    async loadInteractiveScript(scriptPath) {
+        const scriptUrl = resolveScriptPath(scriptPath);
+        if (!scriptUrl) {
+            this.showError(`Refusing to load script '${scriptPath}'; scripts must be paths on this site`);
+            return;
+        }
+
+        const token = ++this.mountToken;
+        const status = document.createElement('p');
+        status.className = 'interactive-status';
+        status.textContent = 'Loading interactive content…';
+        this.target.replaceChildren(status);
+
+        let mount;
+        try {
+            // The module map keeps each URL's module, so only the first activation fetches and runs it
+            const module = await import(scriptUrl);
+            mount = module.default ?? module.mount;
+        } catch (error) {
+            if (token === this.mountToken) this.showError(`Failed to load interactive content script ${scriptPath}.`);
+            return;
+        }
+
+        // Hidden again while the module was loading
+        if (token !== this.mountToken || !this.target) return;
+
+        if (typeof mount !== 'function') {
+            this.showError(`Interactive content script ${scriptPath} does not export a mount function.`);
+            return;
+        }
+
+        status.remove();
+        this.mounted = true;
+        try {
+            const cleanup = mount(this.target);
+            this.cleanup = typeof cleanup === 'function' ? cleanup : null;
+            console.log(`🧩 InteractiveCard: Mounted ${scriptPath} for ${this.config.id}`);
+        } catch (error) {
+            this.showError(`Interactive content script ${scriptPath} failed to mount: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    loadFrame(url) {
+        if (!isSafeUrl(url, true)) {
+            this.showError(`Refusing to embed '${url}'`);
+            return;
+        }
+
+        this.frame = document.createElement('iframe');
+        this.frame.src = url;
+        this.frame.title = `${this.config.title ?? this.config.id} - interactive content`;
+        this.frame.setAttribute('sandbox', IFRAME_SANDBOX);
+        this.frame.loading = 'lazy';
+        this.frame.allowFullscreen = true;
+        this.target.appendChild(this.frame);
+    }
+
+    /**
+     * Let the module clean up, then remove whatever it left in the target
+     * @private
+     */
+    unmount() {
+        this.mountToken++;
+
+        if (this.mounted) {
+            this.target?.dispatchEvent(new CustomEvent(UNMOUNT_EVENT, { detail: { cardId: this.config.id } }));
+            try {
+                this.cleanup?.();
+            } catch (error) {
+                console.error(`❌ InteractiveCard: Cleanup failed (${this.config.id}):`, error);
+            }
+            this.cleanup = null;
+            this.mounted = false;
+            console.log(`🧩 InteractiveCard: Unmounted ${this.config.id}`);
+        }
+
+        // Detaching the iframe unloads its page
+        this.frame = null;
+        this.target?.replaceChildren();
+    }
+
+    /**
+     * @private
+     */
+    showError(message) {
+        console.error(`❌ InteractiveCard: ${message} (${this.config.id})`);
+        if (this.target) {
+            this.target.textContent = message;
+        }
+    }
+
+    destroy() {
+        super.destroy();
+        this.target = null;
+    }
+}
+
+InteractiveCard.type = 'interactive';
+
+export { InteractiveCard };
@@ -0,0 +1,284 @@
+/**
+ * @file MediaCard.js
+ * @description Video and audio cards whose playback drives the card's visualizer
+ * While the media plays, every frame maps { playing, progress, level } to offsets through
+ * PLAYBACK_MAPPING and hands them to the visualizer (setOffsets), which adds them after its
+ * own per-frame effects. Pausing keeps the progress-driven offsets; hiding or removing the
+ * card pauses it, and removing it clears the offsets.
+ *
+ *   { "type": "video", "src": "media/demo.mp4", "poster": "media/demo.jpg", "loop": true }
+ *   { "type": "audio", "src": "media/set.mp3", "crossOrigin": "anonymous" }
+ *
+ * level is measured with a Web Audio analyser, which only works for same-origin media or
+ * media served with CORS (set crossOrigin); other sources report a level of 0, since
+ * routing them through Web Audio would silence them.
+ */
+
+import { ContentCard } from './ContentCard.js';
+import { isSafeUrl } from '../utils/HtmlSanitizer.js';
+
+// Visualizer config key -> playback state => amount added to the visualizer's own value
+const PLAYBACK_MAPPING = {
+    rotationSpeed: ({ playing }) => (playing ? 0.4 : 0),
+    colorShift: ({ progress }) => progress * 0.5,
+    morphFactor: ({ level }) => level * 0.6,
+    glitchIntensity: ({ level }) => level * 0.2
+};
+
+// Owner name for the offsets this card sets on its visualizer
+const OFFSET_SOURCE = 'playback';
+
+// RMS of typical program material sits well below 0.5; this brings it into 0..1
+const LEVEL_GAIN = 3;
+const LEVEL_DECAY = 0.85;
+
+// One context for every card; browsers cap how many can be open
+let sharedAudioContext = null;
+
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!sharedAudioContext && AudioContextClass) {
+        sharedAudioContext = new AudioContextClass();
+    }
+    return sharedAudioContext;
+}
+
+class MediaCard extends ContentCard {
+    constructor(config) {
+        super(config);
+        this.media = null;
+        this.analyser = null;
+        this.sourceNode = null;
+        this.levelBuffer = null;
+        this.frameId = null;
+
+        this.playback = { playing: false, progress: 0, level: 0 };
+    }
+
+    /**
+     * @protected
+     */
+    renderBody(container) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'card-media';
+
+        if (this.config.src && isSafeUrl(this.config.src, true)) {
+            this.media = this.createMediaElement();
+            this.media.controls = true;
+            this.media.preload = 'metadata';
+            this.media.loop = Boolean(this.config.loop);
+            if (this.config.crossOrigin) {
+                this.media.crossOrigin = this.config.crossOrigin;
+            }
+            this.media.src = this.config.src;
+
+            this.media.addEventListener('play', () => this.handlePlay());
+            this.media.addEventListener('pause', () => this.handleStop());
+            this.media.addEventListener('ended', () => this.handleStop());
+            this.media.addEventListener('timeupdate', () => {
+                if (!this.frameId) this.update();
+            });
+            wrapper.appendChild(this.media);
+        } else {
+            wrapper.textContent = 'No playable source.';
+        }
+
+        container.appendChild(wrapper);
+        super.renderBody(container);
+    }
+
+    /**
+     * @protected
+     * @returns {HTMLMediaElement} Element for this card's type
+     */
+    createMediaElement() {
+        throw new Error(`${this.constructor.name} must implement createMediaElement()`);
+    }
+
+    /**
+     * @returns {{playing: boolean, progress: number, level: number}} Current playback state
+     */
+    getPlaybackState() {
+        return { ...this.playback };
+    }
+
+    /**
+     * @protected
+     */
+    deactivate() {
+        this.media?.pause();
+    }
+
+    attachVisualizer(visualizer) {
+        this.restoreVisualizer();
+        super.attachVisualizer(visualizer);
+        if (this.playback.playing || this.playback.progress > 0) {
+            this.update();
+        }
+    }
+
+    destroy() {
+        // Media first: its pause event must not re-apply playback after the restore below
+        if (this.media) {
+            const media = this.media;
+            this.media = null;
+            media.pause();
+            // Drops the buffered data and any open connection
+            media.removeAttribute('src');
+            media.load();
+        }
+        this.stopLoop();
+        this.restoreVisualizer();
+
+        this.sourceNode?.disconnect();
+        this.analyser?.disconnect();
+        this.sourceNode = null;
+        this.analyser = null;
+
+        super.destroy();
+    }
+
+    /**
+     * @private
+     */
+    handlePlay() {
+        this.connectAnalyser();
+        if (this.frameId) return;
+
+        const loop = () => {
+            this.update();
+            this.frameId = requestAnimationFrame(loop);
+        };
+        this.frameId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * @private
+     */
+    handleStop() {
+        this.stopLoop();
+        this.update();
+    }
+
+    /**
+     * @private
+     */
+    stopLoop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Route the media through an analyser so its level can be read
+     * Playback starts from a user gesture, which is what lets the audio context start.
+     * @private
+     */
+    connectAnalyser() {
+        if (this.analyser || !this.canAnalyse()) return;
+
+        const context = getAudioContext();
+        if (!context) return;
+
+        try {
+            this.sourceNode = context.createMediaElementSource(this.media);
+            this.analyser = context.createAnalyser();
+            this.analyser.fftSize = 1024;
+            this.levelBuffer = new Uint8Array(this.analyser.fftSize);
+            this.sourceNode.connect(this.analyser);
+            this.analyser.connect(context.destination);
+            if (context.state === 'suspended') {
+                context.resume();
+            }
+        } catch (error) {
+            console.warn(`⚠️ MediaCard: No level metering for ${this.config.id}:`, error);
+            this.sourceNode = null;
+            this.analyser = null;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {boolean} Whether Web Audio may read the samples without muting the media
+     */
+    canAnalyse() {
+        if (this.media.crossOrigin) return true;
+        return new URL(this.media.currentSrc || this.media.src, window.location.href).origin === window.location.origin;
+    }
+
+    /**
+     * Read the playback state and push it to the visualizer
+     * @private
+     */
+    update() {
+        if (!this.media) return;
+
+        const duration = this.media.duration;
+        this.playback.playing = !this.media.paused && !this.media.ended;
+        this.playback.progress = Number.isFinite(duration) && duration > 0 ? this.media.currentTime / duration : 0;
+        this.playback.level = this.playback.playing ? Math.max(this.readLevel(), this.playback.level * LEVEL_DECAY) : 0;
+
+        this.applyToVisualizer();
+    }
+
+    /**
+     * @private
+     * @returns {number} RMS level of the current audio frame, 0..1
+     */
+    readLevel() {
+        if (!this.analyser) return 0;
+
+        this.analyser.getByteTimeDomainData(this.levelBuffer);
+        let sum = 0;
+        for (const sample of this.levelBuffer) {
+            const centered = (sample - 128) / 128;
+            sum += centered * centered;
+        }
+        return Math.min(1, Math.sqrt(sum / this.levelBuffer.length) * LEVEL_GAIN);
+    }
+
+    /**
+     * @private
+     */
+    applyToVisualizer() {
+        if (!this.visualizer?.setOffsets) return;
+
+        const offsets = {};
+        for (const [key, map] of Object.entries(PLAYBACK_MAPPING)) {
+            offsets[key] = map(this.playback);
+        }
+        this.visualizer.setOffsets(OFFSET_SOURCE, offsets);
+    }
+
+    /**
+     * Take playback's offsets off the visualizer
+     * @private
+     */
+    restoreVisualizer() {
+        this.visualizer?.clearOffsets?.(OFFSET_SOURCE);
+    }
+}
+
+class VideoCard extends MediaCard {
+    createMediaElement() {
+        const video = document.createElement('video');
+        video.playsInline = true;
+        if (this.config.poster && isSafeUrl(this.config.poster, true)) {
+            video.poster = this.config.poster;
+        }
+        return video;
+    }
+}
+
+VideoCard.type = 'video';
+
+class AudioCard extends MediaCard {
+    createMediaElement() {
+        return document.createElement('audio');
+    }
+}
+
+AudioCard.type = 'audio';
+
+export { MediaCard, VideoCard, AudioCard };
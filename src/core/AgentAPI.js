@@ -4,6 +4,19 @@
  * Provides methods for external scripts and coding agents to control the system
  */
 
+import { ROTATION_PLANES, rotationAngleParam, rotationVelocityParam } from '../geometry/RotationPlanes.js';
+import { decodeLook } from '../utils/PermalinkCodec.js';
+
+// Bundle versions importSystemState() understands; 1.0 bundles carry effective parameters only
+const EXPORT_VERSION = '1.1';
+const SUPPORTED_IMPORT_VERSIONS = ['1.0', '1.1'];
+
+// Geometry ids in 1.0 bundles, before kleinBottle and fractal took 4 and 5 and wave moved to 6
+const LEGACY_GEOMETRY_NAMES = ['hypercube', 'tetrahedron', 'sphere', 'torus', 'wave'];
+
+// Configs are applied in dependency order: parameters before the blueprints and layout that use them
+const CONFIG_APPLY_ORDER = ['visuals', 'behavior', 'stateMap', 'layoutContent'];
+
 class AgentAPI {
     constructor(systemController, homeMaster, jsonConfigSystem) {
         this.systemController = systemController;
@@ -26,6 +39,7 @@ class AgentAPI {
         return {
             currentState: this.homeMaster.getCurrentState(),
             parameters: this.homeMaster.getAllParameters(),
+            activeBlueprints: this.systemController.getActiveBlueprints(),
             configs: this.jsonConfigSystem.getAllConfigs(),
             timestamp: Date.now()
         };
@@ -54,11 +68,66 @@ class AgentAPI {
         }
     }
     
+    /**
+     * Move through state-map.json's stateOrder
+     * @param {number} [step=1] - States to advance; negative goes back
+     * @returns {Promise<boolean>} Success status
+     */
+    async cycleState(step = 1) {
+        const stateMap = this.jsonConfigSystem.getConfig('stateMap');
+        const stateOrder = stateMap.stateOrder || Object.keys(stateMap.states);
+        const currentIndex = Math.max(0, stateOrder.indexOf(this.systemController.currentState));
+        const nextIndex = ((currentIndex + step) % stateOrder.length + stateOrder.length) % stateOrder.length;
+        
+        return this.navigateTo(stateOrder[nextIndex]);
+    }
+    
+    /**
+     * Expand a card and show its long-form body
+     * @param {string} cardId - Card id from layout-content.json
+     * @returns {boolean} False if the card is not shown in the current state
+     */
+    openCard(cardId) {
+        console.log(`📖 Agent API: Opening card '${cardId}'`);
+        return this.systemController.cardDetail?.open(cardId) ?? false;
+    }
+    
+    /**
+     * Collapse the expanded card, if any
+     * @returns {boolean} Success status
+     */
+    closeCard() {
+        this.systemController.cardDetail?.close();
+        return true;
+    }
+    
+    /**
+     * Run a command string, as used in state-map.json's navigation map
+     * @param {string} command - e.g. 'navigateTo(tech)' or 'setParameter(u_gridDensity, 18)'
+     * @returns {Promise<*>} Result of the command, or false if it failed
+     */
+    async executeCommand(command) {
+        try {
+            return await this.systemController.commandDispatcher.execute(command);
+        } catch (error) {
+            console.error(`❌ Agent API: Command '${command}' failed:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * @returns {Array<{keys: string, command: string}>} Key bindings from state-map.json's navigation map
+     */
+    getKeyBindings() {
+        return this.systemController.commandDispatcher.getBindings();
+    }
+    
     /**
      * Update a configuration file with new data
      * @param {string} configName - Name of config file ('visuals', 'behavior', etc.)
      * @param {Object} newConfig - New configuration data
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<{success: boolean, errors: Array<{config: string, path: string, message: string}>}>}
+     *   errors lists schema and cross-file problems, each with a JSON pointer into the named config
      */
     async updateConfig(configName, newConfig) {
         console.log(`📝 Agent API: Updating ${configName}.json`);
@@ -68,17 +137,46 @@ class AgentAPI {
             const validatedConfig = this.jsonConfigSystem.validateConfig(configName, newConfig);
             
             // Update the config system
+            const previousConfig = this.jsonConfigSystem.getConfig(configName);
             this.jsonConfigSystem.configs[configName] = validatedConfig;
+            this.homeMaster.history.record('config', {
+                key: configName,
+                name: configName,
+                before: previousConfig,
+                after: validatedConfig
+            }, 'agentAPI');
             
             // Trigger system update
             await this.systemController.handleConfigUpdate(configName, validatedConfig);
             
             console.log(`✅ Agent API: Successfully updated ${configName}.json`);
-            return true;
+            return { success: true, errors: [] };
             
         } catch (error) {
             console.error(`❌ Agent API: Failed to update ${configName}:`, error);
-            return false;
+            return {
+                success: false,
+                errors: error.errors || [{ config: configName, path: '', message: error.message }]
+            };
+        }
+    }
+    
+    /**
+     * Persist a configuration to its file in config/ (requires dev-server.mjs)
+     * Pair with updateConfig() to keep an edit: update first, then save.
+     * @param {string} configName - Name of config file ('visuals', 'behavior', etc.)
+     * @returns {Promise<{success: boolean, backup: string|null, errors: Array<{config: string, path: string, message: string}>}>}
+     */
+    async saveConfig(configName) {
+        try {
+            const result = await this.jsonConfigSystem.saveConfig(configName);
+            return { success: true, backup: result.backup, errors: [] };
+        } catch (error) {
+            return {
+                success: false,
+                backup: null,
+                errors: error.errors || [{ config: configName, path: '', message: error.message }]
+            };
         }
     }
     
@@ -104,12 +202,12 @@ class AgentAPI {
             const mapping = masterMaps[masterParam];
             for (const [param, operation] of Object.entries(mapping)) {
                 const newValue = this.applyOperation(
-                    this.homeMaster.getParameter(param) || 0,
+                    this.homeMaster.getLayerValue('agent', param) ?? this.homeMaster.getParameter(param) ?? 0,
                     operation,
                     value
                 );
                 
-                this.homeMaster.setParameter(param, newValue, 'agentAPI');
+                this.homeMaster.setParameter(param, newValue, 'agentAPI', 'agent');
             }
             
             return true;
@@ -124,13 +222,14 @@ class AgentAPI {
      * Set a specific system parameter
      * @param {string} param - Parameter name (e.g., 'u_gridDensity')
      * @param {number} value - New parameter value
+     * @param {string} [layer='agent'] - HomeMaster layer to write
      * @returns {boolean} Success status
      */
-    setParameter(param, value) {
+    setParameter(param, value, layer = 'agent') {
         console.log(`🎚️ Agent API: Setting parameter '${param}' to ${value}`);
         
         try {
-            this.homeMaster.setParameter(param, value, 'agentAPI');
+            this.homeMaster.setParameter(param, value, 'agentAPI', layer);
             return true;
             
         } catch (error) {
@@ -148,12 +247,206 @@ class AgentAPI {
         return this.homeMaster.getParameter(param);
     }
     
+    /**
+     * Release a parameter set through this API so the lower layers show through again
+     * @param {string} param - Parameter name
+     * @param {string} [layer='agent'] - Layer to clear
+     * @returns {boolean} True if the layer held a value
+     */
+    clearParameter(param, layer = 'agent') {
+        console.log(`🧹 Agent API: Clearing '${param}' on ${layer} layer`);
+        return this.homeMaster.clearParameter(param, layer, 'agentAPI');
+    }
+    
+    /**
+     * Show how each HomeMaster layer contributes to a parameter
+     * @param {string} param - Parameter name
+     * @returns {Object|null} { name, value, layers }
+     */
+    inspectParameter(param) {
+        return this.homeMaster.inspectParameter(param);
+    }
+    
+    /**
+     * Attach a modulator (LFO, noise, envelope or sequencer) to a parameter
+     * @param {Object} spec - { type, target, depth, rate, ... } as in behavior.json "modulators"
+     * @returns {string|null} Modulator id, or null if the spec was rejected
+     */
+    addModulator(spec) {
+        console.log(`〰️ Agent API: Adding ${spec?.type} modulator on '${spec?.target}'`);
+        return this.systemController.modulationEngine.addModulator(spec, 'agent');
+    }
+    
+    /**
+     * Change an existing modulator, e.g. { depth: 0.5 } or { enabled: false }
+     * @param {string} id - Modulator id
+     * @param {Object} changes - Spec fields to replace
+     * @returns {boolean} Success status
+     */
+    updateModulator(id, changes) {
+        return this.systemController.modulationEngine.updateModulator(id, changes);
+    }
+    
+    /**
+     * Remove a modulator
+     * @param {string} id - Modulator id
+     * @returns {boolean} True if it existed
+     */
+    removeModulator(id) {
+        return this.systemController.modulationEngine.removeModulator(id);
+    }
+    
+    /**
+     * List active modulators with their current output
+     * @returns {Array<Object>} Modulator specs with group and value
+     */
+    getModulators() {
+        return this.systemController.modulationEngine.getModulators();
+    }
+    
+    /**
+     * Fire an envelope modulator by hand
+     * @param {string} id - Modulator id
+     * @param {number} [holdSeconds] - Sustain this long after attack and decay, then release (on the show clock);
+     *   omit to use the modulator's own hold, or keep the gate open until releaseModulator() if it has none
+     */
+    triggerModulator(id, holdSeconds) {
+        const options = typeof holdSeconds === 'number' ? { hold: holdSeconds } : {};
+        this.systemController.modulationEngine.trigger(id, options);
+    }
+    
+    /**
+     * Close the gate of an envelope modulator
+     * @param {string} id - Modulator id
+     */
+    releaseModulator(id) {
+        this.systemController.modulationEngine.release(id);
+    }
+    
+    /**
+     * Load a scripted show
+     * @param {string|Object} timeline - Name of a file in config/timelines/, or a timeline object
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadTimeline(timeline) {
+        console.log('🎬 Agent API: Loading timeline');
+        
+        try {
+            await this.systemController.loadTimeline(timeline);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Agent API: Failed to load timeline:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Start or resume the loaded timeline
+     */
+    playTimeline() {
+        this.systemController.timelineSequencer.play();
+    }
+    
+    /**
+     * Pause the timeline, holding its current values
+     */
+    pauseTimeline() {
+        this.systemController.timelineSequencer.pause();
+    }
+    
+    /**
+     * Stop and rewind the timeline, releasing the parameters it drives
+     */
+    stopTimeline() {
+        this.systemController.timelineSequencer.stop();
+    }
+    
+    /**
+     * Move the timeline playhead
+     * @param {number} time - Seconds from the start
+     */
+    seekTimeline(time) {
+        this.systemController.timelineSequencer.seek(time);
+    }
+    
+    /**
+     * @returns {Object} { name, time, duration, playing, loop }
+     */
+    getTimelineStatus() {
+        return this.systemController.timelineSequencer.getStatus();
+    }
+    
+    /**
+     * Freeze animation time for every visualizer, modulator and timeline
+     */
+    pauseClock() {
+        console.log('⏸️ Agent API: Pausing clock');
+        this.systemController.clock.pause();
+    }
+    
+    /**
+     * Continue animation time after pauseClock()
+     */
+    resumeClock() {
+        console.log('▶️ Agent API: Resuming clock');
+        this.systemController.clock.resume();
+    }
+    
+    /**
+     * Set the animation speed
+     * @param {number} scale - 1 is real time, below 1 slow motion, above 1 fast-forward
+     * @returns {boolean} Success status
+     */
+    setTimeScale(scale) {
+        try {
+            this.systemController.clock.setTimeScale(scale);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Agent API: Failed to set time scale:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Jump the clock to an absolute time
+     * @param {number} time - Seconds
+     * @returns {boolean} Success status
+     */
+    seekClock(time) {
+        try {
+            this.systemController.clock.seek(time);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Agent API: Failed to seek clock:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Pause and advance by whole frames
+     * @param {number} [frames=1] - Frames to advance
+     */
+    stepClock(frames = 1) {
+        this.systemController.clock.step(frames);
+    }
+    
+    /**
+     * @returns {Object} { time, frame, timeScale, fixedDelta, paused }
+     */
+    getClockStatus() {
+        return this.systemController.clock.getStatus();
+    }
+    
     /**
      * Switch to a specific geometry
      * @param {string|number} geometry - Geometry name or index
+     * @param {string} [layer='agent'] - HomeMaster layer to write
      * @returns {boolean} Success status
      */
-    setGeometry(geometry) {
+    setGeometry(geometry, layer = 'agent') {
         console.log(`🔺 Agent API: Setting geometry to '${geometry}'`);
         
         try {
@@ -170,7 +463,7 @@ class AgentAPI {
                 geometryIndex = geometry;
             }
             
-            this.homeMaster.setParameter('geometry', geometryIndex, 'agentAPI');
+            this.homeMaster.setParameter('geometry', geometryIndex, 'agentAPI', layer);
             return true;
             
         } catch (error) {
@@ -179,6 +472,96 @@ class AgentAPI {
         }
     }
     
+    /**
+     * Set the angle and/or angular velocity of a 4D rotation plane
+     * @param {string} plane - One of 'XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW'
+     * @param {Object} rotation - { angle?: radians, velocity?: radians per second }
+     * @returns {boolean} Success status
+     */
+    setRotation(plane, { angle, velocity } = {}) {
+        console.log(`🌀 Agent API: Setting ${plane} rotation`, { angle, velocity });
+        
+        try {
+            const planeName = String(plane).toUpperCase();
+            if (!ROTATION_PLANES.includes(planeName)) {
+                throw new Error(`Unknown rotation plane '${plane}'`);
+            }
+        
+            if (typeof angle === 'number') {
+                this.homeMaster.setParameter(rotationAngleParam(planeName), angle, 'agentAPI', 'agent');
+            }
+            if (typeof velocity === 'number') {
+                this.homeMaster.setParameter(rotationVelocityParam(planeName), velocity, 'agentAPI', 'agent');
+            }
+            return true;
+        
+        } catch (error) {
+            console.error(`❌ Agent API: Failed to set rotation '${plane}':`, error);
+            return false;
+        }
+    }
+        
+    /**
+     * Undo the most recent parameter, state or config change
+     * @returns {Promise<Object|null>} Undone history entry
+     */
+    async undo() {
+        console.log('↩️ Agent API: Undo');
+        return this.homeMaster.undo();
+    }
+    
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<Object|null>} Redone history entry
+     */
+    async redo() {
+        console.log('↪️ Agent API: Redo');
+        return this.homeMaster.redo();
+    }
+    
+    /**
+     * Restore the system to how it was right after a history entry
+     * @param {Object|number} entry - Entry from getHistory() or its id
+     * @returns {Promise<boolean>} Success status
+     */
+    async jumpTo(entry) {
+        console.log(`⏮️ Agent API: Jumping to history entry ${entry?.id ?? entry}`);
+        return this.homeMaster.jumpTo(entry);
+    }
+    
+    /**
+     * List recorded changes
+     * @param {Object} [filter] - { source?, kind? } e.g. { source: 'agentAPI' }
+     * @returns {Array} History entries, oldest first
+     */
+    getHistory(filter) {
+        return this.homeMaster.getHistory(filter);
+    }
+    
+    /**
+     * Get a URL that reproduces the current state, geometry, projection and parameters
+     * @returns {string} Permalink
+     */
+    getPermalink() {
+        return this.systemController.getPermalink();
+    }
+    
+    /**
+     * Apply a permalink produced by getPermalink()
+     * @param {string} link - Full URL, location.hash or bare 'look=...' fragment
+     * @returns {Promise<boolean>} Success status
+     */
+    async applyPermalink(link) {
+        console.log('🔗 Agent API: Applying permalink');
+        
+        const look = decodeLook(link);
+        if (!look) {
+            console.warn('⚠️ Agent API: No valid look found in permalink');
+            return false;
+        }
+        return this.systemController.applyLook(look, 'agentAPI');
+    }
+    
     /**
      * Export complete system state as downloadable JSON
      * @returns {Object} Complete exportable system state
@@ -188,8 +571,9 @@ class AgentAPI {
         
         const exportData = {
             timestamp: new Date().toISOString(),
-            version: '1.0',
+            version: EXPORT_VERSION,
             state: this.getState(),
+            layers: this.homeMaster.exportLayers(),
             configs: this.jsonConfigSystem.getAllConfigs()
         };
         
@@ -209,6 +593,147 @@ class AgentAPI {
         return exportData;
     }
     
+    /**
+     * Load a bundle written by exportSystemState()
+     * Configs, parameters and the current state are applied together; if any step fails
+     * everything is put back the way it was.
+     * @param {Object|string} bundle - Export bundle or its JSON text
+     * @returns {Promise<boolean>} Success status
+     */
+    async importSystemState(bundle) {
+        console.log('📥 Agent API: Importing system state');
+        
+        const snapshot = {
+            configs: { ...this.jsonConfigSystem.getAllConfigs() },
+            layers: this.homeMaster.exportLayers(),
+            state: this.homeMaster.getCurrentState()
+        };
+        const appliedConfigs = [];
+        let started = false;
+        
+        try {
+            const parsed = typeof bundle === 'string' ? JSON.parse(bundle) : bundle;
+            if (!parsed || !SUPPORTED_IMPORT_VERSIONS.includes(parsed.version)) {
+                throw new Error(`Unsupported export version '${parsed?.version}'`);
+            }
+            const data = parsed.version === '1.0' ? this.migrateLegacyBundle(parsed) : parsed;
+            
+            // Validate everything before touching the running system, with references
+            // resolved against the bundle's configs where it has them
+            const combined = { ...this.jsonConfigSystem.getAllConfigs(), ...data.configs };
+            const configs = {};
+            for (const configName of CONFIG_APPLY_ORDER) {
+                if (data.configs?.[configName]) {
+                    configs[configName] = this.jsonConfigSystem.validateConfig(configName, data.configs[configName], combined);
+                }
+            }
+            
+            const stateMap = configs.stateMap || this.jsonConfigSystem.getConfig('stateMap');
+            const stateId = data.state?.currentState;
+            if (!stateMap?.states?.[stateId]) {
+                throw new Error(`State '${stateId}' not found in bundle or current state-map.json`);
+            }
+            
+            const layers = data.layers || { base: data.state?.parameters || {} };
+            
+            // Earlier entries describe a system that is about to be replaced; edits made
+            // while the import runs are recorded against the imported one
+            this.homeMaster.history.clear();
+            
+            started = true;
+            await this.homeMaster.history.runUntracked(async () => {
+                for (const [configName, config] of Object.entries(configs)) {
+                    this.jsonConfigSystem.configs[configName] = config;
+                    appliedConfigs.push(configName);
+                    await this.systemController.handleConfigUpdate(configName, config, { source: 'import' });
+                }
+            }, ['import']);
+            
+            if (!await this.systemController.navigateToState(stateId, { source: 'import', record: false })) {
+                throw new Error(`Navigation to '${stateId}' failed`);
+            }
+            
+            // Parameters last so nothing the transitions write can override them
+            await this.homeMaster.history.runUntracked(() => this.homeMaster.importLayers(layers, 'import'), ['import']);
+            
+            console.log(`✅ Agent API: Imported system state (${Object.keys(configs).length} configs, state '${stateId}')`);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Agent API: Failed to import system state:', error);
+            if (started) {
+                await this.rollbackImport(snapshot, appliedConfigs);
+            }
+            return false;
+        }
+    }
+    
+    /**
+     * Bring a 1.0 bundle's visuals.json and geometry ids in line with the current system
+     * Its visuals.json still lists the old five geometries and lacks later definitions
+     * (geometry, projection, the rotation planes, themes the state map names, projections,
+     * modulators). The geometry list is swapped for the current one, its parameter and theme
+     * definitions are merged onto the current ones, and anything else it lacks comes from the
+     * current visuals.json. The saved geometry parameter is re-pointed at the same geometry by name.
+     * @private
+     */
+    migrateLegacyBundle(data) {
+        const currentVisuals = this.jsonConfigSystem.getConfig('visuals');
+        const geometries = currentVisuals.geometries;
+        const oldNames = data.configs?.visuals?.geometries
+            ? Object.fromEntries(data.configs.visuals.geometries.map(g => [g.id, g.name]))
+            : { ...LEGACY_GEOMETRY_NAMES };
+        
+        const parameters = { ...(data.state?.parameters || {}) };
+        if (typeof parameters.geometry === 'number') {
+            const current = geometries.find(g => g.name === oldNames[Math.round(parameters.geometry)]);
+            if (current) {
+                parameters.geometry = current.id;
+            } else {
+                console.warn(`⚠️ Agent API: No current geometry for legacy id ${parameters.geometry}, keeping it`);
+            }
+        }
+        
+        const configs = { ...(data.configs || {}) };
+        if (configs.visuals) {
+            const definitions = structuredClone(currentVisuals.parameters);
+            for (const [name, definition] of Object.entries(configs.visuals.parameters || {})) {
+                definitions[name] = { ...definitions[name], ...definition };
+            }
+            configs.visuals = {
+                ...structuredClone(currentVisuals),
+                ...configs.visuals,
+                geometries: structuredClone(geometries),
+                themes: { ...structuredClone(currentVisuals.themes), ...configs.visuals.themes },
+                parameters: definitions
+            };
+        }
+        
+        return { ...data, state: { ...data.state, parameters }, configs };
+    }
+    
+    /**
+     * Restore the configs, state and parameters captured before an import
+     * @private
+     */
+    async rollbackImport(snapshot, appliedConfigs) {
+        console.warn('⏪ Agent API: Rolling back partial import');
+        
+        try {
+            await this.homeMaster.history.runUntracked(async () => {
+                for (const configName of [...appliedConfigs].reverse()) {
+                    this.jsonConfigSystem.configs[configName] = snapshot.configs[configName];
+                    await this.systemController.handleConfigUpdate(configName, snapshot.configs[configName], { source: 'import-rollback' });
+                }
+            }, ['import-rollback']);
+            
+            await this.systemController.navigateToState(snapshot.state, { history: 'replace', source: 'import-rollback', record: false });
+            await this.homeMaster.history.runUntracked(() => this.homeMaster.importLayers(snapshot.layers, 'import-rollback'), ['import-rollback']);
+        } catch (error) {
+            console.error('❌ Agent API: Rollback failed, reload the page to recover:', error);
+        }
+    }
+    
     /**
      * Trigger a specific interaction blueprint
      * @param {string} blueprintName - Name of interaction blueprint
@@ -219,8 +744,8 @@ class AgentAPI {
         console.log(`⚡ Agent API: Triggering interaction '${blueprintName}' on '${target}'`);
         
         try {
-            const behavior = this.jsonConfigSystem.getConfig('behavior');
-            const blueprint = behavior?.interactionBlueprints?.[blueprintName];
+            // Use the effective blueprint, including the current state's modifiers
+            const blueprint = this.systemController.getActiveBlueprints()[blueprintName];
             
             if (!blueprint) {
                 throw new Error(`Interaction blueprint '${blueprintName}' not found`);
@@ -0,0 +1,490 @@
+/**
+ * @file AnimationEngine.js
+ * @description Tween scheduler for behavior.json reactions
+ * Animates HomeMaster parameters and element styles (including transform.* properties)
+ * with the curve, duration and delay declared in the JSON blueprints. Parameter tweens run on
+ * SystemClock time, so pausing or slowing the clock holds or slows them with the show; style
+ * tweens are UI feedback and run on wall-clock time.
+ */
+
+import { ExpressionEvaluator } from '../utils/ExpressionEvaluator.js';
+import { SystemClock } from './SystemClock.js';
+
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    step: t => (t < 1 ? 0 : 1)
+};
+
+// Units used when writing transform functions back to the element
+const TRANSFORM_UNITS = {
+    translateX: 'px', translateY: 'px', translateZ: 'px',
+    rotate: 'deg', rotateX: 'deg', rotateY: 'deg', rotateZ: 'deg',
+    skewX: 'deg', skewY: 'deg',
+    scale: '', scaleX: '', scaleY: '', scaleZ: ''
+};
+
+const TRANSFORM_IDENTITY = { scale: 1, scaleX: 1, scaleY: 1, scaleZ: 1 };
+
+/**
+ * Build an easing function from a cubic-bezier control polygon
+ * @param {number} x1 - First control point x (0-1)
+ * @param {number} y1 - First control point y
+ * @param {number} x2 - Second control point x (0-1)
+ * @param {number} y2 - Second control point y
+ * @returns {Function} Easing function t => progress
+ */
+function cubicBezier(x1, y1, x2, y2) {
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+
+    const sampleX = t => ((ax * t + bx) * t + cx) * t;
+    const sampleY = t => ((ay * t + by) * t + cy) * t;
+    const sampleDX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+    // Newton-Raphson first, bisection if the slope is too flat to converge
+    const solveX = (x) => {
+        let t = x;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(t) - x;
+            if (Math.abs(error) < 1e-6) return t;
+            const slope = sampleDX(t);
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+        }
+
+        let lo = 0, hi = 1;
+        t = x;
+        while (lo < hi) {
+            const value = sampleX(t);
+            if (Math.abs(value - x) < 1e-6) return t;
+            if (x > value) lo = t; else hi = t;
+            if (hi - lo < 1e-7) break;
+            t = (lo + hi) / 2;
+        }
+        return t;
+    };
+
+    return t => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return sampleY(solveX(t));
+    };
+}
+
+/**
+ * Resolve a curve name from behavior.json to an easing function
+ * @param {string} curve - 'linear', 'easeIn', 'easeOut', 'easeInOut', 'step' or 'cubic-bezier(a, b, c, d)'
+ * @returns {Function} Easing function
+ */
+function resolveEasing(curve = 'linear') {
+    if (typeof curve === 'function') return curve;
+    if (EASINGS[curve]) return EASINGS[curve];
+
+    const match = /^cubic-bezier\(\s*([^)]+)\)$/.exec(String(curve).trim());
+    if (match) {
+        const points = match[1].split(',').map(Number);
+        if (points.length === 4 && points.every(Number.isFinite)) {
+            return cubicBezier(...points);
+        }
+    }
+
+    console.warn(`⚠️ AnimationEngine: Unknown curve '${curve}', using linear`);
+    return EASINGS.linear;
+}
+
+class AnimationEngine {
+    /**
+     * @param {VIB3HomeMaster} homeMaster - Parameter authority that parameter tweens write to
+     * @param {Object} [options]
+     * @param {ExpressionEvaluator} [options.evaluator] - Evaluator for string "to" values
+     * @param {SystemClock} [options.clock] - Time source for parameter tweens; defaults to the shared clock
+     */
+    constructor(homeMaster, options = {}) {
+        this.homeMaster = homeMaster;
+        this.evaluator = options.evaluator || new ExpressionEvaluator();
+        this.clock = options.clock || SystemClock.shared();
+
+        // Active tweens per target key ('param:u_gridDensity', 'style:<id>:transform.scale')
+        this.tweens = new Map();
+        this.elementIds = new WeakMap();
+        this.transformState = new WeakMap();
+        this.nextElementId = 1;
+        this.nextTweenId = 1;
+
+        this.animationId = null;
+
+        console.log('🎞️ AnimationEngine initialized');
+    }
+
+    /**
+     * Tween a HomeMaster parameter
+     * On replace layers the tween moves the layer's own value. On add/multiply layers "to" is
+     * still the value the parameter should reach; the layer's contribution is derived from
+     * whatever the lower layers hold, unless options.raw tweens the contribution itself.
+     * @param {string} name - Parameter name (e.g. 'u_gridDensity')
+     * @param {Object} spec - { to, from?, curve?, duration?, delay? } as declared in behavior.json
+     * @param {Object} [options]
+     * @param {string} [options.source='animation'] - Source passed to setParameters
+     * @param {string} [options.layer='base'] - HomeMaster layer the tween reads and writes
+     * @param {boolean} [options.raw=false] - Tween the layer contribution directly (offset / factor)
+     * @param {boolean} [options.stack=false] - Add to running tweens instead of cancelling them
+     * @param {Object} [options.variables] - Expression inputs for a string "to" (mouseX, scrollDelta, ...)
+     * @returns {Object|null} Tween handle with cancel() and finished, or null if the target could not be resolved
+     */
+    animateParameter(name, spec, options = {}) {
+        const source = options.source || 'animation';
+        const layer = options.layer || 'base';
+        const layerBlend = this.homeMaster.getLayerBlend(layer);
+        const blend = options.raw ? 'replace' : layerBlend;
+
+        const below = () => {
+            const value = this.homeMaster.getValueBelowLayer(layer, name);
+            return typeof value === 'number' ? value : 0;
+        };
+        const identity = layerBlend === 'multiply' ? 1 : 0;
+
+        return this.schedule(`param:${name}`, spec, options, {
+            read: () => {
+                const own = this.homeMaster.getLayerValue(layer, name);
+                if (blend === 'add') return below() + (own ?? identity);
+                if (blend === 'multiply') return below() * (own ?? identity);
+
+                // Tween the layer's own contribution so higher layers are not baked into it
+                const value = own ?? (options.raw ? identity : this.homeMaster.getParameter(name));
+                return typeof value === 'number' ? value : 0;
+            },
+            clock: true,
+            write: (value) => {
+                let contribution = value;
+                if (blend === 'add') {
+                    contribution = value - below();
+                } else if (blend === 'multiply') {
+                    const base = below();
+                    contribution = base !== 0 ? value / base : identity;
+                }
+                // Quiet per-frame path; tick() batches the visualizer update
+                return this.homeMaster.setParameters({ [name]: contribution }, source, layer);
+            },
+            label: name
+        });
+    }
+
+    /**
+     * Tween a numeric style property on an element
+     * 'transform.<fn>' animates one transform function and keeps the others intact.
+     * @param {HTMLElement} element - Element to animate
+     * @param {string} property - 'transform.scale', 'transform.rotate', 'opacity', ...
+     * @param {Object} spec - { to, from?, curve?, duration?, delay? }
+     * @param {Object} [options]
+     * @param {boolean} [options.stack=false] - Add to running tweens instead of cancelling them
+     * @param {Object} [options.variables] - Expression inputs for a string "to"
+     * @returns {Object|null} Tween handle, or null if the target could not be resolved
+     */
+    animateStyle(element, property, spec, options = {}) {
+        if (!element) return null;
+
+        const key = `style:${this.getElementId(element)}:${property}`;
+
+        if (property.startsWith('transform.')) {
+            const fn = property.slice('transform.'.length);
+            if (!(fn in TRANSFORM_UNITS)) {
+                console.warn(`⚠️ AnimationEngine: Unsupported transform '${fn}'`);
+                return null;
+            }
+
+            return this.schedule(key, spec, options, {
+                read: () => this.getTransformValue(element, fn),
+                write: (value) => this.setTransformValue(element, fn, value),
+                label: property
+            });
+        }
+
+        return this.schedule(key, spec, options, {
+            read: () => parseFloat(getComputedStyle(element)[property]) || 0,
+            write: (value) => { element.style[property] = String(value); },
+            label: property
+        });
+    }
+
+    /**
+     * Tween one visualizer's offset on a config value (see VIB34DEnhancedCore.setOffsets)
+     * Used where a reaction targets a single card rather than the global parameters. As with
+     * add layers, "to" is the value the visualizer should show and the offset is derived from
+     * it, unless options.raw tweens the offset itself. Runs on wall-clock time like styles.
+     * @param {Object} visualizer - Visualizer with getOffset/setOffset/getEffectiveValue
+     * @param {string} key - Visualizer config name, e.g. 'patternIntensity'
+     * @param {Object} spec - { to, from?, curve?, duration?, delay? }
+     * @param {Object} [options]
+     * @param {string} [options.source='animation'] - Offset owner on the visualizer
+     * @param {boolean} [options.raw=false] - Tween the offset directly
+     * @param {boolean} [options.stack=false] - Add to running tweens instead of cancelling them
+     * @param {Object} [options.variables] - Expression inputs for a string "to"
+     * @returns {Object|null} Tween handle, or null if the target could not be resolved
+     */
+    animateOffset(visualizer, key, spec, options = {}) {
+        if (!visualizer?.setOffset) return null;
+
+        const source = options.source || 'animation';
+        const own = () => visualizer.getOffset(source, key) ?? 0;
+        const below = () => visualizer.getEffectiveValue(key) - own();
+
+        return this.schedule(`offset:${this.getElementId(visualizer)}:${key}`, spec, options, {
+            read: () => (options.raw ? own() : visualizer.getEffectiveValue(key)),
+            write: (value) => visualizer.setOffset(source, key, options.raw ? value : value - below()),
+            label: key
+        });
+    }
+
+    /**
+     * Cancel every tween on a parameter
+     * @param {string} name - Parameter name
+     */
+    cancelParameter(name) {
+        this.cancelKey(`param:${name}`);
+    }
+
+    /**
+     * Cancel every tween on an element property
+     * @param {HTMLElement} element - Animated element
+     * @param {string} property - Property passed to animateStyle()
+     */
+    cancelStyle(element, property) {
+        if (!this.elementIds.has(element)) return;
+        this.cancelKey(`style:${this.elementIds.get(element)}:${property}`);
+    }
+
+    /**
+     * Cancel every tween on a visualizer offset
+     * @param {Object} visualizer - Visualizer passed to animateOffset()
+     * @param {string} key - Config name
+     */
+    cancelOffset(visualizer, key) {
+        if (!this.elementIds.has(visualizer)) return;
+        this.cancelKey(`offset:${this.elementIds.get(visualizer)}:${key}`);
+    }
+
+    /**
+     * Cancel all running tweens
+     */
+    cancelAll() {
+        for (const key of Array.from(this.tweens.keys())) {
+            this.cancelKey(key);
+        }
+    }
+
+    /**
+     * Check whether a parameter currently has a running tween
+     * @param {string} name - Parameter name
+     * @returns {boolean}
+     */
+    isAnimating(name) {
+        return this.tweens.has(`param:${name}`);
+    }
+
+    /**
+     * @private
+     */
+    schedule(key, spec, options, accessor) {
+        const stack = options.stack === true;
+        const duration = Math.max(0, Number(spec.duration) || 0);
+        const delay = Math.max(0, Number(spec.delay) || 0);
+
+        if (!stack) {
+            this.cancelKey(key);
+        }
+
+        let resolveFinished;
+        const tween = {
+            id: this.nextTweenId++,
+            key,
+            spec,
+            stack,
+            accessor,
+            variables: options.variables || {},
+            easing: resolveEasing(spec.curve),
+            duration,
+            startTime: this.now(accessor.clock) + delay,
+            started: false,
+            from: 0,
+            to: 0,
+            applied: 0,
+            finished: new Promise(resolve => { resolveFinished = resolve; }),
+            resolve: null,
+            cancel: () => this.removeTween(tween, false)
+        };
+        tween.resolve = resolveFinished;
+
+        // Without a delay, resolve immediately so relative targets see the value at trigger time
+        if (delay === 0 && !this.startTween(tween)) {
+            return null;
+        }
+
+        if (!this.tweens.has(key)) {
+            this.tweens.set(key, new Set());
+        }
+        this.tweens.get(key).add(tween);
+
+        this.ensureRunning();
+        return tween;
+    }
+
+    /**
+     * Capture the start value and resolve the target
+     * @private
+     * @returns {boolean} False when the target could not be resolved
+     */
+    startTween(tween) {
+        const current = tween.accessor.read();
+        const from = typeof tween.spec.from === 'number' ? tween.spec.from : current;
+        const to = this.evaluator.resolve(tween.spec.to, { ...tween.variables, current: from });
+
+        if (to === null) {
+            console.warn(`⚠️ AnimationEngine: Cannot resolve target '${tween.spec.to}' for ${tween.accessor.label}`);
+            return false;
+        }
+
+        tween.from = from;
+        tween.to = to;
+        tween.started = true;
+
+        // An explicit "from" jumps the value before the first frame
+        if (!tween.stack && from !== current) {
+            tween.accessor.write(from);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    ensureRunning() {
+        if (this.animationId !== null) return;
+
+        const loop = () => {
+            this.animationId = null;
+            this.tick();
+            if (this.tweens.size > 0) {
+                this.animationId = requestAnimationFrame(loop);
+            }
+        };
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * @private
+     * @param {boolean} clock - SystemClock time rather than wall-clock time
+     * @returns {number} Time in milliseconds
+     */
+    now(clock) {
+        return clock ? this.clock.time * 1000 : performance.now();
+    }
+
+    /**
+     * Advance all tweens to the given times
+     * @param {number} [clockNow] - SystemClock time in milliseconds, for parameter tweens
+     * @param {number} [wallNow] - performance.now() time, for style tweens
+     */
+    tick(clockNow = this.now(true), wallNow = this.now(false)) {
+        this.homeMaster.batchUpdates(() => this.advance(clockNow, wallNow));
+    }
+
+    /**
+     * @private
+     */
+    advance(clockNow, wallNow) {
+        for (const tweens of Array.from(this.tweens.values())) {
+            for (const tween of Array.from(tweens)) {
+                const now = tween.accessor.clock ? clockNow : wallNow;
+                if (now < tween.startTime) continue;
+
+                if (!tween.started && !this.startTween(tween)) {
+                    this.removeTween(tween, false);
+                    continue;
+                }
+
+                const t = tween.duration > 0 ? Math.min(1, (now - tween.startTime) / tween.duration) : 1;
+                const progress = tween.easing(t);
+                const delta = (tween.to - tween.from) * progress;
+
+                if (tween.stack) {
+                    // Additive: only push the change since last frame so other writers are preserved
+                    tween.accessor.write(tween.accessor.read() + (delta - tween.applied));
+                    tween.applied = delta;
+                } else {
+                    tween.accessor.write(tween.from + delta);
+                }
+
+                if (t >= 1) {
+                    this.removeTween(tween, true);
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    cancelKey(key) {
+        const tweens = this.tweens.get(key);
+        if (!tweens) return;
+
+        for (const tween of Array.from(tweens)) {
+            this.removeTween(tween, false);
+        }
+    }
+
+    /**
+     * @private
+     */
+    removeTween(tween, completed) {
+        const tweens = this.tweens.get(tween.key);
+        if (!tweens || !tweens.delete(tween)) return;
+
+        if (tweens.size === 0) {
+            this.tweens.delete(tween.key);
+        }
+        tween.resolve({ completed, value: tween.to });
+    }
+
+    /**
+     * @private
+     */
+    getElementId(element) {
+        if (!this.elementIds.has(element)) {
+            this.elementIds.set(element, this.nextElementId++);
+        }
+        return this.elementIds.get(element);
+    }
+
+    /**
+     * Read the current value of one transform function as last written by this engine
+     * @param {HTMLElement} element - Animated element
+     * @param {string} fn - Transform function name, e.g. 'scale'
+     * @returns {number} Value, or the identity for untouched functions
+     */
+    getTransformValue(element, fn) {
+        const state = this.transformState.get(element);
+        if (state && fn in state) return state[fn];
+        return fn in TRANSFORM_IDENTITY ? TRANSFORM_IDENTITY[fn] : 0;
+    }
+
+    /**
+     * @private
+     */
+    setTransformValue(element, fn, value) {
+        if (!this.transformState.has(element)) {
+            this.transformState.set(element, {});
+        }
+        const state = this.transformState.get(element);
+        state[fn] = value;
+
+        element.style.transform = Object.entries(state)
+            .map(([name, v]) => `${name}(${v}${TRANSFORM_UNITS[name]})`)
+            .join(' ');
+    }
+}
+
+export { AnimationEngine, resolveEasing, cubicBezier };
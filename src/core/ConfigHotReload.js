@@ -0,0 +1,207 @@
+/**
+ * @file ConfigHotReload.js
+ * @description Browser side of dev-server.mjs: listens for config file changes over
+ * Server-Sent Events and pushes each edited file through JsonConfigSystem.reloadConfig()
+ * and SystemController.handleConfigUpdate(). The running state, parameters and layers
+ * are kept. An edit that fails to parse or validate leaves the previous config live and
+ * shows an overlay listing the errors until the file is fixed.
+ *
+ * Event format: `event: config` with data `{ "file": "behavior.json" }`, where file is
+ * relative to config/ (schema edits arrive as "schemas/<name>.schema.json").
+ */
+
+const SCHEMA_DIRECTORY = 'schemas/';
+const OVERLAY_ID = 'vib34d-config-errors';
+
+class ConfigHotReload {
+    /**
+     * @param {SystemController} systemController - Controller whose configs are reloaded
+     * @param {string} endpoint - SSE endpoint announced by the dev server
+     */
+    constructor(systemController, endpoint) {
+        this.systemController = systemController;
+        this.jsonConfigSystem = systemController.jsonConfigSystem;
+        this.endpoint = endpoint;
+        this.source = null;
+
+        // Reloads run one at a time, in the order the edits arrived
+        this.queue = Promise.resolve();
+
+        // File name -> errors from its last failed reload
+        this.failures = new Map();
+    }
+
+    /**
+     * Start listening for changes
+     */
+    connect() {
+        if (this.source || typeof EventSource === 'undefined') return;
+
+        this.source = new EventSource(this.endpoint);
+        this.source.addEventListener('open', () => console.log('🔥 ConfigHotReload: Connected to dev server'));
+        this.source.addEventListener('config', (event) => {
+            const { file } = JSON.parse(event.data);
+            this.queue = this.queue.then(() => this.handleChange(file));
+        });
+    }
+
+    /**
+     * Stop listening and remove the error overlay
+     */
+    disconnect() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.failures.clear();
+        this.renderOverlay();
+    }
+
+    /**
+     * Apply one changed file
+     * @param {string} file - Path relative to config/ ('behavior.json', 'profiles/kiosk/visuals.json')
+     */
+    async handleChange(file) {
+        if (file.startsWith(SCHEMA_DIRECTORY)) {
+            await this.reloadSchemas();
+            return;
+        }
+
+        // The edited file may be a config itself, a file one extends, or a profile overlay
+        const configKeys = this.jsonConfigSystem.getDependentConfigs(`config/${file}`);
+        if (configKeys.length === 0) {
+            console.log(`🔥 ConfigHotReload: Ignoring ${file}`);
+            return;
+        }
+
+        for (const configKey of configKeys) {
+            await this.reloadConfig(configKey);
+        }
+        this.renderOverlay();
+    }
+
+    /**
+     * Reload one config and apply it if it changed
+     * @private
+     */
+    async reloadConfig(configKey) {
+        const file = `${this.jsonConfigSystem.getFileName(configKey)}.json`;
+        try {
+            const previous = JSON.stringify(this.jsonConfigSystem.getConfig(configKey));
+            const config = await this.jsonConfigSystem.reloadConfig(configKey);
+
+            // Files written by saveConfig() already match what is running
+            if (JSON.stringify(config) === previous) {
+                console.log(`🔥 ConfigHotReload: ${file} unchanged`);
+            } else {
+                await this.systemController.handleConfigUpdate(configKey, config);
+                console.log(`🔥 ConfigHotReload: Applied ${file}`);
+            }
+            this.failures.delete(file);
+        } catch (error) {
+            console.warn(`⚠️ ConfigHotReload: Keeping the previous ${file}`);
+            this.failures.set(file, this.describeFailure(file, error));
+        }
+    }
+
+    /**
+     * Reload the schemas and re-check the live configs against them
+     * Nothing is re-applied; a schema change only affects which errors are shown.
+     * @private
+     */
+    async reloadSchemas() {
+        await this.jsonConfigSystem.loadSchemas();
+
+        const configs = this.jsonConfigSystem.getAllConfigs();
+        for (const [configKey, config] of Object.entries(configs)) {
+            const errors = this.jsonConfigSystem.getValidationErrors(configKey, config);
+            const file = `${this.jsonConfigSystem.getFileName(configKey)}.json`;
+            if (errors.length > 0) {
+                this.failures.set(file, errors.map(error => this.formatError(error)));
+            } else {
+                this.failures.delete(file);
+            }
+        }
+        this.renderOverlay();
+    }
+
+    /**
+     * @private
+     * @returns {string[]} One line per error
+     */
+    describeFailure(file, error) {
+        if (Array.isArray(error.errors)) {
+            return error.errors.map(entry => this.formatError(entry));
+        }
+        return [`${file}: ${error.message}`];
+    }
+
+    /**
+     * @private
+     */
+    formatError({ config, path, message }) {
+        return `${this.jsonConfigSystem.getFileName(config)}.json${path || '/'}: ${message}`;
+    }
+
+    /**
+     * Show the current failures, or remove the overlay when there are none
+     * @private
+     */
+    renderOverlay() {
+        let overlay = document.getElementById(OVERLAY_ID);
+        if (this.failures.size === 0) {
+            overlay?.remove();
+            return;
+        }
+
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = OVERLAY_ID;
+            Object.assign(overlay.style, {
+                position: 'fixed',
+                left: '16px',
+                right: '16px',
+                bottom: '16px',
+                maxHeight: '40vh',
+                overflow: 'auto',
+                padding: '12px 16px',
+                zIndex: '10000',
+                background: 'rgba(30, 0, 10, 0.92)',
+                border: '1px solid #ff3366',
+                borderRadius: '6px',
+                color: '#ffd6e0',
+                font: '12px/1.5 monospace',
+                whiteSpace: 'pre-wrap'
+            });
+            document.body.appendChild(overlay);
+        }
+
+        overlay.textContent = '';
+
+        const dismiss = document.createElement('button');
+        dismiss.textContent = '✕';
+        Object.assign(dismiss.style, {
+            float: 'right',
+            background: 'none',
+            border: 'none',
+            color: 'inherit',
+            cursor: 'pointer',
+            font: 'inherit'
+        });
+        dismiss.addEventListener('click', () => overlay.remove());
+        overlay.appendChild(dismiss);
+
+        const heading = document.createElement('strong');
+        heading.textContent = '❌ Config not applied; the previous version is still running';
+        overlay.appendChild(heading);
+
+        for (const lines of this.failures.values()) {
+            const list = document.createElement('div');
+            list.textContent = lines.join('\n');
+            list.style.marginTop = '8px';
+            overlay.appendChild(list);
+        }
+    }
+}
+
+export { ConfigHotReload };
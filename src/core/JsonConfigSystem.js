@@ -4,8 +4,34 @@
  * Loads and validates all JSON configuration files
  */
 
+import { SchemaValidator } from '../utils/SchemaValidator.js';
+import { checkConfigReferences } from '../utils/ConfigReferenceChecker.js';
+import { composeConfig, mergeConfig } from '../utils/ConfigComposer.js';
+
+// Config key -> file name under config/ (and config/schemas/<name>.schema.json)
+const CONFIG_FILES = {
+    visuals: 'visuals',
+    behavior: 'behavior',
+    stateMap: 'state-map',
+    layoutContent: 'layout-content'
+};
+
+// Schemas other schemas $ref but that describe no file of their own
+const SHARED_SCHEMAS = ['definitions'];
+
+// Write-back route served by dev-server.mjs
+const SAVE_ENDPOINT = '__dev/config';
+
+// Profile names become path segments, so keep them to plain identifiers
+const PROFILE_NAME = /^[\w-]+$/;
+
 class JsonConfigSystem {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string|string[]} [options.profile] - Overlay profile(s) from config/profiles/, applied in order.
+     *   Defaults to the page's ?profile= parameter (comma-separated for several).
+     */
+    constructor(options = {}) {
         this.configs = {
             visuals: null,
             behavior: null,
@@ -13,10 +39,39 @@ class JsonConfigSystem {
             layoutContent: null
         };
         
+        // Timeline name -> timeline, loaded on demand from config/timelines/
+        this.timelines = {};
+        
+        // Config key -> files the loaded config was composed from (extends chain, then profile overlays)
+        this.configSources = {};
+        this.profiles = this.resolveProfiles(options.profile);
+        
+        // Config key -> JSON Schema; empty until loadSchemas() succeeds
+        this.schemas = {};
+        this.schemaValidator = new SchemaValidator();
+        
         this.isLoaded = false;
         this.loadPromise = null;
         
-        console.log('🔧 JsonConfigSystem initialized');
+        console.log(`🔧 JsonConfigSystem initialized${this.profiles.length > 0 ? ` with profile ${this.profiles.join(' + ')}` : ''}`);
+    }
+    
+    /**
+     * @private
+     * @returns {string[]} Valid profile names
+     */
+    resolveProfiles(profile) {
+        let requested = profile;
+        if (requested === undefined && typeof window !== 'undefined' && window.location) {
+            requested = new URLSearchParams(window.location.search).get('profile') || [];
+        }
+        
+        const names = typeof requested === 'string' ? requested.split(',') : [].concat(requested || []);
+        return names.map(name => name.trim()).filter(name => {
+            if (PROFILE_NAME.test(name)) return true;
+            if (name) console.warn(`⚠️ Ignoring invalid profile name '${name}'`);
+            return false;
+        });
     }
     
     /**
@@ -36,6 +91,9 @@ class JsonConfigSystem {
         console.log('📁 Loading all JSON configurations...');
         
         try {
+            // Schemas first, so each file is checked as it arrives
+            await this.loadSchemas();
+            
             const [visuals, behavior, stateMap, layoutContent] = await Promise.all([
                 this.loadConfig('visuals'),
                 this.loadConfig('behavior'), 
@@ -50,6 +108,9 @@ class JsonConfigSystem {
                 layoutContent
             };
             
+            // Names shared between files can only be checked once all four are here
+            this.assertValid(null, checkConfigReferences(this.configs));
+            
             this.isLoaded = true;
             console.log('✅ All configurations loaded successfully');
             
@@ -66,6 +127,8 @@ class JsonConfigSystem {
     
     /**
      * Load a specific configuration file
+     * Follows its "extends" chain, then merges config/profiles/<profile>/<name>.json for each
+     * active profile that has one (see ConfigComposer for the merge rules).
      * @param {string} configName - Name of config file (without .json)
      * @returns {Promise<Object>} Parsed configuration
      */
@@ -74,15 +137,32 @@ class JsonConfigSystem {
         console.log(`📄 Loading ${configName}.json...`);
         
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // One fetch per file, even when a profile file is probed and then composed
+            const requests = new Map();
+            const loadJson = (file, optional = false) => {
+                if (!requests.has(file)) requests.set(file, this.fetchJson(file, optional));
+                return requests.get(file);
+            };
+            
+            let { config, sources } = await composeConfig(url, loadJson);
+            
+            const isConfigFile = Object.values(CONFIG_FILES).includes(configName);
+            for (const profile of isConfigFile ? this.profiles : []) {
+                const overlayUrl = `config/profiles/${profile}/${configName}.json`;
+                if (await loadJson(overlayUrl, true) === null) continue;
+                
+                const overlay = await composeConfig(overlayUrl, loadJson);
+                config = mergeConfig(config, overlay.config, overlay.arrayMerge);
+                sources = [...new Set([...sources, ...overlay.sources])];
             }
             
-            const config = await response.json();
-            console.log(`✅ Loaded ${configName}.json`);
+            console.log(`✅ Loaded ${configName}.json${sources.length > 1 ? ` (composed from ${sources.length} files)` : ''}`);
             
-            return this.validateConfig(configName, config);
+            const validated = this.validateConfig(configName, config);
+            if (isConfigFile) {
+                this.configSources[this.getConfigKey(configName)] = sources;
+            }
+            return validated;
             
         } catch (error) {
             console.error(`❌ Failed to load ${configName}.json:`, error);
@@ -90,22 +170,122 @@ class JsonConfigSystem {
         }
     }
     
+    /**
+     * Fetch and parse one JSON file
+     * @private
+     * @param {string} url - File to fetch
+     * @param {boolean} [optional=false] - Resolve to null instead of throwing when the file does not exist
+     */
+    async fetchJson(url, optional = false) {
+        const response = await fetch(url);
+        if (optional && response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`${url}: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Config keys built from a file, for reloading everything an edited file feeds into
+     * Active profiles' overlay paths count even before the overlay file exists.
+     * @param {string} file - Path such as 'config/profiles/kiosk/visuals.json'
+     * @returns {string[]} Config keys
+     */
+    getDependentConfigs(file) {
+        return Object.entries(CONFIG_FILES)
+            .filter(([configKey, fileName]) => (this.configSources[configKey] || []).includes(file)
+                || this.profiles.some(profile => file === `config/profiles/${profile}/${fileName}.json`))
+            .map(([configKey]) => configKey);
+    }
+    
+    /**
+     * Load the JSON Schemas from config/schemas/
+     * Missing schemas are not fatal; validation then falls back to the required-field checks.
+     */
+    async loadSchemas() {
+        const names = [...SHARED_SCHEMAS, ...Object.values(CONFIG_FILES)];
+        const results = await Promise.allSettled(names.map(async (name) => {
+            const response = await fetch(`config/schemas/${name}.schema.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return response.json();
+        }));
+        
+        const registry = {};
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                registry[result.value.$id || `${names[index]}.schema.json`] = result.value;
+            } else {
+                console.warn(`⚠️ Schema ${names[index]}.schema.json unavailable:`, result.reason.message);
+            }
+        });
+        
+        this.schemaValidator = new SchemaValidator(registry);
+        for (const [configKey, fileName] of Object.entries(CONFIG_FILES)) {
+            const schema = registry[`${fileName}.schema.json`];
+            if (schema) this.schemas[configKey] = schema;
+        }
+        console.log(`📐 Loaded ${Object.keys(this.schemas).length} config schemas`);
+    }
+    
+    /**
+     * Collect every schema and cross-file error for a config, without throwing
+     * @param {string} configName - Config key or file name ('stateMap' or 'state-map')
+     * @param {Object} config - Configuration object to check
+     * @param {Object} [configs] - The other configs to check references against (defaults to the loaded ones)
+     * @returns {Array<{config: string, path: string, message: string}>} Errors with JSON pointers
+     */
+    getValidationErrors(configName, config, configs = this.configs) {
+        const configKey = this.getConfigKey(configName);
+        const schema = this.schemas[configKey];
+        
+        const errors = schema
+            ? this.schemaValidator.validate(schema, config).map(error => ({ config: configKey, ...error }))
+            : [];
+        
+        // Reference checks on a structurally broken file would only add noise
+        if (errors.length === 0 && this.isLoaded) {
+            errors.push(...checkConfigReferences({ ...configs, [configKey]: config }));
+        }
+        return errors;
+    }
+    
     /**
      * Validate configuration structure
+     * Throws an Error whose `errors` property lists { config, path, message } entries.
      * @param {string} configName - Name of the configuration
      * @param {Object} config - Configuration object to validate
+     * @param {Object} [configs] - The other configs to check references against (defaults to the loaded ones)
      * @returns {Object} Validated configuration
      */
-    validateConfig(configName, config) {
+    validateConfig(configName, config, configs = this.configs) {
+        const configKey = this.getConfigKey(configName);
+        if (this.schemas[configKey]) {
+            this.assertValid(configKey, this.getValidationErrors(configKey, config, configs));
+            return config;
+        }
+        
         switch (configName) {
             case 'visuals':
                 return this.validateVisuals(config);
             case 'behavior':
                 return this.validateBehavior(config);
             case 'state-map':
+            case 'stateMap':
                 return this.validateStateMap(config);
             case 'layout-content':
+            case 'layoutContent':
                 return this.validateLayoutContent(config);
+            case 'timeline':
+                return this.validateTimeline(config);
             default:
                 return config;
         }
@@ -148,6 +328,81 @@ class JsonConfigSystem {
         return config;
     }
     
+    validateTimeline(config) {
+        if (!Array.isArray(config.tracks)) {
+            throw new Error('timeline missing tracks array');
+        }
+        config.tracks.forEach((track, index) => {
+            if (!Array.isArray(track.keyframes) || track.keyframes.length === 0) {
+                throw new Error(`timeline track ${index} has no keyframes`);
+            }
+            if (!track.keyframes.every(keyframe => Number.isFinite(keyframe.time) && keyframe.time >= 0)) {
+                throw new Error(`timeline track ${index} has a keyframe without a valid time`);
+            }
+            if (track.type === 'parameter' && !track.keyframes.every(keyframe => Number.isFinite(keyframe.value))) {
+                throw new Error(`timeline track ${index} (${track.target}) has a non-numeric value`);
+            }
+        });
+        return config;
+    }
+    
+    /**
+     * Normalize a config name to its key in this.configs
+     * @param {string} configName - Config key or file name
+     * @returns {string} Config key
+     */
+    getConfigKey(configName) {
+        const entry = Object.entries(CONFIG_FILES).find(([, fileName]) => fileName === configName);
+        return entry ? entry[0] : configName;
+    }
+    
+    /**
+     * File name (without .json) a config key is loaded from
+     * @param {string} configName - Config key or file name
+     * @returns {string} File name under config/
+     */
+    getFileName(configName) {
+        return CONFIG_FILES[this.getConfigKey(configName)] || configName;
+    }
+    
+    /**
+     * Throw if there are validation errors, logging each with its JSON pointer
+     * @private
+     */
+    assertValid(configKey, errors) {
+        if (errors.length === 0) return;
+        
+        errors.forEach(({ config, path, message }) => {
+            console.error(`❌ ${CONFIG_FILES[config] || config}.json${path || '/'}: ${message}`);
+        });
+        
+        const label = configKey ? `${CONFIG_FILES[configKey] || configKey}.json` : 'Configuration';
+        const error = new Error(`${label} failed validation with ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+        error.errors = errors;
+        throw error;
+    }
+    
+    /**
+     * Load a timeline from config/timelines/
+     * @param {string} timelineName - File name without .json
+     * @returns {Promise<Object>} Validated timeline
+     */
+    async loadTimeline(timelineName) {
+        const timeline = this.validateConfig('timeline', await this.loadConfig(`timelines/${timelineName}`));
+        timeline.name = timeline.name || timelineName;
+        this.timelines[timelineName] = timeline;
+        return timeline;
+    }
+    
+    /**
+     * Get a previously loaded timeline
+     * @param {string} timelineName - Timeline file name
+     * @returns {Object|null} Timeline or null if not loaded
+     */
+    getTimeline(timelineName) {
+        return this.timelines[timelineName] || null;
+    }
+    
     /**
      * Get a specific configuration
      * @param {string} configName - Name of configuration to get
@@ -167,27 +422,76 @@ class JsonConfigSystem {
     
     /**
      * Hot reload a specific configuration
-     * @param {string} configName - Name of config to reload
+     * The new file is validated against the other loaded configs before it replaces the old one;
+     * on failure the old config stays in place and the thrown Error carries `errors`.
+     * @param {string} configName - Config key or file name ('stateMap' or 'state-map')
      * @returns {Promise<Object>} Reloaded configuration
      */
     async reloadConfig(configName) {
-        console.log(`🔄 Hot reloading ${configName}.json...`);
+        const configKey = this.getConfigKey(configName);
+        const fileName = this.getFileName(configKey);
+        console.log(`🔄 Hot reloading ${fileName}.json...`);
         
         try {
-            const newConfig = await this.loadConfig(configName);
-            this.configs[configName] = newConfig;
+            const newConfig = await this.loadConfig(fileName);
+            this.configs[configKey] = newConfig;
             
             // Emit config updated event
-            this.emit('configUpdated', { configName, config: newConfig });
+            this.emit('configUpdated', { configName: configKey, config: newConfig });
             
             return newConfig;
             
         } catch (error) {
-            console.error(`❌ Failed to reload ${configName}:`, error);
+            console.error(`❌ Failed to reload ${fileName}.json:`, error);
             throw error;
         }
     }
     
+    /**
+     * Write a loaded config back to config/<name>.json through the dev server
+     * The server re-validates against the files on disk, backs up the old file and replaces it
+     * atomically. A rejected save throws an Error carrying `errors` like validateConfig().
+     * @param {string} configName - Config key or file name ('stateMap' or 'state-map')
+     * @returns {Promise<{success: boolean, file: string, backup: string|null}>} Server response
+     */
+    async saveConfig(configName) {
+        const configKey = this.getConfigKey(configName);
+        const fileName = this.getFileName(configKey);
+        const config = this.configs[configKey];
+        if (!config) {
+            throw new Error(`${fileName}.json is not loaded`);
+        }
+        
+        // Writing the merged result would flatten every file it came from into one
+        const sources = this.configSources[configKey] || [];
+        if (sources.length > 1) {
+            throw new Error(`${fileName}.json is composed from ${sources.join(', ')}; edit those files instead`);
+        }
+        
+        // Catch mistakes before the round trip
+        this.validateConfig(configKey, config);
+        
+        console.log(`💾 Saving ${fileName}.json...`);
+        const response = await fetch(`${SAVE_ENDPOINT}/${fileName}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(config)
+        });
+        
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result) {
+            const error = new Error(result?.message
+                || `Saving ${fileName}.json needs the dev server (node dev-server.mjs): HTTP ${response.status}`);
+            if (result?.errors) error.errors = result.errors;
+            console.error(`❌ Failed to save ${fileName}.json:`, error.message);
+            throw error;
+        }
+        
+        console.log(`✅ Saved ${fileName}.json${result.backup ? ` (previous version in ${result.backup})` : ''}`);
+        this.emit('configSaved', { configName: configKey, ...result });
+        return result;
+    }
+    
     /**
      * Simple event emitter
      * @param {string} event - Event name
@@ -200,4 +504,4 @@ class JsonConfigSystem {
     }
 }
 
-export { JsonConfigSystem };
\ No newline at end of file
+export { JsonConfigSystem, CONFIG_FILES };
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * @file LayoutEngine.js
+ * @description Places the cards for the current state and viewport width
+ * Each state's `layout` (state-map.json) names an entry in layout-content.json `layouts`,
+ * which holds one arrangement per breakpoint. An arrangement either positions cards on the
+ * board or lays them out on a CSS grid (cards named in `areas` go to the area of their id):
+ *
+ *   "breakpoints": { "phone": 0, "tablet": 600, "desktop": 960 },
+ *   "layouts": {
+ *     "tech": {
+ *       "desktop": { "cards": { "card-01": { "top": "2%", "left": "2%", "width": "96%", "height": "10%" } } },
+ *       "phone": { "grid": { "columns": "1fr", "areas": ["card-01", "card-02"] } }
+ *     }
+ *   }
+ *
+ * A breakpoint applies from its min-width up. When a layout has nothing for the current
+ * breakpoint, the `default` layout's arrangement is used, then the next narrower breakpoint
+ * of either; cards with no arrangement at all keep their own `position`. Cards move to a new
+ * arrangement with a FLIP animation, after which the ecosystem's proximity map is rebuilt.
+ * Every change is announced as a `vib34d:layoutChange` window event.
+ */
+
+const DEFAULT_LAYOUT = 'default';
+const LAYOUT_DURATION = 600;
+const LAYOUT_EASING = 'cubic-bezier(0.25, 0.46, 0.45, 0.94)';
+// Card moves smaller than this (px) are not animated
+const MIN_MOVE = 1;
+// Resizes within a breakpoint only move cards by percentages; wait for them to settle
+const RESIZE_SETTLE_MS = 150;
+
+const GRID_STYLES = ['display', 'gridTemplateColumns', 'gridTemplateRows', 'gridTemplateAreas', 'gap'];
+
+class LayoutEngine {
+    /**
+     * @param {SystemController} systemController - Controller owning the cards and the ecosystem
+     */
+    constructor(systemController) {
+        this.systemController = systemController;
+        this.jsonConfigSystem = systemController.jsonConfigSystem;
+
+        this.state = null;
+        this.breakpoint = null;
+        this.animations = [];
+        // Bumped per apply() so only the latest one rebuilds the proximity map
+        this.generation = 0;
+
+        // Card element -> inline style properties the last arrangement set
+        this.appliedStyles = new WeakMap();
+
+        this.resizeFrame = null;
+        this.resizeTimer = null;
+        this.handleResize = () => {
+            if (this.resizeFrame) return;
+            this.resizeFrame = requestAnimationFrame(() => {
+                this.resizeFrame = null;
+                this.followViewport();
+            });
+        };
+    }
+
+    /**
+     * Start following viewport resizes
+     */
+    start() {
+        window.addEventListener('resize', this.handleResize);
+    }
+
+    /**
+     * Stop following viewport resizes
+     */
+    stop() {
+        window.removeEventListener('resize', this.handleResize);
+        cancelAnimationFrame(this.resizeFrame);
+        clearTimeout(this.resizeTimer);
+        this.resizeFrame = null;
+    }
+
+    /**
+     * Arrange the cards for a state at the current viewport width
+     * @param {string} stateName - State from state-map.json
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Move cards to their new places with an animation
+     * @returns {Promise<void>} Resolves once the cards have arrived and proximities are rebuilt
+     */
+    async apply(stateName, { animate = true } = {}) {
+        const container = document.getElementById('blogContainer');
+        if (!container) return;
+
+        const breakpoint = this.getBreakpoint();
+        const arrangement = this.resolveArrangement(stateName, breakpoint);
+        const cards = Array.from(container.querySelectorAll('.blog-card'));
+        const generation = ++this.generation;
+
+        // Where cards are drawn now, including any move still under way
+        const first = new Map(cards.map(card => [card, card.getBoundingClientRect()]));
+        this.animations.forEach(animation => animation.cancel());
+        this.animations = [];
+
+        // Jump to the new places without the cards' CSS transition, then animate the jump
+        container.dataset.layoutSwitching = '';
+        this.applyContainer(container, arrangement.grid);
+        const areaNames = new Set(this.getAreaNames(arrangement.grid));
+        cards.forEach(card => this.applyCard(card, arrangement, areaNames));
+        const last = new Map(cards.map(card => [card, card.getBoundingClientRect()]));
+        delete container.dataset.layoutSwitching;
+
+        if (animate && !this.prefersReducedMotion()) {
+            cards.forEach((card) => {
+                const animation = this.animateCard(card, first.get(card), last.get(card));
+                if (animation) this.animations.push(animation);
+            });
+        }
+
+        const changed = stateName !== this.state || breakpoint !== this.breakpoint;
+        this.state = stateName;
+        this.breakpoint = breakpoint;
+        if (changed) {
+            console.log(`📐 LayoutEngine: ${stateName} at ${breakpoint ?? 'any width'} (${arrangement.grid ? 'grid' : 'positions'})`);
+        }
+
+        await Promise.allSettled(this.animations.map(animation => animation.finished));
+        if (generation !== this.generation) return;
+
+        this.animations = [];
+        this.systemController.ecosystemEngine?.calculateProximityMap();
+        this.systemController.emit('layoutChange', { state: stateName, breakpoint, mode: arrangement.grid ? 'grid' : 'positions' });
+    }
+
+    /**
+     * @returns {string|null} Name of the widest breakpoint the viewport reaches, or null if none are defined
+     */
+    getBreakpoint() {
+        const width = window.innerWidth;
+        let match = null;
+        for (const [name, minWidth] of this.getBreakpoints()) {
+            if (width >= minWidth) match = name;
+        }
+        return match ?? this.getBreakpoints()[0]?.[0] ?? null;
+    }
+
+    /**
+     * Re-arrange after a resize: right away when a breakpoint is crossed, otherwise just
+     * rebuild proximities once the percentages have settled
+     * @private
+     */
+    followViewport() {
+        if (!this.state) return;
+
+        clearTimeout(this.resizeTimer);
+        if (this.getBreakpoint() !== this.breakpoint) {
+            this.apply(this.state);
+        } else {
+            this.resizeTimer = setTimeout(() => this.systemController.ecosystemEngine?.calculateProximityMap(), RESIZE_SETTLE_MS);
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Array<[string, number]>} Breakpoints, narrowest first
+     */
+    getBreakpoints() {
+        const breakpoints = this.jsonConfigSystem.getConfig('layoutContent')?.breakpoints || {};
+        return Object.entries(breakpoints).sort((a, b) => a[1] - b[1]);
+    }
+
+    /**
+     * Find the arrangement for a state at a breakpoint
+     * @private
+     * @returns {{grid?: Object, cards?: Object}} Arrangement; empty when cards keep their own position
+     */
+    resolveArrangement(stateName, breakpoint) {
+        const layouts = this.jsonConfigSystem.getConfig('layoutContent')?.layouts || {};
+        const layoutName = this.jsonConfigSystem.getConfig('stateMap').states[stateName]?.layout;
+        const candidates = [layouts[layoutName], layouts[DEFAULT_LAYOUT]].filter(Boolean);
+
+        const names = this.getBreakpoints().map(([name]) => name);
+        const start = breakpoint ? names.indexOf(breakpoint) : -1;
+        for (let index = start; index >= 0; index--) {
+            for (const layout of candidates) {
+                if (layout[names[index]]) return layout[names[index]];
+            }
+        }
+        return {};
+    }
+
+    /**
+     * @private
+     */
+    applyContainer(container, grid) {
+        GRID_STYLES.forEach(property => { container.style[property] = ''; });
+
+        if (!grid) {
+            container.dataset.layoutMode = 'positions';
+            return;
+        }
+
+        container.dataset.layoutMode = 'grid';
+        container.style.display = 'grid';
+        container.style.gridTemplateColumns = grid.columns ?? '';
+        container.style.gridTemplateRows = grid.rows ?? '';
+        container.style.gridTemplateAreas = (grid.areas || []).map(row => `"${row}"`).join(' ');
+        container.style.gap = grid.gap ?? '';
+    }
+
+    /**
+     * Replace the styles the previous arrangement gave a card with this one's
+     * @private
+     */
+    applyCard(card, arrangement, areaNames) {
+        const cardConfig = (this.jsonConfigSystem.getConfig('layoutContent')?.cards || []).find(entry => entry.id === card.id);
+
+        // The card's own position was set when it was created; it counts as the first arrangement
+        const previous = this.appliedStyles.get(card) ?? Object.keys(cardConfig?.position || {});
+        previous.forEach(property => { card.style[property] = ''; });
+
+        let styles = arrangement.cards?.[card.id];
+        if (!styles && !arrangement.grid) {
+            styles = cardConfig?.position || {};
+        }
+        styles = { ...styles };
+        if (areaNames.has(card.id)) {
+            styles.gridArea = card.id;
+        }
+
+        Object.assign(card.style, styles);
+        this.appliedStyles.set(card, Object.keys(styles));
+    }
+
+    /**
+     * Play a card's move from where it was drawn to where it now sits
+     * @private
+     * @returns {Animation|null} The running animation, or null if there is nothing to show
+     */
+    animateCard(card, from, to) {
+        if (card.classList.contains('card-inactive') || !from.width || !from.height || !to.width || !to.height) {
+            return null;
+        }
+
+        const dx = from.left - to.left;
+        const dy = from.top - to.top;
+        const scaleX = from.width / to.width;
+        const scaleY = from.height / to.height;
+        if (Math.abs(dx) < MIN_MOVE && Math.abs(dy) < MIN_MOVE
+            && Math.abs(from.width - to.width) < MIN_MOVE && Math.abs(from.height - to.height) < MIN_MOVE) {
+            return null;
+        }
+
+        return card.animate([
+            { transformOrigin: 'top left', transform: `translate(${dx}px, ${dy}px) scale(${scaleX}, ${scaleY})` },
+            { transformOrigin: 'top left', transform: 'none' }
+        ], { duration: LAYOUT_DURATION, easing: LAYOUT_EASING });
+    }
+
+    /**
+     * @private
+     * @returns {string[]} Area names in a grid's areas rows
+     */
+    getAreaNames(grid) {
+        return (grid?.areas || []).flatMap(row => row.trim().split(/\s+/)).filter(name => !/^\.+$/.test(name));
+    }
+
+    /**
+     * @private
+     */
+    prefersReducedMotion() {
+        return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+    }
+}
+
+export { LayoutEngine };
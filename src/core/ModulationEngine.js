@@ -0,0 +1,364 @@
+/**
+ * @file ModulationEngine.js
+ * @description LFOs, noise, ADSR envelopes and step sequencers bound to HomeMaster parameters
+ * Every modulator produces an output each frame; outputs aimed at the same parameter are
+ * summed and written to HomeMaster's additive 'modulation' layer, so they ride on top of
+ * whatever base, state or agent value the parameter currently has.
+ *
+ * Modulator spec (as declared in visuals.json / behavior.json):
+ *   { id?, type: 'lfo'|'noise'|'envelope'|'sequencer', target, depth = 1, rate = 1, phase = 0, offset = 0,
+ *     shape?: 'sine'|'triangle'|'square'|'sampleHold'             (lfo)
+ *     attack?, decay?, sustain?, release?, hold?, trigger?       (envelope, seconds / 0-1 sustain level)
+ *     steps?: number[], glide?: 0-1                               (sequencer) }
+ */
+
+import { valueNoise } from '../utils/ExpressionEvaluator.js';
+import { SystemClock } from './SystemClock.js';
+
+const MODULATION_LAYER = 'modulation';
+const MODULATION_PRIORITY = 40;
+
+const TYPES = ['lfo', 'noise', 'envelope', 'sequencer'];
+const LFO_SHAPES = ['sine', 'triangle', 'square', 'sampleHold'];
+
+const fract = x => x - Math.floor(x);
+
+// Deterministic pseudo-random in [-1, 1] for sample-and-hold steps
+const hashSigned = (n) => {
+    const s = Math.sin(n * 127.1 + 311.7) * 43758.5453123;
+    return fract(s) * 2 - 1;
+};
+
+const LFO = {
+    sine: cycle => Math.sin(cycle * Math.PI * 2),
+    triangle: cycle => 1 - 4 * Math.abs(fract(cycle + 0.25) - 0.5),
+    square: cycle => (fract(cycle) < 0.5 ? 1 : -1),
+    sampleHold: (cycle, seed) => hashSigned(Math.floor(cycle) + seed * 1000)
+};
+
+class ModulationEngine {
+    /**
+     * @param {VIB3HomeMaster} homeMaster - Parameter authority the modulation layer lives in
+     * @param {SystemClock} [clock] - Time source, so pausing or slowing the clock affects modulators too
+     */
+    constructor(homeMaster, clock = SystemClock.shared()) {
+        this.homeMaster = homeMaster;
+        this.clock = clock;
+        this.homeMaster.defineLayer(MODULATION_LAYER, { priority: MODULATION_PRIORITY, blend: 'add' });
+
+        // Modulator id -> { spec, group, seed, envelope }
+        this.modulators = new Map();
+        this.nextId = 1;
+
+        // Parameters written last frame, so dropped targets can be zeroed
+        this.activeTargets = new Set();
+
+        this.animationId = null;
+
+        console.log('〰️ ModulationEngine initialized');
+    }
+
+    /**
+     * Add a modulator
+     * @param {Object} spec - Modulator spec (see file header)
+     * @param {string} [group='agent'] - Owner group, used by replaceGroup()
+     * @returns {string|null} Modulator id, or null if the spec is invalid
+     */
+    addModulator(spec, group = 'agent') {
+        const error = this.validate(spec);
+        if (error) {
+            console.warn(`⚠️ ModulationEngine: ${error}`, spec);
+            return null;
+        }
+
+        const id = spec.id ? String(spec.id) : `mod-${this.nextId++}`;
+        if (this.modulators.has(id)) {
+            this.removeModulator(id);
+        }
+
+        this.modulators.set(id, {
+            spec: { ...spec, id },
+            group,
+            seed: this.nextId++,
+            envelope: { gate: false, level: 0, stage: 'idle', stageStart: 0, stageFrom: 0, autoReleaseAt: null }
+        });
+
+        this.ensureRunning();
+        return id;
+    }
+
+    /**
+     * Change properties of an existing modulator
+     * @param {string} id - Modulator id
+     * @param {Object} changes - Spec fields to replace
+     * @returns {boolean} False if the modulator is unknown or the result is invalid
+     */
+    updateModulator(id, changes) {
+        const modulator = this.modulators.get(id);
+        if (!modulator) return false;
+
+        const spec = { ...modulator.spec, ...changes, id };
+        const error = this.validate(spec);
+        if (error) {
+            console.warn(`⚠️ ModulationEngine: ${error}`, spec);
+            return false;
+        }
+
+        modulator.spec = spec;
+        return true;
+    }
+
+    /**
+     * Remove a modulator
+     * @param {string} id - Modulator id
+     * @returns {boolean} True if it existed
+     */
+    removeModulator(id) {
+        return this.modulators.delete(id);
+    }
+
+    /**
+     * Replace every modulator owned by a group
+     * @param {string} group - Group name ('visuals', 'behavior', 'state', ...)
+     * @param {Array<Object>} specs - New modulator specs
+     */
+    replaceGroup(group, specs = []) {
+        for (const [id, modulator] of Array.from(this.modulators)) {
+            if (modulator.group === group) {
+                this.modulators.delete(id);
+            }
+        }
+        specs.forEach(spec => this.addModulator(spec, group));
+    }
+
+    /**
+     * List modulators
+     * @returns {Array<Object>} { ...spec, group, value } for each modulator
+     */
+    getModulators() {
+        return Array.from(this.modulators.values()).map(({ spec, group, lastValue }) => ({
+            ...spec, group, value: lastValue ?? 0
+        }));
+    }
+
+    /**
+     * Open the gate of an envelope
+     * @param {string} id - Modulator id
+     * @param {Object} [options]
+     * @param {number} [options.hold] - Overrides the spec's hold for this trigger only
+     */
+    trigger(id, options = {}) {
+        const modulator = this.modulators.get(id);
+        if (!modulator || modulator.spec.type !== 'envelope') return;
+
+        const now = this.now();
+        const env = modulator.envelope;
+        const { attack = 0.1, decay = 0.2 } = modulator.spec;
+        const hold = options.hold ?? modulator.spec.hold;
+
+        // Retriggering starts the attack from the current level, so there is no click
+        env.gate = true;
+        env.stage = 'attack';
+        env.stageStart = now;
+        env.stageFrom = env.level;
+        env.autoReleaseAt = typeof hold === 'number' ? now + attack + decay + hold : null;
+
+        this.ensureRunning();
+    }
+
+    /**
+     * Close the gate of an envelope, starting its release stage
+     * @param {string} id - Modulator id
+     */
+    release(id) {
+        const modulator = this.modulators.get(id);
+        if (!modulator || modulator.spec.type !== 'envelope' || !modulator.envelope.gate) return;
+
+        const env = modulator.envelope;
+        env.gate = false;
+        env.stage = 'release';
+        env.stageStart = this.now();
+        env.stageFrom = env.level;
+        env.autoReleaseAt = null;
+    }
+
+    /**
+     * Trigger every envelope listening for a blueprint event
+     * @param {string} eventName - Blueprint name from behavior.json
+     */
+    triggerEvent(eventName) {
+        for (const [id, modulator] of this.modulators) {
+            if (modulator.spec.trigger === eventName) this.trigger(id);
+        }
+    }
+
+    /**
+     * Release every envelope listening for a blueprint event
+     * @param {string} eventName - Blueprint name from behavior.json
+     */
+    releaseEvent(eventName) {
+        for (const [id, modulator] of this.modulators) {
+            if (modulator.spec.trigger === eventName) this.release(id);
+        }
+    }
+
+    /**
+     * Stop the update loop and remove all modulation from HomeMaster
+     */
+    stop() {
+        if (this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.homeMaster.clearLayer(MODULATION_LAYER, 'modulation');
+        this.activeTargets.clear();
+    }
+
+    /**
+     * Compute all modulator outputs and write them to the modulation layer
+     * @param {number} [time] - Clock time in seconds
+     */
+    update(time = this.now()) {
+        const sums = {};
+
+        for (const modulator of this.modulators.values()) {
+            const { spec } = modulator;
+            if (spec.enabled === false) continue;
+
+            const value = this.sample(modulator, time) * (spec.depth ?? 1) + (spec.offset ?? 0);
+            modulator.lastValue = value;
+            sums[spec.target] = (sums[spec.target] || 0) + value;
+        }
+
+        // Targets nobody modulates any more fall back to zero contribution
+        for (const target of this.activeTargets) {
+            if (!(target in sums)) sums[target] = 0;
+        }
+        this.activeTargets = new Set(Object.keys(sums).filter(target => sums[target] !== 0));
+
+        if (Object.keys(sums).length > 0) {
+            this.homeMaster.setParameters(sums, 'modulation', MODULATION_LAYER);
+        }
+    }
+
+    /**
+     * @private
+     */
+    sample(modulator, time) {
+        const { spec, seed } = modulator;
+        const rate = spec.rate ?? 1;
+        const cycle = time * rate + (spec.phase ?? 0);
+
+        switch (spec.type) {
+            case 'lfo':
+                return LFO[spec.shape || 'sine'](cycle, seed);
+
+            case 'noise':
+                return valueNoise(cycle + seed * 17.0) * 2 - 1;
+
+            case 'sequencer': {
+                const steps = spec.steps;
+                const position = time * rate + (spec.phase ?? 0) * steps.length;
+                const index = ((Math.floor(position) % steps.length) + steps.length) % steps.length;
+                const glide = Math.max(0, Math.min(1, spec.glide ?? 0));
+                if (glide === 0) return steps[index];
+
+                // Glide over the last part of each step toward the next value
+                const local = fract(position);
+                const t = Math.max(0, (local - (1 - glide)) / glide);
+                return steps[index] + (steps[(index + 1) % steps.length] - steps[index]) * t;
+            }
+
+            case 'envelope':
+                return this.sampleEnvelope(modulator, time);
+        }
+        return 0;
+    }
+
+    /**
+     * Advance an ADSR envelope and return its level (0-1)
+     * @private
+     */
+    sampleEnvelope(modulator, time) {
+        const env = modulator.envelope;
+        const { attack = 0.1, decay = 0.2, sustain = 0.7, release = 0.5 } = modulator.spec;
+
+        if (env.autoReleaseAt !== null && time >= env.autoReleaseAt) {
+            this.release(modulator.spec.id);
+        }
+
+        // Clamped so seeking the clock backwards holds the stage start rather than overshooting
+        const elapsed = Math.max(0, time - env.stageStart);
+        const ramp = (from, to, duration) => (duration > 0 ? from + (to - from) * Math.min(1, elapsed / duration) : to);
+
+        switch (env.stage) {
+            case 'attack':
+                env.level = ramp(env.stageFrom, 1, attack);
+                if (elapsed >= attack) {
+                    env.stage = 'decay';
+                    env.stageStart = env.stageStart + attack;
+                    env.stageFrom = 1;
+                }
+                break;
+            case 'decay':
+                env.level = ramp(1, sustain, decay);
+                if (elapsed >= decay) env.stage = 'sustain';
+                break;
+            case 'sustain':
+                env.level = sustain;
+                break;
+            case 'release':
+                env.level = ramp(env.stageFrom, 0, release);
+                if (elapsed >= release) env.stage = 'idle';
+                break;
+            default:
+                env.level = 0;
+        }
+
+        return env.level;
+    }
+
+    /**
+     * @private
+     * @returns {string|null} Error message, or null if the spec is usable
+     */
+    validate(spec) {
+        if (!spec || !TYPES.includes(spec.type)) {
+            return `Unknown modulator type '${spec?.type}'`;
+        }
+        if (!this.homeMaster.hasParameter(spec.target)) {
+            return `Unknown modulation target '${spec.target}'`;
+        }
+        if (spec.type === 'lfo' && spec.shape && !LFO_SHAPES.includes(spec.shape)) {
+            return `Unknown LFO shape '${spec.shape}'`;
+        }
+        if (spec.type === 'sequencer' && (!Array.isArray(spec.steps) || spec.steps.length === 0 || !spec.steps.every(Number.isFinite))) {
+            return 'Sequencer needs a non-empty numeric steps array';
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    now() {
+        return this.clock.time;
+    }
+
+    /**
+     * @private
+     */
+    ensureRunning() {
+        if (this.animationId !== null) return;
+
+        const loop = () => {
+            this.update();
+            this.animationId = this.modulators.size > 0 || this.activeTargets.size > 0
+                ? requestAnimationFrame(loop)
+                : null;
+        };
+        this.animationId = requestAnimationFrame(loop);
+    }
+}
+
+export { ModulationEngine, MODULATION_LAYER };
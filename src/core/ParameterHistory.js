@@ -0,0 +1,303 @@
+/**
+ * @file ParameterHistory.js
+ * @description Bounded undo/redo journal for parameter, state and config changes
+ * Writes from the same source that land within the coalesce window are folded into one
+ * entry, so a slider drag or a tween is a single undo step. Sources listed in
+ * ignoreSources (per-frame writers such as the reactive loop) are never recorded.
+ * Each entry kind is restored by an applier registered by the subsystem that owns it.
+ * Appliers tag their writes with the 'history' source; only those are kept out of the journal
+ * while an entry is applied, so edits made during a long undo transition are still recorded.
+ */
+
+const HISTORY_SOURCE = 'history';
+
+
+class ParameterHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=200] - Oldest entries are dropped beyond this
+     * @param {number} [options.coalesceMs=500] - Window for folding same-source writes together
+     * @param {string[]} [options.ignoreSources] - Sources that are never recorded
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 200;
+        this.coalesceMs = options.coalesceMs ?? 500;
+        this.ignoreSources = new Set(options.ignoreSources || ['reactive-system']);
+
+        this.entries = [];
+        // Number of entries currently applied; entries at or past the cursor are redoable
+        this.cursor = 0;
+        this.nextId = 1;
+
+        // Entry kind -> (change, value) => void|Promise
+        this.appliers = new Map();
+        // Source -> number of runUntracked() scopes currently suppressing it
+        this.suppressedSources = new Map();
+        // Entry being undone or redone; new writes are never folded into it
+        this.applyingEntry = null;
+        // Undo/redo steps run one at a time
+        this.queue = Promise.resolve();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Register how changes of a kind are restored
+     * @param {string} kind - 'parameter', 'state', 'config', ...
+     * @param {Function} applier - (change, value) => void|Promise; value is change.before or change.after.
+     *   Writes the applier makes should use the 'history' source.
+     */
+    registerApplier(kind, applier) {
+        this.appliers.set(kind, applier);
+    }
+
+    /**
+     * Record a change
+     * Ignored for filtered sources and for sources suppressed by runUntracked().
+     * @param {string} kind - Entry kind, matching a registered applier
+     * @param {Object} change - { key, before, after, ...extra }; key identifies the target for coalescing
+     * @param {string} [source='unknown'] - Source of the change
+     * @returns {Object|null} Entry the change was recorded in
+     */
+    record(kind, change, source = 'unknown') {
+        if (this.ignoreSources.has(source) || this.suppressedSources.has(source)) return null;
+        if (change.before === change.after) return null;
+
+        const now = Date.now();
+
+        // A new change discards the redo branch
+        if (this.cursor < this.entries.length) {
+            this.entries.length = this.cursor;
+        }
+
+        const last = this.entries[this.cursor - 1];
+        if (last && last !== this.applyingEntry && last.kind === kind && last.source === source && now - last.updatedAt <= this.coalesceMs) {
+            const existing = last.changes.find(item => item.key === change.key);
+            if (existing) {
+                existing.after = change.after;
+            } else {
+                last.changes.push({ ...change });
+            }
+            last.updatedAt = now;
+            this.emit();
+            return last;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            kind,
+            source,
+            timestamp: now,
+            updatedAt: now,
+            changes: [{ ...change }]
+        };
+        this.entries.push(entry);
+        this.cursor = this.entries.length;
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+            this.cursor = this.entries.length;
+        }
+
+        this.emit();
+        return entry;
+    }
+
+    /**
+     * Revert the most recent applied entry
+     * @returns {Promise<Object|null>} The undone entry, or null if there is nothing to undo
+     */
+    undo() {
+        return this.enqueue(async () => {
+            if (!this.canUndo()) return null;
+
+            // Step back first so an edit made during the transition lands after the
+            // undone entry and discards it like any other new change
+            const entry = this.entries[this.cursor - 1];
+            this.cursor--;
+            this.emit();
+            try {
+                await this.applyEntry(entry, 'undo');
+            } catch (error) {
+                if (this.entries[this.cursor] === entry) this.cursor++;
+                this.emit();
+                throw error;
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Re-apply the next undone entry
+     * @returns {Promise<Object|null>} The redone entry, or null if there is nothing to redo
+     */
+    redo() {
+        return this.enqueue(async () => {
+            if (!this.canRedo()) return null;
+
+            const entry = this.entries[this.cursor];
+            this.cursor++;
+            this.emit();
+            try {
+                await this.applyEntry(entry, 'redo');
+            } catch (error) {
+                if (this.entries[this.cursor - 1] === entry) this.cursor--;
+                this.emit();
+                throw error;
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Undo or redo until the given entry is the latest applied one
+     * @param {Object|number} entry - Entry or entry id; 0 rewinds to before the first entry
+     * @returns {Promise<boolean>} False if the entry is not in the journal
+     */
+    async jumpTo(entry) {
+        const id = typeof entry === 'object' && entry !== null ? entry.id : entry;
+        const target = id === 0 ? 0 : this.entries.findIndex(item => item.id === id) + 1;
+        if (target === 0 && id !== 0) return false;
+
+        while (this.cursor > target) await this.undo();
+        while (this.cursor < target) await this.redo();
+        return true;
+    }
+
+    /**
+     * @returns {boolean} True if there is an entry to undo
+     */
+    canUndo() {
+        return this.cursor > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is an entry to redo
+     */
+    canRedo() {
+        return this.cursor < this.entries.length;
+    }
+
+    /**
+     * List journal entries
+     * @param {Object} [filter]
+     * @param {string} [filter.source] - Only entries from this source
+     * @param {string} [filter.kind] - Only entries of this kind
+     * @returns {Array<Object>} Entries with an `applied` flag, oldest first
+     */
+    getEntries({ source, kind } = {}) {
+        return this.entries
+            .map((entry, index) => ({ ...entry, applied: index < this.cursor }))
+            .filter(entry => (!source || entry.source === source) && (!kind || entry.kind === kind));
+    }
+
+    /**
+     * Include or exclude a source from recording
+     * @param {string} source - Source name
+     * @param {boolean} [ignored=true] - True to stop recording it
+     */
+    setSourceIgnored(source, ignored = true) {
+        if (ignored) {
+            this.ignoreSources.add(source);
+        } else {
+            this.ignoreSources.delete(source);
+        }
+    }
+
+    /**
+     * Run a task without recording the changes it makes under the given sources
+     * Only writes tagged with those sources are dropped; anything else written while an
+     * async task is pending (a user edit mid-transition) is still recorded.
+     * @param {Function} task - Sync or async function
+     * @param {string[]} sources - Sources the task writes with
+     * @returns {Promise<*>} The task's result
+     */
+    async runUntracked(task, sources) {
+        for (const source of sources) {
+            this.suppressedSources.set(source, (this.suppressedSources.get(source) || 0) + 1);
+        }
+        try {
+            return await task();
+        } finally {
+            for (const source of sources) {
+                const depth = this.suppressedSources.get(source) - 1;
+                if (depth > 0) {
+                    this.suppressedSources.set(source, depth);
+                } else {
+                    this.suppressedSources.delete(source);
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop every entry
+     */
+    clear() {
+        this.entries = [];
+        this.cursor = 0;
+        this.emit();
+    }
+
+    /**
+     * Subscribe to journal changes
+     * @param {Function} callback - ({ canUndo, canRedo, size }) => void
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * @param {Function} callback - Callback passed to addListener()
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    async applyEntry(entry, direction) {
+        const applier = this.appliers.get(entry.kind);
+        if (!applier) {
+            throw new Error(`No history applier registered for '${entry.kind}'`);
+        }
+
+        const changes = direction === 'undo' ? [...entry.changes].reverse() : entry.changes;
+
+        this.applyingEntry = entry;
+        try {
+            await this.runUntracked(async () => {
+                for (const change of changes) {
+                    await applier(change, direction === 'undo' ? change.before : change.after);
+                }
+            }, [HISTORY_SOURCE]);
+        } finally {
+            this.applyingEntry = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    enqueue(step) {
+        const result = this.queue.then(step);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    emit() {
+        const status = { canUndo: this.canUndo(), canRedo: this.canRedo(), size: this.entries.length };
+        for (const callback of this.listeners) {
+            try {
+                callback(status);
+            } catch (error) {
+                console.error('❌ ParameterHistory: Listener error:', error);
+            }
+        }
+    }
+}
+
+export { ParameterHistory };
@@ -0,0 +1,239 @@
+/**
+ * @file StateRouter.js
+ * @description Keeps the URL in step with the layout state, so states can be linked,
+ * refreshed and walked with the browser's back and forward buttons
+ * A route is a state plus, optionally, the id of an expanded card. state-map.json decides
+ * how routes are written:
+ *
+ *   "routing": { "mode": "hash" }     index.html#/tech, index.html#/tech/card-03 (default)
+ *   "routing": { "mode": "path" }     /tech, /tech/card-03
+ *
+ * A state's URL segment is its name unless it sets "path"; the initialState has no segment.
+ * Path mode needs a server that answers state URLs with index.html (dev-server.mjs does).
+ * Its base is the directory index.html is served from, so a site under a sub-path (such as
+ * user.github.io/repo/) works without configuration; "base" overrides it. Hashes that are
+ * not routes (#look=...) are left alone.
+ *
+ * Every route change is announced as a `vib34d:route` window event with { state, card, source }.
+ */
+
+// Directory holding index.html, derived from this module's location (src/core/)
+const APP_BASE = new URL('../../', import.meta.url).pathname;
+const HASH_PREFIX = '#/';
+
+class StateRouter {
+    /**
+     * @param {SystemController} systemController - Controller whose state is routed
+     */
+    constructor(systemController) {
+        this.systemController = systemController;
+        this.jsonConfigSystem = systemController.jsonConfigSystem;
+        this.current = { state: null, card: null };
+        this.listening = false;
+
+        // Back/forward steps are applied one at a time; each may run a geometry transition
+        this.queue = Promise.resolve();
+        this.handlePopState = () => {
+            this.queue = this.queue.then(() => this.followLocation('popstate'));
+        };
+    }
+
+    /**
+     * Start following back/forward
+     * @returns {{state: string, card: string|null}|null} Route in the current URL, or null if it has none
+     */
+    start() {
+        if (!this.listening) {
+            window.addEventListener('popstate', this.handlePopState);
+            this.listening = true;
+        }
+        console.log(`🧭 StateRouter: ${this.getOptions().mode} routing under ${this.getBase()}`);
+        return this.resolve(window.location);
+    }
+
+    /**
+     * Stop following back/forward
+     */
+    stop() {
+        window.removeEventListener('popstate', this.handlePopState);
+        this.listening = false;
+    }
+
+    /**
+     * Read a route from a URL
+     * @param {Location|URL} location - URL to read
+     * @returns {{state: string, card: string|null}|null} Route, or null if the URL names no known state
+     */
+    resolve(location) {
+        const segments = this.getRouteSegments(location);
+        if (segments === null) return null;
+
+        const states = this.jsonConfigSystem.getConfig('stateMap').states;
+        const [stateSegment, card = null] = segments;
+        const state = stateSegment === undefined
+            ? this.jsonConfigSystem.getConfig('stateMap').initialState
+            : Object.keys(states).find(name => this.getStateSegment(name) === stateSegment);
+
+        if (!state) {
+            console.warn(`⚠️ StateRouter: No state for '${stateSegment}'`);
+            return null;
+        }
+
+        const cardIds = (this.jsonConfigSystem.getConfig('layoutContent')?.cards || []).map(entry => entry.id);
+        if (card && !cardIds.includes(card)) {
+            console.warn(`⚠️ StateRouter: No card '${card}'`);
+            return { state, card: null };
+        }
+        return { state, card };
+    }
+
+    /**
+     * Build the URL for a route
+     * @param {string} state - State name
+     * @param {string|null} [card] - Expanded card id
+     * @returns {string} URL (path, query and hash) to put in the address bar
+     */
+    buildUrl(state, card = null) {
+        const segments = [this.getStateSegment(state), card].filter(Boolean).map(encodeURIComponent);
+        const { pathname, search, hash } = window.location;
+        const otherHash = this.isRouteHash(hash) ? '' : hash;
+
+        if (this.getOptions().mode === 'path') {
+            return `${this.getBase()}${segments.join('/')}${search}${otherHash}`;
+        }
+        // A hash holds either a route or something else (a look); the route takes its place
+        const routeHash = segments.length > 0 ? `${HASH_PREFIX}${segments.join('/')}` : otherHash;
+        return `${pathname}${search}${routeHash}`;
+    }
+
+    /**
+     * Record a route in the browser history
+     * @param {string} state - State name
+     * @param {string|null} [card] - Expanded card id
+     * @param {string} [mode='push'] - 'push' adds a history entry, 'replace' rewrites the current one,
+     * 'none' leaves the URL as it is
+     */
+    record(state, card = null, mode = 'push') {
+        const url = this.buildUrl(state, card);
+        const route = { state, card };
+
+        if (mode !== 'none' && url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            if (mode === 'replace') {
+                window.history.replaceState(route, '', url);
+            } else {
+                window.history.pushState(route, '', url);
+            }
+        }
+
+        const changed = route.state !== this.current.state || route.card !== this.current.card;
+        this.current = route;
+        if (changed) {
+            this.announce('navigate');
+        }
+    }
+
+    /**
+     * Change the expanded card, keeping the state
+     * @param {string|null} card - Card id, or null when no card is expanded
+     * @param {string} [mode='push'] - As for record()
+     */
+    setCard(card, mode = 'push') {
+        this.record(this.current.state ?? this.systemController.currentState, card, mode);
+    }
+
+    /**
+     * @returns {{state: string|null, card: string|null}} Route last recorded or followed
+     */
+    getRoute() {
+        return { ...this.current };
+    }
+
+    /**
+     * Navigate to whatever the URL now says (after back/forward)
+     * @private
+     */
+    async followLocation(source) {
+        // Hashes that are not routes (#look=...) and unknown states leave the current state alone
+        const route = this.resolve(window.location);
+        if (!route) return;
+
+        // Set first, so the navigation below sees nothing new to record or announce
+        const changed = route.state !== this.current.state || route.card !== this.current.card;
+        this.current = route;
+
+        if (route.state !== this.systemController.currentState) {
+            await this.systemController.navigateToState(route.state, { history: 'none', card: route.card });
+        }
+        if (changed) {
+            this.announce(source);
+        }
+    }
+
+    /**
+     * @private
+     */
+    announce(source) {
+        this.systemController.emit('route', { ...this.current, source });
+    }
+
+    /**
+     * Segments of the route part of a URL
+     * @private
+     * @returns {string[]|null} [] for the initial state, null when the URL holds no route
+     */
+    getRouteSegments(location) {
+        let routePath;
+        if (this.getOptions().mode === 'path') {
+            const base = this.getBase();
+            const pathname = location.pathname === base.slice(0, -1) ? base : location.pathname;
+            if (!pathname.startsWith(base)) return null;
+            routePath = pathname.slice(base.length).replace(/^index\.html$/, '');
+        } else {
+            if (!location.hash || location.hash === '#') return [];
+            if (!this.isRouteHash(location.hash)) return null;
+            routePath = location.hash.slice(HASH_PREFIX.length);
+        }
+
+        try {
+            return routePath.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    getStateSegment(state) {
+        const stateMap = this.jsonConfigSystem.getConfig('stateMap');
+        if (state === stateMap.initialState) return '';
+        return stateMap.states[state]?.path ?? state;
+    }
+
+    /**
+     * @private
+     */
+    isRouteHash(hash) {
+        return hash.startsWith(HASH_PREFIX);
+    }
+
+    /**
+     * @private
+     * @returns {{mode: string, base?: string}} state-map.json routing options
+     */
+    getOptions() {
+        return { mode: 'hash', ...this.jsonConfigSystem.getConfig('stateMap').routing };
+    }
+
+    /**
+     * @private
+     * @returns {string} Base path with leading and trailing slashes
+     */
+    getBase() {
+        const base = this.getOptions().base;
+        if (!base) return APP_BASE;
+        return `/${base.replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+    }
+}
+
+export { StateRouter };
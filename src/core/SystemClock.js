@@ -0,0 +1,206 @@
+/**
+ * @file SystemClock.js
+ * @description Shared animation time for every visualizer and time-driven subsystem
+ * The clock advances once per animation frame by the real elapsed time multiplied by
+ * timeScale (or by a fixed step, for reproducible captures). Readers take `time` as
+ * absolute seconds and derive their own per-frame delta from it, so pausing, slow motion,
+ * seeking and single-frame stepping apply everywhere at once.
+ */
+
+// Longest real gap counted as one frame; a backgrounded tab resumes instead of leaping ahead
+const MAX_FRAME_DELTA = 0.25;
+const DEFAULT_STEP = 1 / 60;
+
+let sharedClock = null;
+
+class SystemClock {
+    /**
+     * The clock visualizers fall back to when none is passed in
+     * @returns {SystemClock}
+     */
+    static shared() {
+        if (!sharedClock) {
+            sharedClock = new SystemClock();
+            sharedClock.start();
+        }
+        return sharedClock;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeScale=1] - Initial speed multiplier
+     * @param {number|null} [options.fixedDelta=null] - Advance by this many seconds per frame instead of real time
+     */
+    constructor(options = {}) {
+        /** Seconds of animation time elapsed */
+        this.time = 0;
+        /** Seconds the last frame advanced by */
+        this.delta = 0;
+        this.frame = 0;
+
+        this.timeScale = options.timeScale ?? 1;
+        this.fixedDelta = options.fixedDelta ?? null;
+        this.paused = false;
+
+        this.lastReal = null;
+        this.animationId = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Start advancing with the display's frame rate
+     */
+    start() {
+        if (this.animationId !== null) return;
+
+        const loop = (now) => {
+            this.tick(now);
+            this.animationId = requestAnimationFrame(loop);
+        };
+        this.lastReal = null;
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    /**
+     * Stop the frame loop entirely (pause() keeps it running at zero speed)
+     */
+    stop() {
+        if (this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Freeze animation time
+     */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.emit('pause');
+    }
+
+    /**
+     * Continue from the current time
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.lastReal = null;
+        this.emit('resume');
+    }
+
+    /**
+     * @param {number} scale - 1 is real time, 0.25 slow motion, 2 fast-forward
+     */
+    setTimeScale(scale) {
+        if (!Number.isFinite(scale) || scale < 0) {
+            throw new Error(`Invalid time scale: ${scale}`);
+        }
+        this.timeScale = scale;
+        this.emit('timeScale');
+    }
+
+    /**
+     * Render at a fixed step per frame regardless of frame rate
+     * @param {number|null} seconds - Step length, or null to follow real time again
+     */
+    setFixedDelta(seconds) {
+        if (seconds !== null && !(seconds > 0)) {
+            throw new Error(`Invalid fixed delta: ${seconds}`);
+        }
+        this.fixedDelta = seconds;
+        this.emit('fixedDelta');
+    }
+
+    /**
+     * Jump to an absolute time
+     * @param {number} time - Seconds
+     */
+    seek(time) {
+        if (!Number.isFinite(time) || time < 0) {
+            throw new Error(`Invalid clock time: ${time}`);
+        }
+        this.delta = time - this.time;
+        this.time = time;
+        this.emit('seek');
+    }
+
+    /**
+     * Advance by whole frames while paused; pauses first if running
+     * @param {number} [frames=1] - Number of frames to advance
+     */
+    step(frames = 1) {
+        this.pause();
+        this.advance((this.fixedDelta ?? DEFAULT_STEP) * frames);
+        this.emit('step');
+    }
+
+    /**
+     * @returns {Object} { time, frame, timeScale, fixedDelta, paused }
+     */
+    getStatus() {
+        return {
+            time: this.time,
+            frame: this.frame,
+            timeScale: this.timeScale,
+            fixedDelta: this.fixedDelta,
+            paused: this.paused
+        };
+    }
+
+    /**
+     * Subscribe to control changes (not to individual frames)
+     * @param {Function} callback - ({ type, ...status }) => void; type is pause, resume, timeScale, fixedDelta, seek or step
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * @param {Function} callback - Callback passed to addListener()
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    tick(now) {
+        const real = this.lastReal === null ? 0 : Math.min(MAX_FRAME_DELTA, (now - this.lastReal) / 1000);
+        this.lastReal = now;
+
+        if (this.paused) {
+            this.delta = 0;
+            return;
+        }
+
+        this.advance((this.fixedDelta ?? real) * this.timeScale);
+    }
+
+    /**
+     * @private
+     */
+    advance(seconds) {
+        this.delta = seconds;
+        this.time += seconds;
+        this.frame++;
+    }
+
+    /**
+     * @private
+     */
+    emit(type) {
+        const event = { type, ...this.getStatus() };
+        for (const callback of this.listeners) {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('❌ SystemClock: Listener error:', error);
+            }
+        }
+    }
+}
+
+export { SystemClock };
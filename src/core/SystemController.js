@@ -10,16 +10,78 @@ import { AgentAPI } from './AgentAPI.js';
 import { VIB34DReactiveCore } from '../visualizers/VIB34DReactiveCore.js';
 import { VIB34DEnhancedCore } from '../visualizers/VIB34DEnhancedCore.js';
 import { HolographicVisualizer } from '../visualizers/HolographicVisualizer.js';
+import { SharedContextRenderer } from '../managers/SharedContextRenderer.js';
+import { AnimationEngine } from './AnimationEngine.js';
+import { ExpressionEvaluator } from '../utils/ExpressionEvaluator.js';
+import { BlueprintRevertTracker } from '../interactions/BlueprintRevertTracker.js';
+import { EventBindingRegistry } from '../interactions/EventBindingRegistry.js';
+import { CommandDispatcher } from '../interactions/CommandDispatcher.js';
+import { resolveBlueprints, diffBlueprints } from '../interactions/BlueprintComposer.js';
+import { encodeLook, decodeLook, sanitizeLook } from '../utils/PermalinkCodec.js';
+import { createContentCard } from '../content/CardRegistry.js';
+import { CardDetailView } from '../content/CardDetailView.js';
+import { ModulationEngine } from './ModulationEngine.js';
+import { TimelineSequencer } from './TimelineSequencer.js';
+import { SystemClock } from './SystemClock.js';
+import { ConfigHotReload } from './ConfigHotReload.js';
+import { StateRouter } from './StateRouter.js';
+import { LayoutEngine } from './LayoutEngine.js';
 import { UserEventReactiveCore } from './UserEventReactiveCore.js';
 import { EcosystemReactionEngine } from './EcosystemReactionEngine.js';
 
+// Document-level blueprints have no subject element, so only their global reactions apply
+const globalReactionsOnly = reaction => (reaction.target === 'global' ? [] : null);
+
+// Reaction tweens ride on the additive interaction layer, so agent and state values stay underneath
+const REACTION_LAYER = 'interaction';
+
+// Selections rather than amounts; an offset would carry the old choice into the next state
+const SELECTION_PARAMS = ['geometry', 'projection'];
+
+// Offset owner on card visualizers for parameter reactions aimed at the other cards
+const ECOSYSTEM_OFFSET_SOURCE = 'ecosystem';
+
+// Blueprint name -> method that binds its DOM handlers
+const BLUEPRINT_BINDERS = {
+    mouseMoveMorphing: 'setupMouseMovementInteraction',
+    scrollGridDensity: 'setupScrollInteraction',
+    cardHoverEcosystem: 'setupCardHoverEcosystem',
+    clickRotationBoost: 'setupClickInteraction'
+};
+
 class SystemController {
-    constructor() {
-        this.jsonConfigSystem = new JsonConfigSystem();
+    /**
+     * @param {Object} [options]
+     * @param {string|string[]} [options.profile] - Config profile(s) to overlay (see JsonConfigSystem)
+     */
+    constructor(options = {}) {
+        this.jsonConfigSystem = new JsonConfigSystem({ profile: options.profile });
         this.homeMaster = new VIB3HomeMaster(this.jsonConfigSystem);
+        this.clock = SystemClock.shared();
+        this.animationEngine = new AnimationEngine(this.homeMaster, { clock: this.clock });
+        this.revertTracker = new BlueprintRevertTracker(this.animationEngine, this.homeMaster, {
+            resolveLayer: name => this.getReactionLayer(name),
+            resolveCardOffset: (element, name) => this.getCardOffsetTarget(element, name),
+            offsetSource: ECOSYSTEM_OFFSET_SOURCE
+        });
+        this.modulationEngine = new ModulationEngine(this.homeMaster, this.clock);
+        this.timelineSequencer = new TimelineSequencer(this, this.clock);
+        this.bindings = new EventBindingRegistry();
+        this.commandDispatcher = new CommandDispatcher();
+        this.activeBlueprints = {};
         this.agentAPI = null;
+        this.hotReload = null;
+        this.router = null;
+        this.cardDetail = null;
+        
+        // Latest raw inputs, exposed to blueprint expressions
+        this.inputState = { mouseX: 0.5, mouseY: 0.5, scrollDelta: 0, keyIndex: 0 };
         
         this.visualizers = new Map();
+        
+        // Card id -> ContentCard rendering its body
+        this.contentCards = new Map();
+        this.sharedRenderer = null;
         this.interactionCoordinator = null;
         this.reactivityBridge = null;
         
@@ -32,9 +94,24 @@ class SystemController {
         // ECOSYSTEM REACTION ENGINE
         this.ecosystemEngine = new EcosystemReactionEngine();
         
+        // Per-state, per-breakpoint card arrangements from layout-content.json
+        this.layoutEngine = new LayoutEngine(this);
+        
         this.isInitialized = false;
         this.currentState = 'home';
         
+        // The global geometry parameter drives the board; cards keep the geometry from their layout
+        this.homeMaster.addParameterListener('geometry', (name, value) => this.applyBoardGeometry(value));
+        
+        // Undoing a navigation or config edit needs the full transition, not just HomeMaster's copy
+        // Their writes are tagged 'history' so only those stay out of the journal, and the URL
+        // entry is replaced rather than pushed so the back button does not redo the navigation
+        this.homeMaster.history.registerApplier('state', (change, stateName) => this.navigateToState(stateName, { history: 'replace', source: 'history' }));
+        this.homeMaster.history.registerApplier('config', async (change, config) => {
+            this.jsonConfigSystem.configs[change.name] = config;
+            await this.handleConfigUpdate(change.name, config, { source: 'history' });
+        });
+        
         console.log('🎛️ SystemController initialized with User Event Reactivity');
     }
     
@@ -56,6 +133,7 @@ class SystemController {
             // Phase 3: Create layout from layout-content.json
             console.log('🎨 Phase 3: Creating layout from JSON...');
             await this.createLayoutFromJSON();
+            this.layoutEngine.start();
             
             // Phase 4: Initialize visualizers
             console.log('📺 Phase 4: Initializing visualizers...');
@@ -65,13 +143,23 @@ class SystemController {
             console.log('⚡ Phase 5: Setting up interaction system...');
             await this.setupInteractionSystem();
             
+            // Phase 5b: Start modulators declared in visuals.json / behavior.json
+            this.loadModulators();
+            
             // Phase 6: Initialize Agent API
             console.log('🤖 Phase 6: Initializing Agent API...');
             this.agentAPI = new AgentAPI(this, this.homeMaster, this.jsonConfigSystem);
+            this.commandDispatcher.setTarget(this.agentAPI);
             
-            // Phase 7: Set initial state
+            // Phase 7: Set initial state, or the one in the URL
             console.log('🌐 Phase 7: Setting initial state...');
-            await this.setInitialState();
+            this.router = new StateRouter(this);
+            this.cardDetail = new CardDetailView(this);
+            this.cardDetail.start();
+            await this.setInitialState(this.router.start());
+            
+            // Phase 7b: Restore a shared look from the URL fragment
+            await this.applyPermalinkFromLocation();
             
             // Phase 8: Initialize User Event Reactive System
             console.log('🎮 Phase 8: Starting User Event Reactive System...');
@@ -81,6 +169,14 @@ class SystemController {
             console.log('🌐 Phase 9: Starting Ecosystem Reaction Engine...');
             await this.ecosystemEngine.initialize(this.visualizers);
             
+            // Phase 10: Follow config edits when served by dev-server.mjs
+            const devServer = document.querySelector('meta[name="vib34d-dev-server"]');
+            if (devServer) {
+                console.log('🔥 Phase 10: Connecting config hot reload...');
+                this.hotReload = new ConfigHotReload(this, devServer.content);
+                this.hotReload.connect();
+            }
+            
             this.isInitialized = true;
             console.log('✅ SystemController: VIB34D system fully initialized with Ecosystem Reactions!');
             
@@ -137,6 +233,7 @@ class SystemController {
      */
     createCardsFromJSON(cardsConfig, container) {
         // Clear existing cards
+        this.disposeContentCards();
         const existingCards = container.querySelectorAll('.blog-card');
         existingCards.forEach(card => card.remove());
         
@@ -155,17 +252,12 @@ class SystemController {
             canvas.width = 400;
             canvas.height = 300;
             
-            // Create content container
-            const content = document.createElement('div');
-            content.className = 'card-content';
-            content.innerHTML = `
-                <div class="card-title">${cardConfig.title}</div>
-                <div class="card-subtitle">${cardConfig.subtitle}</div>
-                <div class="card-description">${cardConfig.content}</div>
-            `;
+            // Content by card type (article, video, audio, interactive)
+            const contentCard = createContentCard(cardConfig);
+            this.contentCards.set(cardConfig.id, contentCard);
             
             card.appendChild(canvas);
-            card.appendChild(content);
+            card.appendChild(contentCard.render());
             container.appendChild(card);
             
             console.log(`📄 Created card: ${cardConfig.id}`);
@@ -187,7 +279,7 @@ class SystemController {
         const boardCanvas = document.getElementById('board-visualizer');
         if (boardCanvas) {
             try {
-                const boardViz = new VIB34DEnhancedCore(boardCanvas);
+                const boardViz = this.createEnhancedVisualizer(boardCanvas);
                 boardViz.setTheme('hypercube');
                 boardViz.start();
                 this.visualizers.set('board-visualizer', boardViz);
@@ -195,8 +287,8 @@ class SystemController {
                 console.log('🔮 Initialized HIGH-FIDELITY 4D board visualizer');
             } catch (error) {
                 console.error('❌ Board visualizer failed, falling back:', error);
-                // Fallback to basic visualizer
-                const boardViz = new VIB34DReactiveCore(boardCanvas, 0, [1.0, 0.0, 1.0], 'board');
+                // Fallback to basic visualizer, on the canvas createEnhancedVisualizer() may have swapped in
+                const boardViz = new VIB34DReactiveCore(document.getElementById('board-visualizer'), 0, [1.0, 0.0, 1.0], 'board');
                 this.visualizers.set('board-visualizer', boardViz);
                 this.homeMaster.registerVisualizer(boardViz);
             }
@@ -216,7 +308,7 @@ class SystemController {
                 let visualizer;
                 try {
                     // Use enhanced core with high-fidelity features
-                    visualizer = new VIB34DEnhancedCore(canvas);
+                    visualizer = this.createEnhancedVisualizer(canvas);
                     visualizer.setTheme(geometry.name);
                     visualizer.setParameter('geometry', geometryIndex);
                     visualizer.setParameter('baseColor', geometryColor);
@@ -225,12 +317,13 @@ class SystemController {
                     console.log(`🔮 Enhanced card visualizer: ${canvasId} (${geometry.name})`);
                 } catch (error) {
                     console.error(`❌ Enhanced card visualizer failed for ${canvasId}, falling back:`, error);
-                    // Fallback to basic visualizer
-                    visualizer = new VIB34DReactiveCore(canvas, geometry.id, geometry.baseColor, 'card');
+                    // Fallback to basic visualizer, on the canvas createEnhancedVisualizer() may have swapped in
+                    visualizer = new VIB34DReactiveCore(document.getElementById(canvasId), geometry.id, geometry.baseColor, 'card');
                 }
                 
                 this.visualizers.set(canvasId, visualizer);
                 this.homeMaster.registerVisualizer(visualizer);
+                this.contentCards.get(cardConfig.id)?.attachVisualizer(visualizer);
                 
                 console.log(`🔮 Initialized 4D MATHEMATICS ${canvasId} with ${geometry.name} geometry`);
             }
@@ -239,6 +332,88 @@ class SystemController {
         console.log(`✅ Initialized ${this.visualizers.size} visualizers`);
     }
     
+    /**
+     * Stop and forget every visualizer, so a layout rebuild does not leave old render loops running
+     */
+    disposeVisualizers() {
+        this.contentCards.forEach(contentCard => contentCard.attachVisualizer(null));
+        for (const visualizer of this.visualizers.values()) {
+            if (visualizer.destroy) {
+                visualizer.destroy();
+            } else if (visualizer.stop) {
+                visualizer.stop();
+            }
+            this.homeMaster.unregisterVisualizer(visualizer);
+        }
+        this.visualizers.clear();
+    }
+    
+    /**
+     * Tear down every card's content (media, embedded scripts) before the cards are rebuilt
+     */
+    disposeContentCards() {
+        this.contentCards.forEach(contentCard => contentCard.destroy());
+        this.contentCards.clear();
+    }
+    
+    /**
+     * Create an enhanced visualizer, drawing through the shared context when visuals.json asks for it
+     * If shared rendering fails the canvas is replaced by a fresh copy for the dedicated context.
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @returns {VIB34DEnhancedCore} Visualizer instance
+     */
+    createEnhancedVisualizer(canvas) {
+        const sharedRenderer = this.getSharedRenderer();
+        
+        if (sharedRenderer) {
+            try {
+                return new VIB34DEnhancedCore(canvas, { sharedRenderer });
+            } catch (error) {
+                console.warn(`⚠️ Shared rendering unavailable for ${canvas.id}, using dedicated context:`, error);
+                // The failed attempt may already hold a 2D context, and a canvas keeps its first context type
+                canvas = this.replaceCanvas(canvas);
+            }
+        }
+        
+        return new VIB34DEnhancedCore(canvas);
+    }
+    
+    /**
+     * Swap a canvas for a blank copy (same id, classes and size) that has no context yet
+     * @param {HTMLCanvasElement} canvas - Canvas in the document
+     * @returns {HTMLCanvasElement} The copy now in its place
+     */
+    replaceCanvas(canvas) {
+        const fresh = canvas.cloneNode(false);
+        canvas.replaceWith(fresh);
+        return fresh;
+    }
+    
+    /**
+     * Get (or lazily create) the shared WebGL renderer
+     * @returns {SharedContextRenderer|null} Shared renderer, or null when disabled or unsupported
+     */
+    getSharedRenderer() {
+        if (this.sharedRenderer) {
+            return this.sharedRenderer;
+        }
+        
+        const visualsConfig = this.jsonConfigSystem.getConfig('visuals');
+        const mode = visualsConfig?.renderer?.mode || 'dedicated';
+        if (mode !== 'shared') {
+            return null;
+        }
+        
+        try {
+            this.sharedRenderer = new SharedContextRenderer();
+        } catch (error) {
+            console.warn('⚠️ SharedContextRenderer failed, falling back to per-canvas contexts:', error);
+            this.sharedRenderer = null;
+        }
+        
+        return this.sharedRenderer;
+    }
+    
     /**
      * Setup interaction system based on behavior.json
      */
@@ -252,18 +427,20 @@ class SystemController {
         
         console.log('⚡ Setting up JSON-driven interaction system...');
         
-        // Setup mouse movement interactions
-        this.setupMouseMovementInteraction(behaviorConfig);
+        // Drop handlers from any previous setup so reloads don't stack listeners
+        this.bindings.unbindAll();
         
-        // Setup scroll interactions
-        this.setupScrollInteraction(behaviorConfig);
+        // Blueprints for the current state (base + stateModifiers)
+        this.activeBlueprints = resolveBlueprints(behaviorConfig, this.currentState);
+        
+        // Setup mouse, scroll, hover and click reactions
+        for (const name of Object.keys(BLUEPRINT_BINDERS)) {
+            this.bindBlueprint(name);
+        }
         
         // Setup keyboard interactions
         this.setupKeyboardInteractions(stateMapConfig);
         
-        // Setup card hover ecosystem reactions
-        this.setupCardHoverEcosystem(behaviorConfig);
-        
         // Setup state dot navigation
         this.setupStateDotNavigation(stateMapConfig);
         
@@ -271,156 +448,203 @@ class SystemController {
     }
     
     /**
-     * Setup mouse movement interaction from behavior.json
+     * (Re)bind the DOM handlers for one blueprint from the active set
+     * @param {string} name - Blueprint name
      */
-    setupMouseMovementInteraction(behaviorConfig) {
-        const mouseBlueprint = behaviorConfig.interactionBlueprints.mouseMoveMorphing;
-        if (!mouseBlueprint) return;
+    bindBlueprint(name) {
+        const binder = BLUEPRINT_BINDERS[name];
+        if (!binder) return;
         
-        document.addEventListener('mousemove', (e) => {
-            const mouseX = e.clientX / window.innerWidth;
-            const mouseY = e.clientY / window.innerHeight;
+        this.bindings.unbind(name);
+        
+        const blueprint = this.activeBlueprints[name];
+        if (blueprint) {
+            this[binder](blueprint, name);
+        }
+    }
+    
+    /**
+     * Switch the active blueprints to those of a state and re-bind the ones that changed
+     * @param {string} stateName - State being entered
+     * @returns {string[]} Names of blueprints that changed
+     */
+    applyStateBlueprints(stateName) {
+        const behaviorConfig = this.jsonConfigSystem.getConfig('behavior');
+        if (!behaviorConfig) return [];
+        
+        const nextBlueprints = resolveBlueprints(behaviorConfig, stateName);
+        const changed = diffBlueprints(this.activeBlueprints, nextBlueprints);
+        this.activeBlueprints = nextBlueprints;
+        
+        changed.forEach(name => this.bindBlueprint(name));
+        
+        if (changed.length > 0) {
+            console.log(`🧬 Blueprints re-bound for '${stateName}':`, changed);
+        }
+        return changed;
+    }
+    
+    /**
+     * Get the effective blueprints for the current state
+     * @returns {Object} Blueprints keyed by name
+     */
+    getActiveBlueprints() {
+        return this.activeBlueprints;
+    }
+    
+    /**
+     * Setup mouse movement interaction from a behavior.json blueprint
+     */
+    setupMouseMovementInteraction(mouseBlueprint, name) {
+        this.bindings.bind(name, document, 'mousemove', (e) => {
+            this.inputState.mouseX = e.clientX / window.innerWidth;
+            this.inputState.mouseY = e.clientY / window.innerHeight;
             
             // Execute reactions from JSON blueprint
-            for (const reaction of mouseBlueprint.reactions) {
-                if (reaction.target === 'global') {
-                    for (const [param, animation] of Object.entries(reaction.animation)) {
-                        if (param === 'u_morphFactor') {
-                            // Map mouseX to morphFactor range (0.0 - 1.5)
-                            const value = mouseX * 1.5;
-                            this.homeMaster.setParameter('u_morphFactor', value, 'mouseMove');
-                        }
-                        if (param === 'u_dimension') {
-                            // Map mouseY to dimension range (3.0 - 4.5)
-                            const value = 3.0 + (mouseY * 1.5);
-                            this.homeMaster.setParameter('u_dimension', value, 'mouseMove');
-                        }
-                    }
-                }
-            }
+            this.runBlueprint(name, mouseBlueprint, globalReactionsOnly, 'mouseMove');
         });
     }
     
     /**
-     * Setup scroll interaction from behavior.json
+     * Setup scroll interaction from a behavior.json blueprint
      */
-    setupScrollInteraction(behaviorConfig) {
-        const scrollBlueprint = behaviorConfig.interactionBlueprints.scrollGridDensity;
-        if (!scrollBlueprint) return;
-        
-        document.addEventListener('wheel', (e) => {
-            const scrollDelta = e.deltaY > 0 ? 1 : -1;
+    setupScrollInteraction(scrollBlueprint, name) {
+        this.bindings.bind(name, document, 'wheel', (e) => {
+            // One step per wheel event (+1 down, -1 up), whatever the device's delta unit
+            this.inputState.scrollDelta = Math.sign(e.deltaY);
             
             // Execute reactions from JSON blueprint
-            for (const reaction of scrollBlueprint.reactions) {
-                if (reaction.target === 'global') {
-                    const currentDensity = this.homeMaster.getParameter('u_gridDensity') || 12.0;
-                    const newDensity = currentDensity + (scrollDelta * 0.5);
-                    this.homeMaster.setParameter('u_gridDensity', newDensity, 'scroll');
-                }
-            }
+            this.runBlueprint(name, scrollBlueprint, globalReactionsOnly, 'scroll');
         });
     }
     
     /**
      * Setup keyboard interactions from state-map.json
+     * Keys bound in the navigation map run their command; only digit keys the map leaves
+     * unbound fall through to the keyboardGeometrySwitch blueprint with keyIndex set.
      */
     setupKeyboardInteractions(stateMapConfig) {
-        document.addEventListener('keydown', (e) => {
-            const key = e.key;
+        this.commandDispatcher.setBindings(stateMapConfig.navigation);
+        
+        this.bindings.unbind('keyboard');
+        this.bindings.bind('keyboard', document, 'keydown', (e) => {
+            // Typing into a field is not navigation
+            if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
             
-            // Handle geometry switching (keys 1-5)
-            if (['1', '2', '3', '4', '5'].includes(key)) {
-                const geometryIndex = parseInt(key) - 1;
-                this.homeMaster.setParameter('geometry', geometryIndex, 'keyboard');
-                
-                // Update color shift from JSON behavior
-                const currentShift = this.homeMaster.getParameter('u_colorShift') || 0;
-                this.homeMaster.setParameter('u_colorShift', currentShift + 0.2, 'keyboard');
+            if (this.commandDispatcher.handleKeyDown(e)) {
+                e.preventDefault();
+                return;
             }
             
-            // Handle navigation
-            const navigation = stateMapConfig.navigation;
-            switch (key) {
-                case 'ArrowLeft':
-                    this.navigateToState('home');
-                    break;
-                case 'ArrowRight':
-                    this.navigateToState('tech');
-                    break;
-                case 'ArrowUp':
-                    this.navigateToState('research');
-                    break;
-                case 'ArrowDown':
-                    this.navigateToState('media');
-                    break;
-                case ' ':
-                    e.preventDefault();
-                    this.cycleToNextState();
-                    break;
+            // Handle geometry switching (one digit key per geometry in visuals.json)
+            const geometryCount = this.jsonConfigSystem.getConfig('visuals')?.geometries?.length || 0;
+            const keyIndex = /^[1-9]$/.test(e.key) ? parseInt(e.key) - 1 : -1;
+            if (keyIndex >= 0 && keyIndex < geometryCount) {
+                this.inputState.keyIndex = keyIndex;
+                
+                const keyBlueprint = this.activeBlueprints.keyboardGeometrySwitch;
+                if (keyBlueprint) {
+                    this.runBlueprint('keyboardGeometrySwitch', keyBlueprint, globalReactionsOnly, 'keyboard');
+                }
             }
         });
+        this.bindings.onUnbind('keyboard', () => this.commandDispatcher.reset());
     }
     
     /**
-     * Setup card hover ecosystem from behavior.json
+     * Setup card hover ecosystem from a behavior.json blueprint
      */
-    setupCardHoverEcosystem(behaviorConfig) {
-        const hoverBlueprint = behaviorConfig.interactionBlueprints.cardHoverEcosystem;
-        if (!hoverBlueprint) return;
+    setupCardHoverEcosystem(hoverBlueprint, name) {
+        const cards = Array.from(document.querySelectorAll('.blog-card'));
         
-        document.querySelectorAll('.blog-card').forEach((card, index) => {
-            card.addEventListener('mouseenter', () => {
-                // Execute hover reactions from JSON
-                for (const reaction of hoverBlueprint.reactions) {
-                    if (reaction.target === 'subject') {
-                        // Enhance the hovered card
-                        card.setAttribute('data-section-hover', 'true');
-                        this.homeMaster.setParameter('u_patternIntensity', 2.5, 'cardHover');
-                        this.homeMaster.setParameter('u_glitchIntensity', 0.12, 'cardHover');
-                    }
-                    if (reaction.target === 'ecosystem') {
-                        // Dim other cards
-                        document.querySelectorAll('.blog-card').forEach((otherCard, otherIndex) => {
-                            if (otherIndex !== index) {
-                                otherCard.setAttribute('data-inverse', 'true');
-                            }
-                        });
-                    }
-                    if (reaction.target === 'global') {
-                        // Global effects
-                        this.homeMaster.setParameter('u_audioBass', 0.8, 'cardHover');
-                        const currentDensity = this.homeMaster.getParameter('u_gridDensity') || 12.0;
-                        this.homeMaster.setParameter('u_gridDensity', currentDensity + 2.0, 'cardHover');
-                    }
-                }
-            });
+        cards.forEach((card, index) => {
+            const otherCards = cards.filter((otherCard, otherIndex) => otherIndex !== index);
+            let activationId = null;
             
-            card.addEventListener('mouseleave', () => {
+            const leave = () => {
                 // Revert to normal state
                 card.removeAttribute('data-section-hover');
-                document.querySelectorAll('.blog-card').forEach(otherCard => {
-                    otherCard.removeAttribute('data-inverse');
-                });
+                otherCards.forEach(otherCard => otherCard.removeAttribute('data-inverse'));
                 
-                // Reset parameters to defaults
-                this.homeMaster.setParameter('u_patternIntensity', 1.3, 'cardLeave');
-                this.homeMaster.setParameter('u_glitchIntensity', 0.05, 'cardLeave');
-                this.homeMaster.setParameter('u_audioBass', 0.0, 'cardLeave');
+                // Ease everything the blueprint touched back to its pre-hover value
+                if (activationId !== null && hoverBlueprint.revertOn === 'onLeave') {
+                    this.releaseBlueprint(name, activationId, hoverBlueprint.revertAnimation, 'cardLeave');
+                    activationId = null;
+                }
+            };
+            
+            this.bindings.bind(name, card, 'mouseenter', () => {
+                if (activationId !== null) {
+                    this.releaseBlueprint(name, activationId, hoverBlueprint.revertAnimation, 'cardLeave');
+                }
+                
+                // Enhance the hovered card, dim the others
+                card.setAttribute('data-section-hover', 'true');
+                otherCards.forEach(otherCard => otherCard.setAttribute('data-inverse', 'true'));
+                
+                // Execute hover reactions from JSON
+                activationId = this.runBlueprint(name, hoverBlueprint, (reaction) => {
+                    if (reaction.target === 'subject') return [card];
+                    if (reaction.target === 'ecosystem') return otherCards;
+                    return [];
+                }, 'cardHover');
+            });
+            
+            this.bindings.bind(name, card, 'mouseleave', leave);
+            
+            // A re-bind while hovered must not strand the hover values
+            this.bindings.onUnbind(name, () => {
+                if (activationId !== null) {
+                    this.releaseBlueprint(name, activationId, hoverBlueprint.revertAnimation, 'cardLeave');
+                    activationId = null;
+                }
             });
         });
     }
     
+    /**
+     * Setup click reactions from a behavior.json blueprint
+     * Blueprints with revertOn "onRelease" ease back when the button is released.
+     */
+    setupClickInteraction(clickBlueprint, name) {
+        const selector = clickBlueprint.selector || 'body';
+        let activationId = null;
+        
+        const release = () => {
+            if (activationId === null) return;
+            this.releaseBlueprint(name, activationId, clickBlueprint.revertAnimation, 'clickRelease');
+            activationId = null;
+        };
+        
+        this.bindings.bind(name, document, 'mousedown', (e) => {
+            const subject = e.target.closest?.(selector);
+            if (!subject) return;
+            
+            release();
+            activationId = this.runBlueprint(name, clickBlueprint, (reaction) => {
+                return reaction.target === 'subject' ? [subject] : [];
+            }, 'click');
+        });
+        
+        if (clickBlueprint.revertOn === 'onRelease') {
+            this.bindings.bind(name, document, 'mouseup', release);
+            // A release outside the window never reaches the document
+            this.bindings.bind(name, window, 'blur', release);
+        }
+        this.bindings.onUnbind(name, release);
+    }
+    
     /**
      * Setup state dot navigation from state-map.json
      */
     setupStateDotNavigation(stateMapConfig) {
         const stateOrder = stateMapConfig.stateOrder || Object.keys(stateMapConfig.states);
         
+        this.bindings.unbind('stateDots');
         document.querySelectorAll('.state-dot').forEach((dot, index) => {
             const stateName = stateOrder[index];
             if (stateName) {
-                dot.addEventListener('click', () => {
+                this.bindings.bind('stateDots', dot, 'click', () => {
                     this.navigateToState(stateName);
                 });
                 console.log(`🔵 Setup state dot ${index} for ${stateName}`);
@@ -430,19 +654,122 @@ class SystemController {
     
     /**
      * Set initial state from state-map.json
+     * @param {Object|null} [route] - Route from the page URL, which wins over initialState
+     */
+    async setInitialState(route = null) {
+        const stateMapConfig = this.jsonConfigSystem.getConfig('stateMap');
+        const initialState = route?.state ?? stateMapConfig.initialState;
+        
+        await this.navigateToState(initialState, { history: 'replace', card: route?.card });
+        console.log(`🌐 Set initial state: ${initialState}${route?.card ? ` (card ${route.card})` : ''}`);
+    }
+    
+    /**
+     * Capture the current look for a permalink
+     * The interaction, reactive and modulation layers are left out; they only reflect this moment's motion.
+     * @returns {Object} { state, geometry, projection, parameters }
+     */
+    captureLook() {
+        const parameters = this.homeMaster.getParameterSnapshot(['interaction', 'reactive', 'modulation']);
+        return {
+            state: this.currentState,
+            geometry: Math.round(parameters.geometry ?? 0),
+            projection: Math.round(parameters.projection ?? 0),
+            parameters
+        };
+    }
+    
+    /**
+     * Build a shareable URL for the current look
+     * @returns {string} Current page URL with a #look=... fragment
+     */
+    getPermalink() {
+        const fragment = encodeLook(this.captureLook(), this.jsonConfigSystem.getConfig('visuals'));
+        const { origin, pathname, search } = window.location;
+        return `${origin}${pathname}${search}#${fragment}`;
+    }
+    
+    /**
+     * Apply a look decoded from a permalink
+     * Values are checked against visuals.json / state-map.json; parameters the look does not
+     * mention go back to their defaults so the result matches what the sender saw.
+     * @param {Object} look - Look from decodeLook()
+     * @param {string} [source='permalink'] - Source reported to HomeMaster
+     * @returns {Promise<boolean>} Success status
      */
-    async setInitialState() {
+    async applyLook(look, source = 'permalink') {
+        const visualsConfig = this.jsonConfigSystem.getConfig('visuals');
         const stateMapConfig = this.jsonConfigSystem.getConfig('stateMap');
-        const initialState = stateMapConfig.initialState;
+        const { state, geometry, projection, parameters } = sanitizeLook(look, visualsConfig, stateMapConfig);
+        
+        // The look fragment already describes the page; leave it in the address bar
+        if (state && state !== this.currentState) {
+            await this.navigateToState(state, { history: 'none' });
+        }
+        
+        const values = {};
+        for (const [name, range] of Object.entries(this.homeMaster.getAllParameterRanges())) {
+            values[name] = name in parameters ? parameters[name] : range.default;
+        }
+        if (geometry !== null) values.geometry = geometry;
+        if (projection !== null) values.projection = projection;
+        
+        // Agent and override values were folded into the captured look
+        this.homeMaster.clearLayer('agent', source);
+        this.homeMaster.clearLayer('override', source);
+        this.homeMaster.setParameters(values, source, 'base');
+        
+        console.log(`🔗 Applied look: state=${state ?? this.currentState}, geometry=${values.geometry}, projection=${values.projection}`);
+        return true;
+    }
+    
+    /**
+     * Apply the look in window.location.hash, if there is one
+     * @returns {Promise<boolean>} True if a look was applied
+     */
+    async applyPermalinkFromLocation() {
+        const look = decodeLook(window.location.hash);
+        if (!look) return false;
+        
+        return this.applyLook(look);
+    }
+    
+    /**
+     * Load a timeline into the sequencer, ready to play()
+     * @param {string|Object} timeline - Name of a file in config/timelines/, or a timeline object
+     * @returns {Promise<Object>} The loaded timeline
+     */
+    async loadTimeline(timeline) {
+        const loaded = typeof timeline === 'string'
+            ? await this.jsonConfigSystem.loadTimeline(timeline)
+            : this.jsonConfigSystem.validateConfig('timeline', timeline);
         
-        await this.navigateToState(initialState);
-        console.log(`🌐 Set initial state: ${initialState}`);
+        this.timelineSequencer.load(loaded);
+        return loaded;
+    }
+    
+    /**
+     * Point the board visualizer at a geometry id
+     * @param {number} geometry - Geometry id from visuals.json
+     */
+    applyBoardGeometry(geometry) {
+        const boardViz = this.visualizers.get('board-visualizer');
+        if (boardViz && boardViz.setParameter) {
+            boardViz.setParameter('geometry', Math.round(geometry));
+        }
     }
     
     /**
      * Navigate to a specific state WITH GEOMETRY SHIFTING
+     * @param {string} stateName - State from state-map.json
+     * @param {Object} [options]
+     * @param {string} [options.history='push'] - How the URL records it: 'push', 'replace' or 'none'
+     * @param {string|null} [options.card] - Card to show expanded in the new state
+     * @param {string} [options.source='navigation'] - Source the state change is recorded under
+     * @param {boolean} [options.record=true] - False to keep the state change out of the history
+     * @returns {Promise<boolean>} Success status
      */
-    async navigateToState(stateName) {
+    async navigateToState(stateName, options = {}) {
         const stateMapConfig = this.jsonConfigSystem.getConfig('stateMap');
         const stateConfig = stateMapConfig.states[stateName];
         
@@ -453,28 +780,70 @@ class SystemController {
         
         console.log(`🌐 Navigating to state: ${stateName} with GEOMETRY SHIFT`);
         
-        // GEOMETRY +1 SHIFT SYSTEM
-        const stateGeometryMap = {
-            'home': 0,      // hypercube
-            'tech': 1,      // tetrahedron  
-            'media': 2,     // sphere
-            'innovation': 3, // torus
-            'research': 4   // klein bottle
-        };
-        
-        const newGeometry = stateGeometryMap[stateName] || 0;
-        const currentGeometry = stateGeometryMap[this.currentState] || 0;
+        // States without a defaultGeometry keep the current one
+        const currentGeometry = Math.round(this.homeMaster.getParameter('geometry') ?? 0);
+        const newGeometry = this.getStateGeometry(stateName) ?? currentGeometry;
         
         // Only execute transition if geometry actually changes
         if (newGeometry !== currentGeometry) {
             await this.executeGeometryTransition(currentGeometry, newGeometry, stateName);
+        } else {
+            await this.applyStateAppearance(stateName);
         }
         
         // Update current state
         this.currentState = stateName;
         
         // Update HomeMaster state
-        await this.homeMaster.setState(stateName);
+        const source = options.source ?? 'navigation';
+        if (options.record === false) {
+            await this.homeMaster.history.runUntracked(() => this.homeMaster.setState(stateName, source), [source]);
+        } else {
+            await this.homeMaster.setState(stateName, source);
+        }
+        
+        // Swap in this state's interaction personality
+        this.applyStateBlueprints(stateName);
+        
+        // ...and its modulators
+        const stateModulators = this.jsonConfigSystem.getConfig('behavior')?.stateModulators;
+        this.modulationEngine.replaceGroup('state', stateModulators?.[stateName] || []);
+        
+        this.applyStateLayout(stateName);
+        
+        this.router?.record(stateName, options.card ?? null, options.history ?? 'push');
+        return true;
+    }
+    
+    /**
+     * Geometry id of a state's defaultGeometry
+     * @param {string} stateName - State from state-map.json
+     * @returns {number|null} Id from visuals.json, or null if the state names no (known) geometry
+     */
+    getStateGeometry(stateName) {
+        const geometryName = this.jsonConfigSystem.getConfig('stateMap').states[stateName]?.defaultGeometry;
+        const geometry = this.jsonConfigSystem.getConfig('visuals').geometries.find(g => g.name === geometryName);
+        return geometry ? geometry.id : null;
+    }
+    
+    /**
+     * Apply a state's theme, parameter preset and visible cards
+     * @param {string} stateName - State from state-map.json
+     */
+    async applyStateAppearance(stateName) {
+        this.updateGlobalColorScheme(stateName);
+        await this.updateGlobalModifiers(stateName);
+        this.updateActiveCards(stateName);
+    }
+    
+    /**
+     * Apply a state's layout class and card arrangement, and highlight its state dot
+     * @param {string} stateName - State from state-map.json
+     */
+    applyStateLayout(stateName) {
+        const stateMapConfig = this.jsonConfigSystem.getConfig('stateMap');
+        const stateConfig = stateMapConfig.states[stateName];
+        if (!stateConfig) return;
         
         // Update layout class
         const blogContainer = document.getElementById('blogContainer');
@@ -482,6 +851,9 @@ class SystemController {
             blogContainer.className = `blog-container ${stateConfig.layoutClass}`;
         }
         
+        // Arrange the cards; on first load they are placed without animating
+        this.layoutEngine.apply(stateName, { animate: this.isInitialized });
+        
         // Update active dots
         document.querySelectorAll('.state-dot').forEach((dot, index) => {
             dot.classList.remove('active');
@@ -495,9 +867,6 @@ class SystemController {
                 activeDot.classList.add('active');
             }
         }
-        
-        this.currentState = stateName;
-        return true;
     }
     
     /**
@@ -515,27 +884,48 @@ class SystemController {
     
     /**
      * Handle configuration updates (for hot reloading)
+     * @param {string} configName - Config that changed
+     * @param {Object} newConfig - Its new contents
+     * @param {Object} [options]
+     * @param {string} [options.source] - Source any resulting navigation is recorded under
      */
-    async handleConfigUpdate(configName, newConfig) {
+    async handleConfigUpdate(configName, newConfig, options = {}) {
         console.log(`🔄 SystemController: Handling ${configName} config update`);
         
         switch (configName) {
             case 'visuals':
-                // Reinitialize parameters in HomeMaster
-                await this.homeMaster.initialize();
+                // Pick up new parameter ranges without resetting the current state
+                this.homeMaster.reloadParameters(newConfig);
+                this.loadModulators();
+                this.updateGlobalColorScheme(this.currentState);
                 break;
             case 'behavior':
                 // Recreate interaction system
                 await this.setupInteractionSystem();
+                this.loadModulators();
                 break;
             case 'stateMap':
                 // Update navigation and states
-                await this.setupKeyboardInteractions(newConfig);
+                this.setupKeyboardInteractions(newConfig);
+                this.setupStateDotNavigation(newConfig);
+                if (newConfig.states[this.currentState]) {
+                    this.applyStateLayout(this.currentState);
+                    await this.applyStateAppearance(this.currentState);
+                } else {
+                    await this.navigateToState(newConfig.initialState, { history: 'replace', source: options.source });
+                }
                 break;
             case 'layoutContent':
-                // Recreate layout
+                // Recreate layout, then re-attach everything that pointed at the old cards
+                this.cardDetail?.reset();
+                this.disposeVisualizers();
                 await this.createLayoutFromJSON();
                 await this.initializeVisualizers();
+                await this.setupInteractionSystem();
+                this.applyStateLayout(this.currentState);
+                this.updateActiveCards(this.currentState);
+                this.applyBoardGeometry(this.homeMaster.getParameter('geometry'));
+                this.cardDetail?.reopen();
                 break;
         }
         
@@ -548,36 +938,149 @@ class SystemController {
     executeInteraction(blueprint, targetSelector) {
         console.log(`⚡ Executing interaction blueprint on ${targetSelector}`);
         
+        const subjects = targetSelector && targetSelector !== 'global'
+            ? Array.from(document.querySelectorAll(targetSelector))
+            : [];
+        
         for (const reaction of blueprint.reactions) {
             if (reaction.target === 'global') {
-                for (const [param, animation] of Object.entries(reaction.animation)) {
-                    if (this.homeMaster.getParameter(param) !== undefined) {
-                        // Apply animation value
-                        const newValue = this.parseAnimationValue(animation.to, param);
-                        this.homeMaster.setParameter(param, newValue, 'interaction');
-                    }
-                }
+                this.applyReaction(reaction, [], 'interaction');
+            } else if (reaction.target === 'subject') {
+                this.applyReaction(reaction, subjects, 'interaction');
             }
         }
     }
     
     /**
-     * Parse animation values like "+=0.5", "*=1.2", etc.
+     * Apply every reaction of a blueprint, snapshotting touched values when it declares revertOn
+     * @param {string} name - Blueprint name
+     * @param {Object} blueprint - Blueprint from behavior.json
+     * @param {Function} resolveElements - reaction => HTMLElement[] the reaction applies to, or null to skip it
+     * @param {string} source - Source reported to HomeMaster
+     * @returns {number|null} Revert activation id, or null if the blueprint does not revert
      */
-    parseAnimationValue(animationTo, paramName) {
-        const currentValue = this.homeMaster.getParameter(paramName) || 0;
-        
-        if (typeof animationTo === 'string') {
-            if (animationTo.startsWith('+=')) {
-                return currentValue + parseFloat(animationTo.substring(2));
-            } else if (animationTo.startsWith('*=')) {
-                return currentValue * parseFloat(animationTo.substring(2));
-            } else if (animationTo.startsWith('-=')) {
-                return currentValue - parseFloat(animationTo.substring(2));
+    runBlueprint(name, blueprint, resolveElements, source) {
+        const activationId = blueprint.revertOn ? this.revertTracker.begin(name) : null;
+        const variables = this.getExpressionVariables();
+        
+        // Envelopes listening for this blueprint open their gate
+        this.modulationEngine.triggerEvent(name);
+        
+        for (const reaction of blueprint.reactions || []) {
+            const elements = resolveElements(reaction);
+            if (!elements) continue;
+            if (activationId !== null) {
+                this.revertTracker.capture(activationId, reaction, elements);
             }
+            this.applyReaction(reaction, elements, source, variables);
         }
         
-        return typeof animationTo === 'number' ? animationTo : currentValue;
+        return activationId;
+    }
+    
+    /**
+     * End a blueprint activation started by runBlueprint()
+     * @param {string} name - Blueprint name
+     * @param {number} activationId - Id returned by runBlueprint()
+     * @param {Object} [revertAnimation] - { curve, duration } from the blueprint
+     * @param {string} source - Source reported to HomeMaster
+     */
+    releaseBlueprint(name, activationId, revertAnimation, source) {
+        this.revertTracker.release(activationId, revertAnimation, source);
+        this.modulationEngine.releaseEvent(name);
+    }
+    
+    /**
+     * Load modulators from visuals.json, behavior.json and the current state's stateModulators
+     */
+    loadModulators() {
+        const visualsConfig = this.jsonConfigSystem.getConfig('visuals');
+        const behaviorConfig = this.jsonConfigSystem.getConfig('behavior');
+        
+        this.modulationEngine.replaceGroup('visuals', visualsConfig?.modulators || []);
+        this.modulationEngine.replaceGroup('behavior', behaviorConfig?.modulators || []);
+        this.modulationEngine.replaceGroup('state', behaviorConfig?.stateModulators?.[this.currentState] || []);
+        
+        console.log(`〰️ ${this.modulationEngine.getModulators().length} modulators active`);
+    }
+    
+    /**
+     * Start the tweens declared by one blueprint reaction
+     * HomeMaster parameters are global, so they are animated once on the interaction layer
+     * (geometry and projection on the base layer); transform.* and other style properties are
+     * animated on each element the reaction targets. Parameters on an ecosystem reaction are
+     * card-scoped instead: they become offsets on each other card's visualizer.
+     * @param {Object} reaction - Reaction from behavior.json ({ target, animation })
+     * @param {HTMLElement[]} elements - Elements the reaction applies to
+     * @param {string} source - Source reported to HomeMaster
+     * @param {Object} [variables] - Expression inputs; defaults to the latest input state
+     */
+    applyReaction(reaction, elements, source, variables = this.getExpressionVariables()) {
+        for (const [property, animation] of Object.entries(reaction.animation || {})) {
+            // Relative targets ("+=...") stack so repeated triggers accumulate
+            const options = { variables, stack: ExpressionEvaluator.isRelative(animation.to) };
+            
+            if (this.isStyleProperty(property)) {
+                elements.forEach(element => this.animationEngine.animateStyle(element, property, animation, options));
+            } else if (reaction.target === 'ecosystem') {
+                elements.forEach(element => {
+                    const target = this.getCardOffsetTarget(element, property);
+                    if (target) {
+                        this.animationEngine.animateOffset(target.visualizer, target.key, animation, { ...options, source: ECOSYSTEM_OFFSET_SOURCE });
+                    }
+                });
+            } else {
+                this.animationEngine.animateParameter(property, animation, { ...options, source, layer: this.getReactionLayer(property) });
+            }
+        }
+    }
+    
+    /**
+     * HomeMaster layer that blueprint tweens on a parameter write
+     * @param {string} name - Parameter name
+     * @returns {string} Layer name
+     */
+    getReactionLayer(name) {
+        return SELECTION_PARAMS.includes(name) ? 'base' : REACTION_LAYER;
+    }
+    
+    /**
+     * Find the card visualizer value a parameter reaction on a card element drives
+     * u_<name> maps to the visualizer's <name> config value; cards whose visualizer has no
+     * such value (or no offsets, like the fallback core) are left alone.
+     * @param {HTMLElement} element - .blog-card element
+     * @param {string} name - Parameter name from the reaction
+     * @returns {{visualizer: Object, key: string}|null}
+     */
+    getCardOffsetTarget(element, name) {
+        const canvas = element.querySelector('canvas.card-visualizer');
+        const visualizer = canvas && this.visualizers.get(canvas.id);
+        const key = name.replace(/^u_/, '');
+        if (!visualizer?.setOffset || typeof visualizer.config?.[key] !== 'number') return null;
+        return { visualizer, key };
+    }
+    
+    /**
+     * Get the variables available to blueprint expressions
+     * @param {Object} [overrides] - Values that replace the current input state
+     * @returns {Object} mouseX, mouseY, scrollDelta (+1/-1 per wheel step), keyIndex, velocity and time
+     */
+    getExpressionVariables(overrides = {}) {
+        return {
+            ...this.inputState,
+            velocity: this.userEventReactive.analysisData.velocitySmooth || 0,
+            time: this.clock.time,
+            ...overrides
+        };
+    }
+    
+    /**
+     * Check whether a blueprint property targets element style rather than a parameter
+     * @param {string} property - Property key from a reaction's animation block
+     * @returns {boolean}
+     */
+    isStyleProperty(property) {
+        return property.startsWith('transform.') || property in document.documentElement.style;
     }
     
     /**
@@ -624,11 +1127,11 @@ class SystemController {
             // Generate parameter mappings (same system as audio but for user interactions)
             const parameterMappings = this.generateUserInteractionMappings(interactionData, currentState);
             
-            // Calculate effective parameters from base params + interaction modulation
-            const effectiveParams = this.calculateEffectiveParameters(parameterMappings);
+            // Express the interaction modulation as offsets from the JSON base values
+            const interactionOffsets = this.calculateInteractionOffsets(parameterMappings);
             
             // Update all visualizers with reactive parameters
-            this.updateVisualizersWithReactiveParams(effectiveParams, interactionData, currentState);
+            this.updateVisualizersWithReactiveParams(interactionOffsets, interactionData, currentState);
             
             // Update UI elements with visual feedback (like audio system slider pulsing)
             this.updateUIWithInteractionFeedback(interactionData, parameterMappings);
@@ -715,57 +1218,60 @@ class SystemController {
     }
     
     /**
-     * Calculate effective parameters from base params + interaction modulation
+     * Calculate reactive-layer offsets from base params + interaction modulation
+     * The offsets are added on top of whatever the lower HomeMaster layers hold, so agent,
+     * reaction, keyboard and state values survive the per-frame update.
      */
-    calculateEffectiveParameters(parameterMappings) {
-        const effectiveParams = { ...this.baseParams };
+    calculateInteractionOffsets(parameterMappings) {
+        const offsets = {};
         
         for (const [paramName, mapping] of Object.entries(parameterMappings)) {
-            if (mapping.additive) {
-                effectiveParams[paramName] = this.baseParams[paramName] + mapping.factor;
-            } else if (mapping.bipolar) {
-                effectiveParams[paramName] = this.baseParams[paramName] + mapping.factor;
-            } else {
-                effectiveParams[paramName] = mapping.factor;
-            }
+            const base = this.baseParams[paramName];
+            if (typeof base !== 'number') continue;
+            
+            let target = mapping.additive || mapping.bipolar ? base + mapping.factor : mapping.factor;
             
             // Apply parameter limits from visuals.json
-            const visualsConfig = this.jsonConfigSystem.getConfig('visuals');
-            if (visualsConfig && visualsConfig.parameters && visualsConfig.parameters[paramName]) {
-                const paramConfig = visualsConfig.parameters[paramName];
-                effectiveParams[paramName] = Math.max(paramConfig.min, 
-                    Math.min(paramConfig.max, effectiveParams[paramName]));
+            const range = this.homeMaster.getParameterRange(paramName);
+            if (range) {
+                target = Math.max(range.min, Math.min(range.max, target));
             }
+            
+            offsets[paramName] = target - base;
         }
         
-        // Add user interaction specific parameters
-        effectiveParams.movementLevel = this.userEventReactive.analysisData.movementSmooth;
-        effectiveParams.velocityLevel = this.userEventReactive.analysisData.velocitySmooth;
-        effectiveParams.precisionLevel = this.userEventReactive.analysisData.precisionSmooth;
-        effectiveParams.interactionEnergy = this.userEventReactive.currentState.interactionEnergy;
-        effectiveParams.rhythmStrength = this.userEventReactive.rhythmDetection.rhythmStrength;
-        effectiveParams.mousePos = [
+        return offsets;
+    }
+    
+    /**
+     * Collect the per-frame interaction readings visualizers consume alongside the parameters
+     */
+    getReactiveLevels() {
+        const levels = {};
+        levels.movementLevel = this.userEventReactive.analysisData.movementSmooth;
+        levels.velocityLevel = this.userEventReactive.analysisData.velocitySmooth;
+        levels.precisionLevel = this.userEventReactive.analysisData.precisionSmooth;
+        levels.interactionEnergy = this.userEventReactive.currentState.interactionEnergy;
+        levels.rhythmStrength = this.userEventReactive.rhythmDetection.rhythmStrength;
+        levels.mousePos = [
             this.userEventReactive.currentState.mousePos.x,
             this.userEventReactive.currentState.mousePos.y
         ];
         
-        return effectiveParams;
+        return levels;
     }
     
     /**
      * Update all visualizers with reactive parameters
      */
-    updateVisualizersWithReactiveParams(effectiveParams, interactionData, currentState) {
+    updateVisualizersWithReactiveParams(interactionOffsets, interactionData, currentState) {
+        // HomeMaster blends the offsets into its reactive layer and pushes the result to visualizers
+        this.homeMaster.setParameters(interactionOffsets, 'reactive-system', 'reactive');
+        
+        const reactiveLevels = this.getReactiveLevels();
         for (const [id, visualizer] of this.visualizers) {
             if (visualizer && typeof visualizer.updateParams === 'function') {
-                visualizer.updateParams(effectiveParams);
-            }
-        }
-        
-        // Update HomeMaster with new parameter values for external API access
-        for (const [paramName, value] of Object.entries(effectiveParams)) {
-            if (this.homeMaster.hasParameter(paramName)) {
-                this.homeMaster.setParameter(paramName, value, 'reactive-system');
+                visualizer.updateParams(reactiveLevels);
             }
         }
     }
@@ -837,8 +1343,8 @@ class SystemController {
         
         // PHASE 3: UNIFIED GEOMETRY SHIFT (same geometry, different colors/behaviors)
         this.ecosystemEngine.changeGeometry(toGeometry);
-        this.updateGlobalColorScheme(targetState);
-        this.updateGlobalModifiers(targetState);
+        await this.homeMaster.history.runUntracked(() => this.homeMaster.setParameter('geometry', toGeometry, 'state', 'base'), ['state']);
+        await this.applyStateAppearance(targetState);
         
         // PHASE 4: COLOR BLOOM (new colors emerge)
         await this.executeTransitionPhase('color_bloom', 400);
@@ -851,7 +1357,8 @@ class SystemController {
      * Execute individual transition phase
      */
     async executeTransitionPhase(phaseType, duration) {
-        const cards = document.querySelectorAll('.blog-card');
+        // Cards the state hides stay out of the collapse/expand animation
+        const cards = document.querySelectorAll('.blog-card:not(.card-inactive)');
         
         switch (phaseType) {
             case 'density_collapse':
@@ -920,50 +1427,65 @@ class SystemController {
     
     /**
      * Update global color scheme based on state
+     * Every color of the state's activeTheme (visuals.json themes) becomes a --<name>-color property.
      */
     updateGlobalColorScheme(state) {
-        const colorSchemes = {
-            home: { primary: '#ff00ff', secondary: '#00ffff', accent: '#ffff00' },
-            tech: { primary: '#00ffff', secondary: '#0099ff', accent: '#66ff99' },
-            media: { primary: '#ffff00', secondary: '#ff6600', accent: '#ff0099' },
-            innovation: { primary: '#00ff00', secondary: '#66ff00', accent: '#00ff99' },
-            research: { primary: '#9900ff', secondary: '#ff0066', accent: '#ff9900' }
-        };
-        
-        const scheme = colorSchemes[state] || colorSchemes.home;
+        const themes = this.jsonConfigSystem.getConfig('visuals').themes;
+        const themeName = this.jsonConfigSystem.getConfig('stateMap').states[state]?.activeTheme;
+        const theme = themes[themeName];
+        if (!theme) {
+            console.warn(`⚠️ No theme '${themeName}' for state ${state}`);
+            return;
+        }
         
         // Update CSS custom properties
-        document.documentElement.style.setProperty('--primary-color', scheme.primary);
-        document.documentElement.style.setProperty('--secondary-color', scheme.secondary);
-        document.documentElement.style.setProperty('--accent-color', scheme.accent);
+        for (const [name, color] of Object.entries(theme)) {
+            document.documentElement.style.setProperty(`--${name}-color`, color);
+        }
         
-        console.log(`🎨 Color scheme updated for ${state}:`, scheme);
+        console.log(`🎨 Color scheme updated for ${state}: ${themeName}`);
     }
     
     /**
      * Update global modifiers based on state
+     * The state's parameter preset replaces the whole state layer, so nothing carries over from the
+     * previous state and base edits (user, permalink) stay underneath. Blueprint tweens ride on the
+     * interaction layer above it. Part of navigating, so it is not recorded separately; undoing the
+     * navigation restores the previous preset.
      */
-    updateGlobalModifiers(state) {
-        const modifierSets = {
-            home: { gridDensity: 12.0, morphFactor: 0.5, rotationSpeed: 0.5, glitchIntensity: 0.3 },
-            tech: { gridDensity: 8.0, morphFactor: 0.3, rotationSpeed: 0.3, glitchIntensity: 0.1 },
-            media: { gridDensity: 15.0, morphFactor: 0.7, rotationSpeed: 0.4, glitchIntensity: 0.2 },
-            innovation: { gridDensity: 10.0, morphFactor: 0.6, rotationSpeed: 0.6, glitchIntensity: 0.4 },
-            research: { gridDensity: 20.0, morphFactor: 0.9, rotationSpeed: 0.2, glitchIntensity: 0.6 }
-        };
+    async updateGlobalModifiers(state) {
+        const preset = this.jsonConfigSystem.getConfig('stateMap').states[state]?.parameters || {};
         
-        const modifiers = modifierSets[state] || modifierSets.home;
+        await this.homeMaster.history.runUntracked(() => {
+            this.homeMaster.clearLayer('state', 'state');
+            this.homeMaster.setParameters(preset, 'state', 'state');
+        }, ['state']);
         
-        // Update all visualizers with new modifiers
-        this.visualizers.forEach((visualizer) => {
-            if (visualizer.setParameter) {
-                Object.entries(modifiers).forEach(([key, value]) => {
-                    visualizer.setParameter(key, value);
-                });
-            }
+        console.log(`⚙️ Global modifiers updated for ${state}:`, preset);
+    }
+    
+    /**
+     * Show the cards in the state's activeCards and hide the rest
+     * Cards that change visibility scale and fade in turn; card-inactive in index.html does the animating.
+     * Hidden cards also release their content: media pauses and interactive embeds unmount.
+     */
+    updateActiveCards(state) {
+        const activeCards = this.jsonConfigSystem.getConfig('stateMap').states[state]?.activeCards;
+        
+        let changed = 0;
+        document.querySelectorAll('.blog-card').forEach((card) => {
+            const isActive = !activeCards || activeCards.includes(card.id);
+            this.contentCards.get(card.id)?.setActive(isActive);
+            if (isActive === !card.classList.contains('card-inactive')) return;
+            
+            setTimeout(() => {
+                // Leftovers from the transition phases would override the class
+                card.style.opacity = '';
+                card.style.transform = '';
+                card.classList.toggle('card-inactive', !isActive);
+                card.setAttribute('aria-hidden', String(!isActive));
+            }, changed++ * 50);
         });
-        
-        console.log(`⚙️ Global modifiers updated for ${state}:`, modifiers);
     }
     
     /**
@@ -0,0 +1,387 @@
+/**
+ * @file TimelineSequencer.js
+ * @description Keyframe playback for scripted shows loaded from config/timelines/*.json
+ * Parameter tracks interpolate between keyframes and write HomeMaster's 'timeline' layer,
+ * which sits above state values but below agent and override writes; the layer is released
+ * when the show ends or stops. Command tracks fire navigateTo / setGeometry /
+ * triggerInteraction through SystemController when the playhead crosses their keyframes.
+ * Commands run one at a time in show order: a command waits for the transition the previous
+ * one started, so keyframes on the same beat never overlap.
+ * setGeometry runs the same base-layer geometry transition as navigating, so a later
+ * navigateTo in the show still changes geometry.
+ *
+ * Timeline format (times in seconds):
+ *   { name, duration?, loop?,
+ *     tracks: [
+ *       { type: 'parameter', target: 'u_morphFactor', keyframes: [{ time, value, curve? }] },
+ *       { type: 'command', command: 'navigateTo', keyframes: [{ time, value: 'tech' }] },
+ *       { type: 'command', command: 'setGeometry', keyframes: [{ time, value: 'torus' }] },
+ *       { type: 'command', command: 'triggerInteraction', keyframes: [{ time, value: 'clickRotationBoost', target? }] }
+ *     ] }
+ * A parameter keyframe's curve shapes the segment that ends at it.
+ */
+
+import { resolveEasing } from './AnimationEngine.js';
+import { SystemClock } from './SystemClock.js';
+
+const TIMELINE_LAYER = 'timeline';
+const TIMELINE_PRIORITY = 15;
+
+// Commands whose latest keyframe describes where the show "is"; replayed after a seek
+const LATCHED_COMMANDS = ['navigateTo', 'setGeometry'];
+
+class TimelineSequencer {
+    /**
+     * @param {SystemController} systemController - Controller the command tracks drive
+     * @param {SystemClock} [clock] - Playback follows this clock's pause and time scale
+     */
+    constructor(systemController, clock = SystemClock.shared()) {
+        this.systemController = systemController;
+        this.clock = clock;
+        this.homeMaster = systemController.homeMaster;
+        this.homeMaster.defineLayer(TIMELINE_LAYER, { priority: TIMELINE_PRIORITY, blend: 'replace' });
+
+        this.commands = {
+            navigateTo: (keyframe) => this.systemController.navigateToState(keyframe.value, { history: 'replace' }),
+            setGeometry: (keyframe) => this.setGeometry(keyframe.value),
+            triggerInteraction: (keyframe) => this.triggerInteraction(keyframe.value, keyframe.target)
+        };
+
+        this.timeline = null;
+        this.tracks = [];
+        this.duration = 0;
+        this.loop = false;
+
+        this.time = 0;
+        // Commands at or before this time have already fired
+        this.commandCursor = -Infinity;
+        // Geometry before the show's first setGeometry, put back when seeking to before it
+        this.geometryBefore = null;
+        // Commands waiting for the one before them to finish
+        this.commandQueue = Promise.resolve();
+        // Bumped by stop(); queued commands from an earlier run are dropped
+        this.commandGeneration = 0;
+        this.playing = false;
+        this.lastFrame = null;
+        this.animationId = null;
+        this.listeners = new Set();
+
+        console.log('🎬 TimelineSequencer initialized');
+    }
+
+    /**
+     * Load a timeline, replacing the current one
+     * Tracks with unknown targets or commands are dropped with a warning.
+     * @param {Object} timeline - Timeline object (see file header)
+     */
+    load(timeline) {
+        this.stop();
+
+        this.tracks = (timeline.tracks || [])
+            .filter(track => this.isPlayable(track))
+            .map(track => ({
+                ...track,
+                keyframes: [...track.keyframes].sort((a, b) => a.time - b.time)
+            }));
+
+        const lastKeyframe = Math.max(0, ...this.tracks.flatMap(track => track.keyframes.map(keyframe => keyframe.time)));
+        this.timeline = timeline;
+        this.duration = timeline.duration ?? lastKeyframe;
+        this.loop = Boolean(timeline.loop);
+
+        console.log(`🎬 Timeline '${timeline.name || 'untitled'}' loaded: ${this.tracks.length} tracks, ${this.duration}s`);
+        this.emit('loaded');
+    }
+
+    /**
+     * Start or resume playback from the playhead
+     */
+    play() {
+        if (!this.timeline || this.playing) return;
+        if (this.time >= this.duration) this.seek(0);
+
+        this.playing = true;
+        this.lastFrame = this.clock.time;
+        this.animationId = requestAnimationFrame(() => this.tick());
+        this.emit('play');
+    }
+
+    /**
+     * Pause playback; the timeline layer keeps its current values
+     */
+    pause() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+        this.emit('pause');
+    }
+
+    /**
+     * Stop playback, rewind, and hand every parameter back to the layers below
+     */
+    stop() {
+        this.pause();
+        this.time = 0;
+        this.commandCursor = -Infinity;
+        this.geometryBefore = null;
+        this.commandGeneration++;
+        this.homeMaster.clearLayer(TIMELINE_LAYER, 'timeline');
+        if (this.timeline) this.emit('stop');
+    }
+
+    /**
+     * Move the playhead
+     * Parameters jump to their value at the new time, and the latest navigateTo and
+     * setGeometry keyframes at or before it are re-applied; before the first setGeometry the
+     * geometry goes back to what it was when the show changed it. One-shot commands are skipped.
+     * @param {number} time - Seconds from the start
+     */
+    seek(time) {
+        if (!this.timeline) return;
+
+        this.time = Math.max(0, Math.min(this.duration, time));
+        this.applyParameters(this.time);
+
+        const geometrySet = this.tracks.some(track => track.type === 'command' && track.command === 'setGeometry'
+            && track.keyframes.some(keyframe => keyframe.time <= this.time));
+        if (!geometrySet && this.geometryBefore !== null) {
+            const geometry = this.geometryBefore;
+            this.enqueueCommand('Restoring geometry', () => this.transitionGeometry(geometry));
+            this.geometryBefore = null;
+        }
+
+        for (const track of this.tracks) {
+            if (track.type !== 'command' || !LATCHED_COMMANDS.includes(track.command)) continue;
+            const latest = track.keyframes.filter(keyframe => keyframe.time <= this.time).pop();
+            if (latest) this.runCommand(track, latest);
+        }
+        this.commandCursor = this.time;
+        this.emit('seek');
+    }
+
+    /**
+     * @param {boolean} loop - Restart from 0 when the end is reached
+     */
+    setLoop(loop) {
+        this.loop = Boolean(loop);
+    }
+
+    /**
+     * @returns {Object} { name, time, duration, playing, loop }
+     */
+    getStatus() {
+        return {
+            name: this.timeline?.name ?? null,
+            time: this.time,
+            duration: this.duration,
+            playing: this.playing,
+            loop: this.loop
+        };
+    }
+
+    /**
+     * Subscribe to playback events
+     * @param {Function} callback - ({ type, ...status }) => void; type is loaded, play, pause, stop, seek or ended
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+    }
+
+    /**
+     * @param {Function} callback - Callback passed to addListener()
+     */
+    removeListener(callback) {
+        this.listeners.delete(callback);
+    }
+
+    /**
+     * Compute every parameter track's value at a time
+     * @param {number} time - Seconds from the start
+     * @returns {Object} Parameter name -> value
+     */
+    sampleParameters(time) {
+        const values = {};
+        for (const track of this.tracks) {
+            if (track.type === 'parameter') {
+                values[track.target] = this.sampleTrack(track.keyframes, time);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * @private
+     */
+    tick() {
+        if (!this.playing) return;
+
+        // Seeking the clock backwards does not rewind the show; use seek() for that
+        const delta = Math.max(0, this.clock.time - this.lastFrame);
+        this.lastFrame = this.clock.time;
+        let time = this.time + delta;
+
+        if (time >= this.duration) {
+            this.fireCommands(this.commandCursor, this.duration);
+
+            if (!this.loop) {
+                // The show is over; hand its parameters back to the layers below
+                this.time = this.duration;
+                this.homeMaster.clearLayer(TIMELINE_LAYER, 'timeline');
+                this.playing = false;
+                this.animationId = null;
+                this.emit('ended');
+                return;
+            }
+
+            time = this.duration > 0 ? time % this.duration : 0;
+            this.commandCursor = -Infinity;
+        }
+
+        this.time = time;
+        this.fireCommands(this.commandCursor, time);
+        this.commandCursor = time;
+        this.applyParameters(time);
+
+        this.animationId = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Fire command keyframes in (from, to]
+     * @private
+     */
+    fireCommands(from, to) {
+        const due = [];
+        for (const track of this.tracks) {
+            if (track.type !== 'command') continue;
+            for (const keyframe of track.keyframes) {
+                if (keyframe.time > from && keyframe.time <= to) {
+                    due.push({ track, keyframe });
+                }
+            }
+        }
+
+        // A long frame can span keyframes on several tracks; keep them in show order
+        due.sort((a, b) => a.keyframe.time - b.keyframe.time)
+            .forEach(({ track, keyframe }) => this.runCommand(track, keyframe));
+    }
+
+    /**
+     * @private
+     */
+    runCommand(track, keyframe) {
+        console.log(`🎬 Timeline: ${track.command}(${keyframe.value}) at ${keyframe.time}s`);
+        this.enqueueCommand(track.command, () => this.commands[track.command](keyframe));
+    }
+
+    /**
+     * Run a command once every command queued before it has finished
+     * @private
+     */
+    enqueueCommand(name, command) {
+        const generation = this.commandGeneration;
+        this.commandQueue = this.commandQueue
+            .then(() => (generation === this.commandGeneration ? command() : undefined))
+            .catch(error => {
+                console.error(`❌ Timeline: ${name} failed:`, error);
+            });
+    }
+
+    /**
+     * @private
+     */
+    applyParameters(time) {
+        const values = this.sampleParameters(time);
+        if (Object.keys(values).length > 0) {
+            this.homeMaster.setParameters(values, 'timeline', TIMELINE_LAYER);
+        }
+    }
+
+    /**
+     * @private
+     */
+    sampleTrack(keyframes, time) {
+        const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+        if (nextIndex === 0) return keyframes[0].value;
+        if (nextIndex === -1) return keyframes[keyframes.length - 1].value;
+
+        const from = keyframes[nextIndex - 1];
+        const to = keyframes[nextIndex];
+        const progress = resolveEasing(to.curve)((time - from.time) / (to.time - from.time));
+        return from.value + (to.value - from.value) * progress;
+    }
+
+    /**
+     * @private
+     */
+    setGeometry(geometry) {
+        const geometries = this.systemController.jsonConfigSystem.getConfig('visuals')?.geometries || [];
+        const entry = typeof geometry === 'number'
+            ? geometries.find(item => item.id === geometry)
+            : geometries.find(item => item.name === geometry);
+
+        if (!entry) {
+            throw new Error(`Geometry '${geometry}' not found`);
+        }
+        if (this.geometryBefore === null) {
+            this.geometryBefore = Math.round(this.homeMaster.getParameter('geometry') ?? 0);
+        }
+        return this.transitionGeometry(entry.id);
+    }
+
+    /**
+     * Shift the board to a geometry on the base layer, the way navigating does
+     * @private
+     */
+    async transitionGeometry(geometry) {
+        const current = Math.round(this.homeMaster.getParameter('geometry') ?? 0);
+        if (geometry === current) return;
+        await this.systemController.executeGeometryTransition(current, geometry, this.systemController.currentState);
+    }
+
+    /**
+     * @private
+     */
+    triggerInteraction(blueprintName, target = 'global') {
+        const blueprint = this.systemController.getActiveBlueprints()[blueprintName];
+        if (!blueprint) {
+            throw new Error(`Interaction blueprint '${blueprintName}' not found`);
+        }
+        this.systemController.executeInteraction(blueprint, target);
+    }
+
+    /**
+     * @private
+     */
+    isPlayable(track) {
+        if (track.type === 'parameter') {
+            if (this.homeMaster.hasParameter(track.target)) return true;
+            console.warn(`⚠️ Timeline: Dropping track for unknown parameter '${track.target}'`);
+            return false;
+        }
+        if (track.type === 'command') {
+            if (this.commands[track.command]) return true;
+            console.warn(`⚠️ Timeline: Dropping track for unknown command '${track.command}'`);
+            return false;
+        }
+        console.warn(`⚠️ Timeline: Dropping track of unknown type '${track.type}'`);
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    emit(type) {
+        const event = { type, ...this.getStatus() };
+        for (const callback of this.listeners) {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('❌ TimelineSequencer: Listener error:', error);
+            }
+        }
+    }
+}
+
+export { TimelineSequencer, TIMELINE_LAYER };
@@ -3,15 +3,56 @@
  * @file VIB3HomeMaster.js
  * @description Central parameter authority for the VIB34D system
  * Single source of truth for all visual parameters, loaded from JSON configurations
+ *
+ * Each writer owns a named layer. A parameter's effective value is built by walking the
+ * layers in priority order: 'replace' layers overwrite the running value, 'add' and
+ * 'multiply' layers modulate it. Layers without a contribution for a parameter are skipped.
  */
 
+import { ParameterHistory } from './ParameterHistory.js';
+
+// Built-in layers; more can be added with defineLayer()
+// 'interaction' holds blueprint reaction tweens, 'reactive' the per-frame user event offsets
+const DEFAULT_LAYERS = {
+    base: { priority: 0, blend: 'replace' },
+    state: { priority: 10, blend: 'replace' },
+    agent: { priority: 20, blend: 'replace' },
+    interaction: { priority: 30, blend: 'add' },
+    reactive: { priority: 35, blend: 'add' },
+    override: { priority: 100, blend: 'replace' }
+};
+
+const BLEND_MODES = ['replace', 'add', 'multiply'];
+
+// Pointer-driven and per-frame writers that revert on their own; recording them would bury real edits
+const TRANSIENT_SOURCES = ['reactive-system', 'modulation', 'timeline', 'mouseMove', 'cardHover', 'cardLeave', 'click', 'clickRelease'];
+
+// Layers those writers own and keep rewriting; exports skip them and imports leave them to their owners
+const TRANSIENT_LAYERS = ['interaction', 'reactive', 'modulation', 'timeline'];
+
 class VIB3HomeMaster {
     constructor(jsonConfigSystem) {
         this.jsonConfigSystem = jsonConfigSystem;
         this.parameters = new Map();
         this.parameterRanges = new Map();
+        
+        // Layer name -> { name, priority, blend, values: Map<param, number> }
+        this.layers = new Map();
+        this.layerOrder = [];
+        for (const [layerName, layerConfig] of Object.entries(DEFAULT_LAYERS)) {
+            this.defineLayer(layerName, layerConfig);
+        }
         this.currentState = 'home';
         this.visualizers = new Set();
+        
+        // Inside batchUpdates() visualizer pushes are deferred to one at the end
+        this.batchDepth = 0;
+        this.batchPending = false;
+        
+        // Undo/redo journal; SystemController registers the state and config appliers
+        this.history = new ParameterHistory({ ignoreSources: TRANSIENT_SOURCES });
+        this.history.registerApplier('parameter', (change, value) => this.restoreLayerValue(change.name, change.layer, value));
+        this.history.registerApplier('state', (change, value) => this.setState(value, 'history'));
         this.reactivityBridge = null;
         
         // Parameter change listeners
@@ -30,15 +71,8 @@ class VIB3HomeMaster {
         const visuals = configs.visuals;
         
         // Load all parameters with their defaults and ranges
-        for (const [paramName, paramConfig] of Object.entries(visuals.parameters)) {
-            this.parameters.set(paramName, paramConfig.default);
-            this.parameterRanges.set(paramName, {
-                min: paramConfig.min,
-                max: paramConfig.max,
-                default: paramConfig.default,
-                description: paramConfig.description
-            });
-        }
+        this.layers.get('base').values.clear();
+        this.loadParameterDefinitions(visuals.parameters);
         
         // Set initial state
         const stateMap = configs.stateMap;
@@ -48,39 +82,413 @@ class VIB3HomeMaster {
         console.log(`📍 Initial state: ${this.currentState}`);
     }
 
+    /**
+     * Pick up edited parameter definitions without resetting the running system
+     * Base values still at their old default move to the new default; values that were
+     * changed since are kept. State and the other layers are left alone.
+     * @param {Object} visuals - Updated visuals.json
+     */
+    reloadParameters(visuals) {
+        const baseValues = this.layers.get('base').values;
+        for (const [paramName, range] of this.parameterRanges) {
+            if (baseValues.get(paramName) === range.default) {
+                baseValues.delete(paramName);
+            }
+        }
+        
+        this.loadParameterDefinitions(visuals.parameters);
+        this.updateVisualizers();
+        
+        console.log(`🔄 VIB3HomeMaster reloaded ${this.parameters.size} parameter definitions`);
+    }
+    
+    /**
+     * Replace the parameter ranges and resolve every value against them
+     * Base entries that are missing get the default; entries for removed parameters are dropped.
+     * @private
+     */
+    loadParameterDefinitions(parameters) {
+        this.parameterRanges.clear();
+        const baseValues = this.layers.get('base').values;
+        for (const [paramName, paramConfig] of Object.entries(parameters)) {
+            if (!baseValues.has(paramName)) {
+                baseValues.set(paramName, paramConfig.default);
+            }
+            this.parameterRanges.set(paramName, {
+                min: paramConfig.min,
+                max: paramConfig.max,
+                default: paramConfig.default,
+                description: paramConfig.description
+            });
+        }
+        
+        // Drop contributions to parameters that no longer exist, then resolve every value
+        for (const layer of this.layers.values()) {
+            for (const paramName of Array.from(layer.values.keys())) {
+                if (!this.parameterRanges.has(paramName)) {
+                    layer.values.delete(paramName);
+                }
+            }
+        }
+        this.parameters.clear();
+        for (const paramName of this.parameterRanges.keys()) {
+            this.parameters.set(paramName, this.computeEffectiveValue(paramName));
+        }
+    }
+    
     /**
      * Set a parameter value with validation and range clamping
      * @param {string} name - Parameter name
-     * @param {number} value - Parameter value 
+     * @param {number} value - Parameter value (a modulation amount on add/multiply layers)
      * @param {string} source - Source of the change (e.g., 'user', 'agentAPI', 'interaction')
+     * @param {string} [layer='base'] - Layer that receives the value
+     */
+    async setParameter(name, value, source = 'unknown', layer = 'base') {
+        if (!this.writeLayerValue(name, value, layer, source)) {
+            return false;
+        }
+        
+        const effective = this.resolveParameter(name, source);
+        console.log(`🎛️ VIB3HomeMaster: ${name} = ${effective} (from ${source}${layer !== 'base' ? ` via ${layer}` : ''})`);
+        
+        // Update all registered visualizers
+        this.updateVisualizers();
+        
+        return true;
+    }
+    
+    /**
+     * Set several parameters on one layer with a single visualizer update
+     * Used by per-frame writers, so nothing is logged.
+     * @param {Object} values - Values keyed by parameter name
+     * @param {string} source - Source of the change
+     * @param {string} [layer='base'] - Layer that receives the values
+     * @returns {boolean} True if every value was accepted
+     */
+    setParameters(values, source = 'unknown', layer = 'base') {
+        let accepted = true;
+        
+        for (const [name, value] of Object.entries(values)) {
+            if (this.writeLayerValue(name, value, layer, source)) {
+                this.resolveParameter(name, source);
+            } else {
+                accepted = false;
+            }
+        }
+        
+        this.updateVisualizers();
+        return accepted;
+    }
+    
+    /**
+     * Remove one layer's contribution to a parameter
+     * Clearing the base layer resets the parameter to its visuals.json default.
+     * @param {string} name - Parameter name
+     * @param {string} layer - Layer name
+     * @param {string} [source='clear'] - Source reported to listeners
+     * @returns {boolean} True if the layer had a contribution
+     */
+    clearParameter(name, layer, source = 'clear') {
+        const target = this.layers.get(layer);
+        if (!target || !target.values.has(name)) return false;
+        
+        const before = target.values.get(name);
+        const after = layer === 'base' ? this.parameterRanges.get(name).default : undefined;
+        this.history.record('parameter', { key: `${layer}:${name}`, name, layer, before, after }, source);
+        
+        this.restoreLayerValue(name, layer, after, source);
+        return true;
+    }
+    
+    /**
+     * Remove every contribution of a layer
+     * @param {string} layer - Layer name (the base layer cannot be cleared)
+     * @param {string} [source='clear'] - Source reported to listeners
+     */
+    clearLayer(layer, source = 'clear') {
+        const target = this.layers.get(layer);
+        if (!target || layer === 'base') return;
+        
+        const names = Array.from(target.values.keys());
+        for (const name of names) {
+            this.history.record('parameter', { key: `${layer}:${name}`, name, layer, before: target.values.get(name), after: undefined }, source);
+        }
+        target.values.clear();
+        
+        names.forEach(name => this.resolveParameter(name, source));
+        if (names.length > 0) {
+            this.updateVisualizers();
+        }
+    }
+    
+    /**
+     * Register a layer, or change the priority / blend mode of an existing one
+     * @param {string} name - Layer name
+     * @param {Object} options
+     * @param {number} options.priority - Higher priorities are applied later
+     * @param {string} [options.blend='replace'] - 'replace', 'add' or 'multiply'
+     */
+    defineLayer(name, { priority, blend = 'replace' }) {
+        if (!BLEND_MODES.includes(blend)) {
+            throw new Error(`Unknown blend mode '${blend}' for layer '${name}'`);
+        }
+        
+        const existing = this.layers.get(name);
+        this.layers.set(name, {
+            name,
+            priority: Number(priority) || 0,
+            blend,
+            values: existing ? existing.values : new Map()
+        });
+        this.layerOrder = Array.from(this.layers.values()).sort((a, b) => a.priority - b.priority);
+        
+        // Re-resolve anything this layer already contributes to
+        if (existing) {
+            existing.values.forEach((value, paramName) => this.resolveParameter(paramName, 'layer'));
+        }
+    }
+    
+    /**
+     * Get the layers in the order they are applied
+     * @returns {Array<Object>} { name, priority, blend, size }
+     */
+    getLayers() {
+        return this.layerOrder.map(({ name, priority, blend, values }) => ({
+            name, priority, blend, size: values.size
+        }));
+    }
+    
+    /**
+     * Get one layer's contribution to a parameter
+     * @param {string} layer - Layer name
+     * @param {string} name - Parameter name
+     * @returns {number|undefined} Contribution, or undefined if the layer does not touch it
+     */
+    getLayerValue(layer, name) {
+        return this.layers.get(layer)?.values.get(name);
+    }
+    
+    /**
+     * Get the value a parameter has before a layer is applied
+     * Blends every lower-priority layer; used to turn a target value into a layer contribution.
+     * @param {string} layer - Layer name
+     * @param {string} name - Parameter name
+     * @returns {*} Value below the layer, or undefined for unknown layers
+     */
+    getValueBelowLayer(layer, name) {
+        const target = this.layers.get(layer);
+        if (!target) return undefined;
+        
+        const above = this.layerOrder.filter(entry => entry.priority >= target.priority).map(entry => entry.name);
+        return this.computeEffectiveValue(name, above);
+    }
+    
+    /**
+     * Get a layer's blend mode
+     * @param {string} layer - Layer name
+     * @returns {string|undefined} 'replace', 'add' or 'multiply'
+     */
+    getLayerBlend(layer) {
+        return this.layers.get(layer)?.blend;
+    }
+    
+    /**
+     * Break a parameter down into its per-layer contributions
+     * @param {string} name - Parameter name
+     * @returns {Object|null} { name, value, layers: [{ layer, priority, blend, value }] }
+     */
+    inspectParameter(name) {
+        if (!this.parameters.has(name)) return null;
+        
+        const layers = [];
+        for (const layer of this.layerOrder) {
+            if (layer.values.has(name)) {
+                layers.push({ layer: layer.name, priority: layer.priority, blend: layer.blend, value: layer.values.get(name) });
+            }
+        }
+        
+        return { name, value: this.parameters.get(name), layers };
+    }
+    
+    /**
+     * Snapshot every layer's contributions
+     * @returns {Object} { layerName: { paramName: value } } for non-empty, non-transient layers
+     */
+    exportLayers() {
+        const snapshot = {};
+        for (const layer of this.layerOrder) {
+            if (layer.values.size > 0 && !TRANSIENT_LAYERS.includes(layer.name)) {
+                snapshot[layer.name] = Object.fromEntries(layer.values);
+            }
+        }
+        return snapshot;
+    }
+    
+    /**
+     * Replace all layer contributions with a snapshot from exportLayers()
+     * Layers missing from the snapshot are emptied; the base layer falls back to defaults.
+     * Transient layers are left as they are, whatever the snapshot says about them.
+     * @param {Object} snapshot - { layerName: { paramName: value } }
+     * @param {string} [source='import'] - Source reported to listeners
+     */
+    importLayers(snapshot, source = 'import') {
+        for (const layerName of Object.keys(snapshot)) {
+            if (!this.layers.has(layerName) || TRANSIENT_LAYERS.includes(layerName)) {
+                console.warn(`⚠️ VIB3HomeMaster: Ignoring ${this.layers.has(layerName) ? 'transient' : 'unknown'} layer '${layerName}' in snapshot`);
+            }
+        }
+        
+        for (const [layerName, layer] of this.layers) {
+            if (TRANSIENT_LAYERS.includes(layerName)) continue;
+            layer.values.clear();
+            if (layerName === 'base') {
+                this.parameterRanges.forEach((range, name) => layer.values.set(name, range.default));
+            }
+            
+            for (const [name, value] of Object.entries(snapshot[layerName] || {})) {
+                if (!this.parameterRanges.has(name) || !Number.isFinite(value)) {
+                    console.warn(`⚠️ VIB3HomeMaster: Ignoring '${name}' in ${layerName} layer snapshot`);
+                    continue;
+                }
+                layer.values.set(name, value);
+            }
+        }
+        
+        this.parameterRanges.forEach((range, name) => this.resolveParameter(name, source));
+        this.updateVisualizers();
+    }
+    
+    /**
+     * Check whether a parameter is declared in visuals.json
+     * @param {string} name - Parameter name
+     * @returns {boolean}
+     */
+    hasParameter(name) {
+        return this.parameters.has(name);
+    }
+    
+    /**
+     * Revert the most recent recorded change
+     * @returns {Promise<Object|null>} Undone history entry
+     */
+    async undo() {
+        return this.history.undo();
+    }
+    
+    /**
+     * Re-apply the most recently undone change
+     * @returns {Promise<Object|null>} Redone history entry
+     */
+    async redo() {
+        return this.history.redo();
+    }
+    
+    /**
+     * Move the history to just after an entry
+     * @param {Object|number} entry - History entry or its id (0 for the very beginning)
+     * @returns {Promise<boolean>} False if the entry is unknown
+     */
+    async jumpTo(entry) {
+        return this.history.jumpTo(entry);
+    }
+    
+    /**
+     * List recorded changes
+     * @param {Object} [filter] - { source?, kind? }
+     * @returns {Array<Object>} History entries, oldest first
+     */
+    getHistory(filter) {
+        return this.history.getEntries(filter);
+    }
+    
+    /**
+     * Put a layer contribution back exactly as recorded (undefined removes it)
+     * @private
+     */
+    restoreLayerValue(name, layer, value, source = 'history') {
+        const target = this.layers.get(layer);
+        if (!target || !this.parameters.has(name)) return;
+        
+        if (value === undefined) {
+            target.values.delete(name);
+        } else {
+            target.values.set(name, value);
+        }
+        
+        this.resolveParameter(name, source);
+        this.updateVisualizers();
+    }
+    
+    /**
+     * Validate and store a layer contribution
+     * @private
+     * @returns {boolean} False if the parameter or layer is unknown
      */
-    async setParameter(name, value, source = 'unknown') {
+    writeLayerValue(name, value, layer, source) {
         // Validate parameter exists
         if (!this.parameters.has(name)) {
             console.warn(`⚠️ VIB3HomeMaster: Unknown parameter '${name}'`);
             return false;
         }
         
-        // Clamp to valid range
-        const range = this.parameterRanges.get(name);
-        if (range && typeof value === 'number') {
-            if (range.min !== undefined && range.max !== undefined) {
-                value = Math.max(range.min, Math.min(range.max, value));
-            }
+        const target = this.layers.get(layer);
+        if (!target) {
+            console.warn(`⚠️ VIB3HomeMaster: Unknown layer '${layer}'`);
+            return false;
         }
         
+        const before = target.values.get(name);
+        target.values.set(name, value);
+        this.history.record('parameter', { key: `${layer}:${name}`, name, layer, before, after: value }, source);
+        return true;
+    }
+    
+    /**
+     * Recompute a parameter from its layers and notify listeners if it changed
+     * @private
+     * @returns {*} Effective value
+     */
+    resolveParameter(name, source) {
         const oldValue = this.parameters.get(name);
+        const value = this.computeEffectiveValue(name);
         this.parameters.set(name, value);
         
-        console.log(`🎛️ VIB3HomeMaster: ${name} = ${value} (from ${source})`);
+        if (value !== oldValue) {
+            // Notify all listeners
+            this.notifyParameterChange(name, value, oldValue, source);
+        }
+        return value;
+    }
+    
+    /**
+     * Blend all layer contributions for a parameter and clamp to its range
+     * @private
+     */
+    computeEffectiveValue(name, excludeLayers = []) {
+        const range = this.parameterRanges.get(name);
+        let value = range?.default;
         
-        // Notify all listeners
-        this.notifyParameterChange(name, value, oldValue, source);
+        for (const layer of this.layerOrder) {
+            if (!layer.values.has(name) || excludeLayers.includes(layer.name)) continue;
+            const contribution = layer.values.get(name);
+            
+            if (layer.blend === 'replace' || typeof value !== 'number') {
+                value = contribution;
+            } else if (layer.blend === 'add') {
+                value += contribution;
+            } else if (layer.blend === 'multiply') {
+                value *= contribution;
+            }
+        }
         
-        // Update all registered visualizers
-        this.updateVisualizers();
+        // Clamp to valid range
+        if (range && typeof value === 'number') {
+            if (range.min !== undefined && range.max !== undefined) {
+                value = Math.max(range.min, Math.min(range.max, value));
+            }
+        }
         
-        return true;
+        return value;
     }
 
     /**
@@ -100,6 +508,20 @@ class VIB3HomeMaster {
         return Object.fromEntries(this.parameters);
     }
 
+    /**
+     * Compute every parameter as it would be without some layers
+     * Used to capture a look without transient modulation such as the interaction layer.
+     * @param {string[]} [excludeLayers] - Layer names to leave out
+     * @returns {Object} Parameters keyed by name
+     */
+    getParameterSnapshot(excludeLayers = []) {
+        const snapshot = {};
+        for (const name of this.parameterRanges.keys()) {
+            snapshot[name] = this.computeEffectiveValue(name, excludeLayers);
+        }
+        return snapshot;
+    }
+
     /**
      * Get parameter range information
      * @param {string} name - Parameter name
@@ -120,8 +542,9 @@ class VIB3HomeMaster {
     /**
      * Set current application state
      * @param {string} stateName - Name of the state to set
+     * @param {string} [source='navigation'] - Source recorded in the history
      */
-    async setState(stateName) {
+    async setState(stateName, source = 'navigation') {
         const stateMap = this.jsonConfigSystem.getConfig('stateMap');
         if (!stateMap || !stateMap.states[stateName]) {
             console.error(`❌ VIB3HomeMaster: Invalid state '${stateName}'`);
@@ -130,6 +553,7 @@ class VIB3HomeMaster {
         
         const oldState = this.currentState;
         this.currentState = stateName;
+        this.history.record('state', { key: 'state', before: oldState, after: stateName }, source);
         
         console.log(`🌐 VIB3HomeMaster: State changed ${oldState} → ${stateName}`);
         
@@ -176,10 +600,33 @@ class VIB3HomeMaster {
         console.log(`📺 VIB3HomeMaster: Unregistered visualizer (${this.visualizers.size} remaining)`);
     }
 
+    /**
+     * Run a task that writes many parameters, pushing them to the visualizers once afterwards
+     * @param {Function} task - Synchronous task
+     * @returns {*} Whatever the task returns
+     */
+    batchUpdates(task) {
+        this.batchDepth++;
+        try {
+            return task();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0 && this.batchPending) {
+                this.batchPending = false;
+                this.updateVisualizers();
+            }
+        }
+    }
+
     /**
      * Update all registered visualizers with current parameters
      */
     updateVisualizers() {
+        if (this.batchDepth > 0) {
+            this.batchPending = true;
+            return;
+        }
+        
         const params = this.getAllParameters();
         
         for (const visualizer of this.visualizers) {
@@ -310,7 +757,7 @@ class VIB3HomeMaster {
         
         // Format values appropriately
         if (paramName === 'geometry') {
-            const geometryNames = ['hypercube', 'tetrahedron', 'sphere', 'torus', 'wave'];
+            const geometryNames = ['hypercube', 'tetrahedron', 'sphere', 'torus', 'kleinBottle', 'fractal', 'wave', 'crystal'];
             displayValue = geometryNames[Math.floor(value)] || 'unknown';
         } else if (typeof value === 'number') {
             displayValue = value.toFixed(2);
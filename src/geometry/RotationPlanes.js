@@ -0,0 +1,192 @@
+/**
+ * @file RotationPlanes.js
+ * @description Six-plane 4D rotation state for the src/ visualizers
+ * Each plane has an angle parameter (u_rotXY ...) and an angular velocity parameter
+ * (u_rotVelXY ...) declared in visuals.json. Velocities are integrated on the CPU so the
+ * shader only ever sees final angles: angle = base angle + accumulated phase.
+ * core/ShaderManager declares the same six uniforms for the modular HypercubeCore pipeline.
+ */
+
+const TWO_PI = Math.PI * 2;
+
+/** Rotation planes in the order they are applied in the shader */
+export const ROTATION_PLANES = ['XY', 'XZ', 'YZ', 'XW', 'YW', 'ZW'];
+
+/**
+ * Get the angle parameter name for a plane
+ * @param {string} plane - Plane name, e.g. 'XW'
+ * @returns {string} Parameter / uniform name, e.g. 'u_rotXW'
+ */
+export function rotationAngleParam(plane) {
+    return `u_rot${plane}`;
+}
+
+/**
+ * Get the angular velocity parameter name for a plane
+ * @param {string} plane - Plane name, e.g. 'XW'
+ * @returns {string} Parameter name, e.g. 'u_rotVelXW'
+ */
+export function rotationVelocityParam(plane) {
+    return `u_rotVel${plane}`;
+}
+
+/**
+ * GLSL uniforms and helpers for the six rotation planes
+ * rotatePlanes() applies all six; the spatial/W variants split them for pipelines
+ * that build the w coordinate themselves.
+ */
+export const ROTATION_PLANES_GLSL = `
+    uniform float u_rotXY;
+    uniform float u_rotXZ;
+    uniform float u_rotYZ;
+    uniform float u_rotXW;
+    uniform float u_rotYW;
+    uniform float u_rotZW;
+
+    vec2 rotatePlane(vec2 v, float angle) {
+        float c = cos(angle);
+        float s = sin(angle);
+        return vec2(c * v.x - s * v.y, s * v.x + c * v.y);
+    }
+
+    vec3 rotateSpatialPlanes(vec3 p) {
+        p.xy = rotatePlane(p.xy, u_rotXY);
+        p.xz = rotatePlane(p.xz, u_rotXZ);
+        p.yz = rotatePlane(p.yz, u_rotYZ);
+        return p;
+    }
+
+    vec4 rotateWPlanes(vec4 p) {
+        p.xw = rotatePlane(p.xw, u_rotXW);
+        p.yw = rotatePlane(p.yw, u_rotYW);
+        p.zw = rotatePlane(p.zw, u_rotZW);
+        return p;
+    }
+
+    vec4 rotatePlanes(vec4 p) {
+        return rotateWPlanes(vec4(rotateSpatialPlanes(p.xyz), p.w));
+    }
+`;
+
+export class RotationPlanes {
+    constructor() {
+        this.angles = {};
+        this.velocities = {};
+        this.phases = {};
+
+        for (const plane of ROTATION_PLANES) {
+            this.angles[plane] = 0.0;
+            this.velocities[plane] = 0.0;
+            this.phases[plane] = 0.0;
+        }
+    }
+
+    /**
+     * Set the base angle of a plane
+     * @param {string} plane - Plane name
+     * @param {number} radians - Angle in radians
+     */
+    setAngle(plane, radians) {
+        if (!(plane in this.angles)) {
+            console.warn(`⚠️ RotationPlanes: Unknown plane '${plane}'`);
+            return;
+        }
+        this.angles[plane] = radians;
+    }
+
+    /**
+     * Set the angular velocity of a plane
+     * @param {string} plane - Plane name
+     * @param {number} radiansPerSecond - Angular velocity
+     */
+    setVelocity(plane, radiansPerSecond) {
+        if (!(plane in this.velocities)) {
+            console.warn(`⚠️ RotationPlanes: Unknown plane '${plane}'`);
+            return;
+        }
+        this.velocities[plane] = radiansPerSecond;
+    }
+
+    /**
+     * Pick up any rotation parameters from a HomeMaster-style parameter object
+     * @param {Object} params - Parameters keyed by name (u_rotXY, u_rotVelXY, ...)
+     * @returns {boolean} True if any rotation parameter was present
+     */
+    updateParams(params) {
+        let found = false;
+
+        for (const plane of ROTATION_PLANES) {
+            const angle = params[rotationAngleParam(plane)];
+            const velocity = params[rotationVelocityParam(plane)];
+
+            if (typeof angle === 'number') {
+                this.angles[plane] = angle;
+                found = true;
+            }
+            if (typeof velocity === 'number') {
+                this.velocities[plane] = velocity;
+                found = true;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Advance every plane by its angular velocity
+     * @param {number} deltaTime - Seconds since the last step
+     */
+    step(deltaTime) {
+        for (const plane of ROTATION_PLANES) {
+            const velocity = this.velocities[plane];
+            if (velocity !== 0) {
+                this.phases[plane] = (this.phases[plane] + velocity * deltaTime) % TWO_PI;
+            }
+        }
+    }
+
+    /**
+     * Clear accumulated phase so planes sit exactly at their base angles
+     */
+    resetPhases() {
+        for (const plane of ROTATION_PLANES) {
+            this.phases[plane] = 0.0;
+        }
+    }
+
+    /**
+     * Get the final angle uploaded for a plane
+     * @param {string} plane - Plane name
+     * @returns {number} Angle in radians
+     */
+    getAngle(plane) {
+        return this.angles[plane] + this.phases[plane];
+    }
+
+    /**
+     * Look up the six rotation uniforms in a program
+     * @param {WebGLRenderingContext} gl - Context the program belongs to
+     * @param {WebGLProgram} program - Linked program
+     * @returns {Object} Locations keyed by plane name
+     */
+    static getUniformLocations(gl, program) {
+        const locations = {};
+        for (const plane of ROTATION_PLANES) {
+            locations[plane] = gl.getUniformLocation(program, rotationAngleParam(plane));
+        }
+        return locations;
+    }
+
+    /**
+     * Upload the current angles
+     * @param {WebGLRenderingContext} gl - Context with the target program in use
+     * @param {Object} locations - Locations from getUniformLocations()
+     */
+    upload(gl, locations) {
+        for (const plane of ROTATION_PLANES) {
+            if (locations[plane]) {
+                gl.uniform1f(locations[plane], this.getAngle(plane));
+            }
+        }
+    }
+}
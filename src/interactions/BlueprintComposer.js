@@ -0,0 +1,94 @@
+/**
+ * @file BlueprintComposer.js
+ * @description Builds the effective interaction blueprints for an application state
+ * behavior.json keeps one set of interactionBlueprints plus per-state stateModifiers.
+ * Modifiers are deep-merged over the base blueprints; reactions are matched by target,
+ * so a modifier only has to list the animation properties it changes.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge two reaction lists, pairing reactions that share a target
+ * @param {Array<Object>} baseReactions - Reactions from the base blueprint
+ * @param {Array<Object>} modifierReactions - Reactions from the state modifier
+ * @returns {Array<Object>} Merged reactions (new objects; inputs are not mutated)
+ */
+function mergeReactions(baseReactions = [], modifierReactions = []) {
+    const merged = baseReactions.map(reaction => deepMerge({}, reaction));
+
+    for (const modifier of modifierReactions) {
+        const index = merged.findIndex(reaction => reaction.target === modifier.target);
+        if (index === -1) {
+            merged.push(deepMerge({}, modifier));
+        } else {
+            merged[index] = deepMerge(merged[index], modifier);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Deep-merge a blueprint override into a base object
+ * Objects merge key by key, `reactions` arrays merge by target, anything else is replaced.
+ * @param {Object} base - Base object
+ * @param {Object} override - Values that win over base
+ * @returns {Object} New merged object
+ */
+export function deepMerge(base, override) {
+    const result = { ...base };
+
+    for (const [key, value] of Object.entries(override || {})) {
+        if (key === 'reactions' && Array.isArray(value)) {
+            result[key] = mergeReactions(Array.isArray(base[key]) ? base[key] : [], value);
+        } else if (isPlainObject(value) && isPlainObject(base[key])) {
+            result[key] = deepMerge(base[key], value);
+        } else if (isPlainObject(value)) {
+            result[key] = deepMerge({}, value);
+        } else if (Array.isArray(value)) {
+            result[key] = value.map(item => (isPlainObject(item) ? deepMerge({}, item) : item));
+        } else {
+            result[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Resolve the blueprints that are active in a state
+ * @param {Object} behaviorConfig - behavior.json
+ * @param {string} stateName - Application state id
+ * @returns {Object} Blueprints keyed by name with stateModifiers[stateName] applied
+ */
+export function resolveBlueprints(behaviorConfig, stateName) {
+    const blueprints = behaviorConfig?.interactionBlueprints || {};
+    const modifiers = behaviorConfig?.stateModifiers?.[stateName] || {};
+
+    const resolved = {};
+    for (const [name, blueprint] of Object.entries(blueprints)) {
+        resolved[name] = modifiers[name] ? deepMerge(blueprint, modifiers[name]) : deepMerge({}, blueprint);
+    }
+
+    for (const name of Object.keys(modifiers)) {
+        if (!blueprints[name]) {
+            console.warn(`⚠️ BlueprintComposer: stateModifiers.${stateName}.${name} has no base blueprint`);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * List the blueprint names whose effective definition differs between two sets
+ * @param {Object} previous - Previously active blueprints
+ * @param {Object} next - Newly resolved blueprints
+ * @returns {string[]} Changed, added or removed blueprint names
+ */
+export function diffBlueprints(previous = {}, next = {}) {
+    const names = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    return Array.from(names).filter(name => JSON.stringify(previous[name]) !== JSON.stringify(next[name]));
+}
@@ -0,0 +1,240 @@
+/**
+ * @file BlueprintRevertTracker.js
+ * @description Snapshot-and-restore for blueprints that declare revertOn / revertAnimation
+ * Every activation records the value each touched parameter, card offset or element property
+ * had before its reactions ran. Holds on the same target form a stack, so overlapping activations
+ * (hovering a second card before the first has reverted, a click during a hover) unwind
+ * to the value that existed before the earliest one, regardless of release order.
+ */
+
+class BlueprintRevertTracker {
+    /**
+     * @param {AnimationEngine} animationEngine - Engine used for the revert tweens
+     * @param {VIB3HomeMaster} homeMaster - Parameter authority the snapshots are read from
+     * @param {Object} [options]
+     * @param {Function} [options.resolveLayer] - Parameter name => HomeMaster layer its blueprint tweens write
+     * @param {Function} [options.resolveCardOffset] - (element, parameter name) => { visualizer, key } or null,
+     *   for parameters on ecosystem reactions
+     * @param {string} [options.offsetSource='ecosystem'] - Offset owner those reactions write on the visualizers
+     */
+    constructor(animationEngine, homeMaster, options = {}) {
+        this.animationEngine = animationEngine;
+        this.homeMaster = homeMaster;
+        this.resolveLayer = options.resolveLayer || (() => 'interaction');
+        this.resolveCardOffset = options.resolveCardOffset || (() => null);
+        this.offsetSource = options.offsetSource || 'ecosystem';
+
+        // Target key -> stack of { activationId, base } in activation order
+        this.holds = new Map();
+        // Target key -> base value of a revert tween still in flight
+        this.settling = new Map();
+        // Activation id -> { name, targets: Map<key, target> }
+        this.activations = new Map();
+
+        this.elementIds = new WeakMap();
+        this.nextElementId = 1;
+        this.nextActivationId = 1;
+    }
+
+    /**
+     * Start tracking a blueprint activation
+     * @param {string} name - Blueprint name, used in logs
+     * @returns {number} Activation id for capture() and release()
+     */
+    begin(name) {
+        const id = this.nextActivationId++;
+        this.activations.set(id, { name, targets: new Map() });
+        return id;
+    }
+
+    /**
+     * Snapshot everything a reaction is about to change
+     * Must run before the reaction is applied.
+     * @param {number} activationId - Id from begin()
+     * @param {Object} reaction - Reaction from behavior.json ({ target, animation })
+     * @param {HTMLElement[]} elements - Elements the reaction applies to
+     */
+    capture(activationId, reaction, elements) {
+        const activation = this.activations.get(activationId);
+        if (!activation) return;
+
+        for (const property of Object.keys(reaction.animation || {})) {
+            if (this.homeMaster.getParameterRange(property) && reaction.target === 'ecosystem') {
+                // Card-scoped: each other card's visualizer holds its own offset
+                elements.forEach(element => {
+                    const offset = this.resolveCardOffset(element, property);
+                    if (offset) this.hold(activation, activationId, { type: 'offset', ...offset });
+                });
+            } else if (this.homeMaster.getParameterRange(property)) {
+                this.hold(activation, activationId, { type: 'param', name: property });
+            } else {
+                elements.forEach(element => {
+                    this.hold(activation, activationId, { type: 'style', element, property });
+                });
+            }
+        }
+    }
+
+    /**
+     * End an activation and animate whatever it still owns back to its snapshot
+     * @param {number} activationId - Id from begin()
+     * @param {Object} [revertAnimation] - { curve, duration, delay } from the blueprint
+     * @param {string} [source='revert'] - Source reported to HomeMaster
+     */
+    release(activationId, revertAnimation = {}, source = 'revert') {
+        const activation = this.activations.get(activationId);
+        if (!activation) return;
+        this.activations.delete(activationId);
+
+        for (const [key, target] of activation.targets) {
+            const stack = this.holds.get(key);
+            const index = stack ? stack.findIndex(hold => hold.activationId === activationId) : -1;
+            if (index === -1) continue;
+
+            const [hold] = stack.splice(index, 1);
+
+            if (index < stack.length) {
+                // A later activation snapshotted a value that included ours; hand it our base instead
+                stack[index].base = hold.base;
+                continue;
+            }
+
+            if (stack.length === 0) {
+                this.holds.delete(key);
+            }
+            this.revertTarget(key, target, hold.base, revertAnimation, source);
+        }
+    }
+
+    /**
+     * Release every open activation
+     * @param {Object} [revertAnimation] - Animation used for all reverts
+     */
+    releaseAll(revertAnimation = {}) {
+        for (const id of Array.from(this.activations.keys()).reverse()) {
+            this.release(id, revertAnimation);
+        }
+    }
+
+    /**
+     * Check whether an activation is still open
+     * @param {number} activationId - Id from begin()
+     * @returns {boolean}
+     */
+    isActive(activationId) {
+        return this.activations.has(activationId);
+    }
+
+    /**
+     * @private
+     */
+    hold(activation, activationId, target) {
+        const key = this.getTargetKey(target);
+        if (activation.targets.has(key)) return;
+
+        if (!this.holds.has(key)) {
+            this.holds.set(key, []);
+        }
+        const stack = this.holds.get(key);
+
+        let base;
+        if (stack.length === 0 && this.settling.has(key)) {
+            // Still easing back from a previous release - its destination is the real resting value
+            base = this.settling.get(key);
+            this.settling.delete(key);
+            this.cancelTarget(target);
+        } else {
+            base = this.readTarget(target);
+        }
+
+        stack.push({ activationId, base });
+        activation.targets.set(key, target);
+    }
+
+    /**
+     * @private
+     */
+    revertTarget(key, target, base, revertAnimation, source) {
+        const spec = { ...revertAnimation, to: base.value };
+        let tween;
+        if (target.type === 'param') {
+            tween = this.animationEngine.animateParameter(target.name, spec, { source, layer: this.resolveLayer(target.name), raw: true });
+        } else if (target.type === 'offset') {
+            tween = this.animationEngine.animateOffset(target.visualizer, target.key, spec, { source: this.offsetSource, raw: true });
+        } else {
+            tween = this.animationEngine.animateStyle(target.element, target.property, spec);
+        }
+
+        if (!tween) return;
+        if (this.holds.has(key)) return;
+
+        this.settling.set(key, base);
+        tween.finished.then(({ completed }) => {
+            if (this.settling.get(key) !== base) return;
+            this.settling.delete(key);
+
+            // Hand plain style properties back to the stylesheet once they have landed
+            if (completed && target.type === 'style' && base.inline !== undefined) {
+                target.element.style[target.property] = base.inline;
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    readTarget(target) {
+        if (target.type === 'param') {
+            // The layer's own contribution is restored, so lower layers may change meanwhile
+            const layer = this.resolveLayer(target.name);
+            const identity = this.homeMaster.getLayerBlend(layer) === 'multiply' ? 1 : 0;
+            return { value: this.homeMaster.getLayerValue(layer, target.name) ?? identity };
+        }
+
+        if (target.type === 'offset') {
+            return { value: target.visualizer.getOffset(this.offsetSource, target.key) ?? 0 };
+        }
+
+        if (target.property.startsWith('transform.')) {
+            const fn = target.property.slice('transform.'.length);
+            return { value: this.animationEngine.getTransformValue(target.element, fn) };
+        }
+
+        return {
+            value: parseFloat(getComputedStyle(target.element)[target.property]) || 0,
+            inline: target.element.style[target.property]
+        };
+    }
+
+    /**
+     * @private
+     */
+    cancelTarget(target) {
+        if (target.type === 'param') {
+            this.animationEngine.cancelParameter(target.name);
+        } else if (target.type === 'offset') {
+            this.animationEngine.cancelOffset(target.visualizer, target.key);
+        } else {
+            this.animationEngine.cancelStyle(target.element, target.property);
+        }
+    }
+
+    /**
+     * @private
+     */
+    getTargetKey(target) {
+        if (target.type === 'param') {
+            return `param:${target.name}`;
+        }
+
+        const owner = target.type === 'offset' ? target.visualizer : target.element;
+        if (!this.elementIds.has(owner)) {
+            this.elementIds.set(owner, this.nextElementId++);
+        }
+        return target.type === 'offset'
+            ? `offset:${this.elementIds.get(owner)}:${target.key}`
+            : `style:${this.elementIds.get(owner)}:${target.property}`;
+    }
+}
+
+export { BlueprintRevertTracker };
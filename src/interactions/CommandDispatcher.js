@@ -0,0 +1,275 @@
+/**
+ * @file CommandDispatcher.js
+ * @description Runs the command strings of state-map.json's navigation map
+ * Each entry maps a key binding to a command:
+ *
+ *   "arrowRight": "navigateTo(tech)"          single key
+ *   "shift+key1": "setGeometry(crystal)"      modifier chord (ctrl, alt, shift, meta)
+ *   "g t": "navigateTo(tech)"                 sequence: press g, then t within SEQUENCE_TIMEOUT
+ *   "ctrl+z": "undo()"
+ *
+ * Key names are KeyboardEvent.key values, case-insensitive, plus the aliases below
+ * ("spacebar", "key1", "esc", "plus", ...). Commands call the AgentAPI method of the
+ * same name; arguments that look like numbers are passed as numbers.
+ */
+
+// Command -> (agentAPI, ...args) => result. Keyboard geometry and parameter changes go to
+// the base layer, so state, timeline and agent values still take precedence over them.
+const COMMANDS = {
+    navigateTo: (api, state) => api.navigateTo(state),
+    cycleState: (api, step = 1) => api.cycleState(step),
+    setGeometry: (api, geometry) => api.setGeometry(geometry, 'base'),
+    setParameter: (api, name, value) => api.setParameter(name, value, 'base'),
+    triggerInteraction: (api, blueprint, target) => api.triggerInteraction(blueprint, target),
+    openCard: (api, cardId) => api.openCard(cardId),
+    closeCard: api => api.closeCard(),
+    undo: api => api.undo(),
+    redo: api => api.redo(),
+    playTimeline: api => api.playTimeline(),
+    pauseTimeline: api => api.pauseTimeline(),
+    stopTimeline: api => api.stopTimeline(),
+    pauseClock: api => api.pauseClock(),
+    resumeClock: api => api.resumeClock(),
+    stepClock: (api, frames = 1) => api.stepClock(frames),
+    setTimeScale: (api, scale) => api.setTimeScale(scale)
+};
+
+const COMMAND_PATTERN = /^\s*(\w+)\s*\(([^)]*)\)\s*$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+const MODIFIER_ALIASES = { control: 'ctrl', option: 'alt', cmd: 'meta', command: 'meta', super: 'meta' };
+const MODIFIER_KEYS = ['control', 'alt', 'shift', 'meta', 'altgraph', 'capslock'];
+
+const KEY_ALIASES = {
+    ' ': 'space',
+    spacebar: 'space',
+    esc: 'escape',
+    return: 'enter',
+    del: 'delete',
+    left: 'arrowleft',
+    right: 'arrowright',
+    up: 'arrowup',
+    down: 'arrowdown',
+    '+': 'plus'
+};
+
+// Longest pause between the steps of a sequence
+const SEQUENCE_TIMEOUT = 1000;
+
+/**
+ * Parse a command string
+ * @param {string} text - e.g. 'navigateTo(tech)' or 'setParameter(u_gridDensity, 18)'
+ * @returns {{name: string, args: Array<string|number>}|null} Null if the string is not a command call
+ */
+export function parseCommand(text) {
+    const match = COMMAND_PATTERN.exec(text);
+    if (!match) return null;
+
+    const args = match[2].trim() === ''
+        ? []
+        : match[2].split(',').map(arg => arg.trim()).map(arg => (NUMBER_PATTERN.test(arg) ? Number(arg) : arg));
+    return { name: match[1], args };
+}
+
+/**
+ * @param {string} name - Command name
+ * @returns {boolean} Whether the dispatcher can run it
+ */
+export function isKnownCommand(name) {
+    return Object.prototype.hasOwnProperty.call(COMMANDS, name);
+}
+
+function normalizeKey(key) {
+    const lower = key.toLowerCase();
+    const named = /^(?:key|digit)([a-z0-9])$/.exec(lower);
+    return named ? named[1] : (KEY_ALIASES[lower] || lower);
+}
+
+function formatChord(modifiers, key) {
+    return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * Parse a binding into its chords
+ * @param {string} spec - e.g. 'arrowRight', 'ctrl+shift+z' or 'g t'
+ * @returns {string[]|null} Canonical chords in press order, or null if the spec is malformed
+ */
+export function parseKeySequence(spec) {
+    const steps = spec.trim().split(/\s+/);
+    const chords = [];
+
+    for (const step of steps) {
+        const parts = step.split('+');
+        const key = parts.pop();
+        if (!key) return null;
+
+        const modifiers = new Set();
+        for (const part of parts) {
+            const modifier = MODIFIER_ALIASES[part.toLowerCase()] || part.toLowerCase();
+            if (!MODIFIERS.includes(modifier)) return null;
+            modifiers.add(modifier);
+        }
+        chords.push(formatChord(modifiers, normalizeKey(key)));
+    }
+    return chords;
+}
+
+/**
+ * Canonical chord for a keydown event
+ * @param {KeyboardEvent} event - Event to describe
+ * @returns {string|null} Chord such as 'ctrl+z', or null for a bare modifier press
+ */
+export function chordFromEvent(event) {
+    if (!event.key || MODIFIER_KEYS.includes(event.key.toLowerCase())) return null;
+
+    // Letters and digits by physical key, so shift+1 is '1' and not '!'
+    const physical = /^(?:Key([A-Z])|Digit([0-9])|Numpad([0-9]))$/.exec(event.code || '');
+    const key = physical ? (physical[1] || physical[2] || physical[3]).toLowerCase() : normalizeKey(event.key);
+
+    const modifiers = new Set();
+    if (event.ctrlKey) modifiers.add('ctrl');
+    if (event.altKey) modifiers.add('alt');
+    if (event.metaKey) modifiers.add('meta');
+    // Shifted punctuation already shows in the character ('?' rather than shift+/)
+    const isPunctuation = !physical && event.key.length === 1 && event.key !== ' ';
+    if (event.shiftKey && !isPunctuation) modifiers.add('shift');
+
+    return formatChord(modifiers, key);
+}
+
+class CommandDispatcher {
+    /**
+     * @param {AgentAPI} [agentAPI] - API the commands call; can be set later with setTarget()
+     */
+    constructor(agentAPI = null) {
+        this.agentAPI = agentAPI;
+
+        // [{ spec, chords, command, text }]
+        this.bindings = [];
+
+        // Chords typed so far toward a multi-key binding
+        this.pending = [];
+        this.pendingTimer = null;
+    }
+
+    /**
+     * @param {AgentAPI} agentAPI - API the commands call
+     */
+    setTarget(agentAPI) {
+        this.agentAPI = agentAPI;
+    }
+
+    /**
+     * Replace the key bindings
+     * Entries with a malformed key or an unknown command are skipped with a warning.
+     * @param {Object<string, string>} navigation - Binding -> command string, as in state-map.json
+     * @returns {number} Number of bindings installed
+     */
+    setBindings(navigation = {}) {
+        this.reset();
+        this.bindings = [];
+
+        for (const [spec, text] of Object.entries(navigation)) {
+            const chords = parseKeySequence(spec);
+            const command = parseCommand(text);
+            if (!chords) {
+                console.warn(`⚠️ CommandDispatcher: Invalid key binding '${spec}'`);
+            } else if (!command || !isKnownCommand(command.name)) {
+                console.warn(`⚠️ CommandDispatcher: Unknown command '${text}' for '${spec}'`);
+            } else {
+                this.bindings.push({ spec, chords, command, text });
+            }
+        }
+
+        console.log(`⌨️ CommandDispatcher: ${this.bindings.length} key bindings`);
+        return this.bindings.length;
+    }
+
+    /**
+     * @returns {Array<{keys: string, command: string}>} Installed bindings
+     */
+    getBindings() {
+        return this.bindings.map(({ spec, text }) => ({ keys: spec, command: text }));
+    }
+
+    /**
+     * Run a command
+     * @param {string|{name: string, args: Array}} command - Command string or parsed command
+     * @returns {Promise<*>} Result of the AgentAPI call
+     */
+    async execute(command) {
+        const parsed = typeof command === 'string' ? parseCommand(command) : command;
+        if (!parsed || !isKnownCommand(parsed.name)) {
+            throw new Error(`Unknown command '${typeof command === 'string' ? command : command?.name}'`);
+        }
+        if (!this.agentAPI) {
+            throw new Error('CommandDispatcher has no AgentAPI target yet');
+        }
+
+        console.log(`⌨️ Command: ${parsed.name}(${parsed.args.join(', ')})`);
+        return COMMANDS[parsed.name](this.agentAPI, ...parsed.args);
+    }
+
+    /**
+     * Feed a keydown event through the bindings
+     * @param {KeyboardEvent} event - Event from a keydown listener
+     * @returns {boolean} True if the key was consumed by a binding or a sequence in progress
+     */
+    handleKeyDown(event) {
+        const chord = chordFromEvent(event);
+        if (!chord || event.repeat) return false;
+
+        const inSequence = this.pending.length > 0;
+        if (this.consume([...this.pending, chord])) return true;
+
+        // A key that breaks a sequence may still start (or be) another binding
+        return inSequence && this.consume([chord]);
+    }
+
+    /**
+     * Forget a partly typed sequence
+     */
+    reset() {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.pending = [];
+    }
+
+    /**
+     * @private
+     * @returns {boolean} Whether the chords match or prefix a binding
+     */
+    consume(chords) {
+        const startsWith = binding => chords.every((chord, index) => binding.chords[index] === chord);
+        const candidates = this.bindings.filter(binding => binding.chords.length >= chords.length && startsWith(binding));
+
+        this.reset();
+        if (candidates.length === 0) return false;
+
+        const exact = candidates.find(binding => binding.chords.length === chords.length);
+        if (exact && candidates.length === 1) {
+            this.run(exact);
+            return true;
+        }
+
+        // Wait for the next key; if none comes, a binding that ends here still fires
+        this.pending = chords;
+        this.pendingTimer = setTimeout(() => {
+            this.reset();
+            if (exact) this.run(exact);
+        }, SEQUENCE_TIMEOUT);
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    run(binding) {
+        Promise.resolve()
+            .then(() => this.execute(binding.command))
+            .catch(error => console.error(`❌ CommandDispatcher: '${binding.spec}' -> ${binding.text} failed:`, error));
+    }
+}
+
+export { CommandDispatcher, COMMANDS };
@@ -0,0 +1,88 @@
+/**
+ * @file EventBindingRegistry.js
+ * @description Grouped DOM listener bookkeeping
+ * Handlers are registered under a group name (usually the blueprint that installed them)
+ * so a group can be torn down and re-bound without listeners piling up.
+ */
+
+class EventBindingRegistry {
+    constructor() {
+        // Group name -> { listeners: [{ target, type, handler, options }], cleanups: [fn] }
+        this.groups = new Map();
+    }
+
+    /**
+     * Add an event listener and record it under a group
+     * @param {string} group - Group name
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     * @param {Object|boolean} [options] - addEventListener options
+     */
+    bind(group, target, type, handler, options) {
+        if (!target) return;
+
+        target.addEventListener(type, handler, options);
+        this.getGroup(group).listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Register a callback to run when a group is unbound
+     * @param {string} group - Group name
+     * @param {Function} cleanup - Callback
+     */
+    onUnbind(group, cleanup) {
+        this.getGroup(group).cleanups.push(cleanup);
+    }
+
+    /**
+     * Remove every listener in a group and run its cleanups
+     * @param {string} group - Group name
+     */
+    unbind(group) {
+        const entry = this.groups.get(group);
+        if (!entry) return;
+        this.groups.delete(group);
+
+        for (const { target, type, handler, options } of entry.listeners) {
+            target.removeEventListener(type, handler, options);
+        }
+        for (const cleanup of entry.cleanups) {
+            try {
+                cleanup();
+            } catch (error) {
+                console.error(`❌ EventBindingRegistry: Cleanup for '${group}' failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Unbind every group
+     */
+    unbindAll() {
+        for (const group of Array.from(this.groups.keys())) {
+            this.unbind(group);
+        }
+    }
+
+    /**
+     * Check whether a group has any bindings
+     * @param {string} group - Group name
+     * @returns {boolean}
+     */
+    has(group) {
+        return this.groups.has(group);
+    }
+
+    /**
+     * @private
+     */
+    getGroup(group) {
+        if (!this.groups.has(group)) {
+            this.groups.set(group, { listeners: [], cleanups: [] });
+        }
+        return this.groups.get(group);
+    }
+}
+
+export { EventBindingRegistry };
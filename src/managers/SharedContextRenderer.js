@@ -0,0 +1,239 @@
+/**
+ * @file SharedContextRenderer.js
+ * @description Single WebGL context renderer for the board and all card visualizers
+ * Every attached VIB34DEnhancedCore is drawn through one offscreen context, one view
+ * at a time into a viewport/scissor region, then blitted onto the view's own 2D canvas.
+ * Pages can hold any number of visualizers without hitting the browser's context limit.
+ */
+
+import {
+    VIB34DEnhancedCore,
+    ENHANCED_VERTEX_SHADER,
+    ENHANCED_FRAGMENT_SHADER
+} from '../visualizers/VIB34DEnhancedCore.js';
+
+class SharedContextRenderer {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement} [options.canvas] - Offscreen canvas to render with (created if omitted)
+     */
+    constructor(options = {}) {
+        this.canvas = options.canvas || document.createElement('canvas');
+        this.canvas.width = 1;
+        this.canvas.height = 1;
+
+        this.gl = this.canvas.getContext('webgl2') || this.canvas.getContext('webgl') || this.canvas.getContext('experimental-webgl');
+        if (!this.gl) {
+            throw new Error('WebGL not supported');
+        }
+
+        this.views = new Set();
+        this.animationId = null;
+        this.isRunning = false;
+        this.isContextLost = false;
+
+        this.setupWebGL();
+        this.createShaderProgram();
+        this.setupBuffers();
+        this.setupContextLossHandling();
+
+        console.log('🖼️ SharedContextRenderer initialized with a single WebGL context');
+    }
+
+    setupWebGL() {
+        const gl = this.gl;
+
+        gl.disable(gl.DEPTH_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.enable(gl.SCISSOR_TEST);
+        gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    }
+
+    createShaderProgram() {
+        const gl = this.gl;
+
+        const vertexShader = this.createShader(gl.VERTEX_SHADER, ENHANCED_VERTEX_SHADER);
+        const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, ENHANCED_FRAGMENT_SHADER);
+
+        this.program = gl.createProgram();
+        gl.attachShader(this.program, vertexShader);
+        gl.attachShader(this.program, fragmentShader);
+        gl.linkProgram(this.program);
+
+        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+            throw new Error('Shader program failed to link: ' + gl.getProgramInfoLog(this.program));
+        }
+
+        this.uniforms = VIB34DEnhancedCore.getUniformLocations(gl, this.program);
+    }
+
+    createShader(type, source) {
+        const gl = this.gl;
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const error = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error('Shader compilation error: ' + error);
+        }
+
+        return shader;
+    }
+
+    setupBuffers() {
+        const gl = this.gl;
+
+        this.positionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1.0, -1.0, 1.0, -1.0, -1.0, 1.0, 1.0, 1.0]), gl.STATIC_DRAW);
+
+        this.positionAttribute = gl.getAttribLocation(this.program, 'a_position');
+    }
+
+    /**
+     * Pause drawing while the context is lost and rebuild GL resources once it is restored
+     */
+    setupContextLossHandling() {
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            console.warn('⚠️ SharedContextRenderer: WebGL context lost');
+            this.isContextLost = true;
+            this.stopLoop();
+        });
+
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            console.log('🔁 SharedContextRenderer: WebGL context restored');
+            this.isContextLost = false;
+            this.setupWebGL();
+            this.createShaderProgram();
+            this.setupBuffers();
+            this.ensureRunning();
+        });
+    }
+
+    /**
+     * Attach a visualizer view; it is drawn on every frame while it is active
+     * @param {VIB34DEnhancedCore} view - Visualizer created with this renderer
+     */
+    attach(view) {
+        this.views.add(view);
+        this.ensureRunning();
+        console.log(`🖼️ SharedContextRenderer: Attached view (${this.views.size} total)`);
+    }
+
+    /**
+     * Detach a visualizer view
+     * @param {VIB34DEnhancedCore} view - Previously attached view
+     */
+    detach(view) {
+        this.views.delete(view);
+        if (this.views.size === 0) {
+            this.stopLoop();
+        }
+        console.log(`🖼️ SharedContextRenderer: Detached view (${this.views.size} remaining)`);
+    }
+
+    ensureRunning() {
+        if (this.isRunning || this.isContextLost || this.views.size === 0) return;
+
+        this.isRunning = true;
+        const loop = () => {
+            if (!this.isRunning) return;
+            this.renderFrame();
+            this.animationId = requestAnimationFrame(loop);
+        };
+        this.animationId = requestAnimationFrame(loop);
+    }
+
+    stopLoop() {
+        this.isRunning = false;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Step and draw every active view
+     */
+    renderFrame() {
+        const gl = this.gl;
+        if (gl.isContextLost()) return;
+
+        gl.useProgram(this.program);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.enableVertexAttribArray(this.positionAttribute);
+        gl.vertexAttribPointer(this.positionAttribute, 2, gl.FLOAT, false, 0, 0);
+
+        for (const view of this.views) {
+            if (!view.isActive) continue;
+
+            view.step();
+            this.drawView(view);
+        }
+    }
+
+    /**
+     * Draw one view into the offscreen viewport and copy it onto the view's canvas
+     * @param {VIB34DEnhancedCore} view - View to draw
+     */
+    drawView(view) {
+        const gl = this.gl;
+        const width = view.canvas.width;
+        const height = view.canvas.height;
+
+        if (!width || !height) return;
+
+        this.ensureCapacity(width, height);
+
+        gl.viewport(0, 0, width, height);
+        gl.scissor(0, 0, width, height);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        view.applyUniforms(gl, this.uniforms, width, height);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        // GL's origin is bottom-left, so the region sits at the bottom of the offscreen canvas.
+        // The drawing buffer is still intact because we copy within the same task.
+        view.context2d.clearRect(0, 0, width, height);
+        view.context2d.drawImage(
+            this.canvas,
+            0, this.canvas.height - height, width, height,
+            0, 0, width, height
+        );
+    }
+
+    /**
+     * Grow the offscreen canvas so it can hold the largest view
+     */
+    ensureCapacity(width, height) {
+        if (this.canvas.width >= width && this.canvas.height >= height) return;
+
+        this.canvas.width = Math.max(this.canvas.width, width);
+        this.canvas.height = Math.max(this.canvas.height, height);
+    }
+
+    destroy() {
+        this.stopLoop();
+
+        for (const view of this.views) {
+            view.stop();
+        }
+        this.views.clear();
+
+        const gl = this.gl;
+        if (this.program) {
+            gl.deleteProgram(this.program);
+        }
+        if (this.positionBuffer) {
+            gl.deleteBuffer(this.positionBuffer);
+        }
+
+        console.log('🗑️ SharedContextRenderer destroyed');
+    }
+}
+
+export { SharedContextRenderer };
@@ -0,0 +1,146 @@
+/**
+ * @file ConfigComposer.js
+ * @description Builds one config object out of several files
+ * A file may name the file(s) it builds on with "extends" (a path relative to itself, or a
+ * list applied in order). Objects are merged key by key, the extending file winning; arrays
+ * are replaced unless "arrayMerge" maps their JSON pointer to another strategy:
+ *
+ *   { "extends": "../base/visuals.json",
+ *     "arrayMerge": { "/geometries": "merge:name", "/stateOrder": "append" },
+ *     ... }
+ *
+ * Strategies: replace (default), append, prepend, merge:<key> (items with the same <key>
+ * are merged, new ones appended). A "*" segment matches any key, so "/stateModulators/*"
+ * covers the list of every state. Both keys are removed from the result. Profile overlays
+ * are merged the same way on top of the composed file.
+ */
+
+import { joinPointer } from './SchemaValidator.js';
+
+const DIRECTIVES = ['extends', 'arrayMerge'];
+const STRATEGIES = ['replace', 'append', 'prepend'];
+const KEYED_STRATEGY = 'merge:';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Resolve a path relative to the file it appears in
+ * @param {string} fromFile - File containing the reference ('config/visuals.json')
+ * @param {string} relativePath - Reference ('../base/visuals.json')
+ * @returns {string} Normalized path ('base/visuals.json')
+ */
+export function resolveConfigPath(fromFile, relativePath) {
+    const segments = relativePath.startsWith('/') ? [] : fromFile.split('/').slice(0, -1);
+    for (const segment of relativePath.split('/')) {
+        if (segment === '..') {
+            if (segments.length === 0 || segments[segments.length - 1] === '..') {
+                segments.push('..');
+            } else {
+                segments.pop();
+            }
+        } else if (segment && segment !== '.') {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+function pointerMatches(pattern, pointer) {
+    const expected = pattern.split('/');
+    const actual = pointer.split('/');
+    return expected.length === actual.length
+        && expected.every((segment, index) => segment === '*' || segment === actual[index]);
+}
+
+function strategyFor(strategies, pointer) {
+    const match = Object.keys(strategies).find(pattern => pointerMatches(pattern, pointer));
+    const strategy = match !== undefined ? strategies[match] : 'replace';
+    const isKeyed = typeof strategy === 'string' && strategy.startsWith(KEYED_STRATEGY) && strategy.length > KEYED_STRATEGY.length;
+    if (!STRATEGIES.includes(strategy) && !isKeyed) {
+        throw new Error(`Unknown array merge strategy '${strategy}' for '${match}'`);
+    }
+    return strategy;
+}
+
+/**
+ * Merge an overlay onto a base without modifying either
+ * @param {*} base - Value being extended
+ * @param {*} overlay - Value whose entries win
+ * @param {Object<string, string>} [strategies] - JSON pointer pattern -> array strategy
+ * @param {string} [pointer] - Pointer of base/overlay within the document
+ * @returns {*} Merged value
+ */
+export function mergeConfig(base, overlay, strategies = {}, pointer = '') {
+    if (Array.isArray(overlay) && Array.isArray(base)) {
+        const strategy = strategyFor(strategies, pointer);
+        if (strategy === 'append') return [...structuredClone(base), ...structuredClone(overlay)];
+        if (strategy === 'prepend') return [...structuredClone(overlay), ...structuredClone(base)];
+        if (strategy === 'replace') return structuredClone(overlay);
+
+        const key = strategy.slice(KEYED_STRATEGY.length);
+        const result = structuredClone(base);
+        for (const item of overlay) {
+            const index = isPlainObject(item) ? result.findIndex(existing => isPlainObject(existing) && existing[key] === item[key]) : -1;
+            if (index >= 0) {
+                result[index] = mergeConfig(result[index], item, strategies, joinPointer(pointer, index));
+            } else {
+                result.push(structuredClone(item));
+            }
+        }
+        return result;
+    }
+
+    if (isPlainObject(overlay) && isPlainObject(base)) {
+        const result = structuredClone(base);
+        for (const [key, value] of Object.entries(overlay)) {
+            result[key] = key in base
+                ? mergeConfig(base[key], value, strategies, joinPointer(pointer, key))
+                : structuredClone(value);
+        }
+        return result;
+    }
+
+    return structuredClone(overlay);
+}
+
+/**
+ * Load a file and everything it extends
+ * @param {string} file - Path of the file to load
+ * @param {Function} loadJson - async (path) => parsed JSON; throws if the file is missing
+ * @param {string[]} [chain] - Files already being composed, for cycle detection
+ * @returns {Promise<{config: Object, sources: string[], arrayMerge: Object}>} Composed config, every file
+ *   it was built from, and the file's own arrayMerge (for merging it onto something else as an overlay)
+ */
+export async function composeConfig(file, loadJson, chain = []) {
+    if (chain.includes(file)) {
+        throw new Error(`Circular extends: ${[...chain, file].join(' -> ')}`);
+    }
+
+    const raw = await loadJson(file);
+    const arrayMerge = (isPlainObject(raw) && raw.arrayMerge) || {};
+    if (!isPlainObject(raw) || raw.extends === undefined) {
+        return { config: stripDirectives(raw), sources: [file], arrayMerge };
+    }
+
+    let base = null;
+    const sources = [];
+    for (const parent of [].concat(raw.extends)) {
+        const composed = await composeConfig(resolveConfigPath(file, parent), loadJson, [...chain, file]);
+        base = base === null ? composed.config : mergeConfig(base, composed.config);
+        sources.push(...composed.sources);
+    }
+    sources.push(file);
+
+    return {
+        config: mergeConfig(base, stripDirectives(raw), arrayMerge),
+        sources: [...new Set(sources)],
+        arrayMerge
+    };
+}
+
+function stripDirectives(config) {
+    if (!isPlainObject(config)) return config;
+    const result = { ...config };
+    DIRECTIVES.forEach(key => delete result[key]);
+    return result;
+}
@@ -0,0 +1,165 @@
+/**
+ * @file ConfigFormatter.js
+ * @description Serializes a config for saving without reformatting the file it replaces
+ * Values that did not change keep their original text (spacing, `1.0`, inline objects,
+ * trailing spaces). An object or array whose keys did not change keeps the text around its
+ * members and only the changed values are rewritten. Anything new is laid out like the
+ * hand-written files: the file's indent unit, and arrays and objects of plain values on one
+ * line while they fit in INLINE_WIDTH. Saving an unchanged config reproduces the file exactly.
+ */
+
+// Arrays and objects of plain values up to this width stay on one line
+const INLINE_WIDTH = 80;
+const DEFAULT_INDENT = '  ';
+
+const isContainer = value => value !== null && typeof value === 'object';
+
+/**
+ * Serialize a config
+ * @param {*} value - Config to write
+ * @param {string|null} [source=null] - Current contents of the file, if there is one
+ * @returns {string} File contents
+ */
+export function formatConfig(value, source = null) {
+    let root = null;
+    if (source !== null) {
+        try {
+            JSON.parse(source);
+            root = scanJson(source);
+        } catch {
+            // Unreadable files are replaced with a fresh layout
+        }
+    }
+    if (!root) return layoutJson(value, '', DEFAULT_INDENT);
+
+    // The first indented line is one level deep
+    const unit = source.match(/\n([ \t]+)\S/)?.[1] ?? DEFAULT_INDENT;
+    return source.slice(0, root.start) + renderJson(value, root, source, unit) + source.slice(root.end);
+}
+
+/**
+ * Rewrite one value of the source, reusing whatever text still describes it
+ */
+function renderJson(value, node, source, unit) {
+    const text = source.slice(node.start, node.end);
+    if (JSON.stringify(JSON.parse(text)) === JSON.stringify(value)) return text;
+
+    const indent = lineIndent(source, node.start);
+    const type = Array.isArray(value) ? 'array' : isContainer(value) ? 'object' : null;
+    if (type === null || type !== node.type) return layoutJson(value, indent, unit);
+
+    const keys = type === 'array' ? value.map((item, index) => index) : Object.keys(value);
+    const children = new Map(node.children.map(child => [child.key, child.node]));
+    const render = key => children.has(key)
+        ? renderJson(value[key], children.get(key), source, unit)
+        : layoutJson(value[key], indent + unit, unit);
+
+    // Same members in the same order: keep everything between them
+    if (keys.length === node.children.length && keys.every((key, index) => key === node.children[index].key)) {
+        let result = '';
+        let position = node.start;
+        for (const child of node.children) {
+            result += source.slice(position, child.node.start) + render(child.key);
+            position = child.node.end;
+        }
+        return result + source.slice(position, node.end);
+    }
+
+    const items = keys.map(key => (type === 'array' ? '' : `${JSON.stringify(key)}: `) + render(key));
+    const inline = !text.includes('\n') && items.every(item => !item.includes('\n'));
+    return joinItems(items, type, indent, unit, inline);
+}
+
+/**
+ * Lay out a value that has no text in the source yet
+ */
+function layoutJson(value, indent, unit) {
+    if (!isContainer(value)) return JSON.stringify(value);
+
+    const type = Array.isArray(value) ? 'array' : 'object';
+    const entries = type === 'array' ? value.map(item => [null, item]) : Object.entries(value);
+    const items = entries.map(([key, item]) =>
+        (key === null ? '' : `${JSON.stringify(key)}: `) + layoutJson(item, indent + unit, unit));
+
+    const plain = entries.every(([, item]) => !isContainer(item));
+    const inline = plain && joinItems(items, type, indent, unit, true).length <= INLINE_WIDTH;
+    return joinItems(items, type, indent, unit, inline);
+}
+
+function joinItems(items, type, indent, unit, inline) {
+    const [open, close] = type === 'array' ? ['[', ']'] : ['{', '}'];
+    if (items.length === 0) return open + close;
+    if (inline) {
+        return type === 'array' ? `[${items.join(', ')}]` : `{ ${items.join(', ')} }`;
+    }
+    const inner = indent + unit;
+    return `${open}\n${items.map(item => inner + item).join(',\n')}\n${indent}${close}`;
+}
+
+/**
+ * Leading whitespace of the line a position is on
+ */
+function lineIndent(source, position) {
+    const lineStart = source.lastIndexOf('\n', position - 1) + 1;
+    return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Where each value of a (valid) JSON text starts and ends
+ * @returns {Object} { start, end, type, children: [{ key, node }] }; type is 'object', 'array' or null
+ */
+function scanJson(text) {
+    let position = 0;
+
+    const skipWhitespace = () => {
+        while (' \t\n\r'.includes(text[position]) && position < text.length) position++;
+    };
+    const skipString = () => {
+        position++;
+        while (text[position] !== '"') {
+            if (text[position] === '\\') position++;
+            position++;
+        }
+        position++;
+    };
+    const scanValue = () => {
+        skipWhitespace();
+        const start = position;
+        const char = text[position];
+
+        if (char === '{' || char === '[') {
+            const type = char === '{' ? 'object' : 'array';
+            const children = [];
+            position++;
+            skipWhitespace();
+            if (text[position] === (type === 'object' ? '}' : ']')) {
+                position++;
+                return { start, end: position, type, children };
+            }
+            // Each member is followed by ',' or the closing bracket
+            do {
+                let key = children.length;
+                if (type === 'object') {
+                    skipWhitespace();
+                    const keyStart = position;
+                    skipString();
+                    key = JSON.parse(text.slice(keyStart, position));
+                    skipWhitespace();
+                    position++;
+                }
+                children.push({ key, node: scanValue() });
+                skipWhitespace();
+            } while (text[position++] === ',');
+            return { start, end: position, type, children };
+        }
+
+        if (char === '"') {
+            skipString();
+        } else {
+            while (position < text.length && !' \t\n\r,]}'.includes(text[position])) position++;
+        }
+        return { start, end: position, type: null, children: [] };
+    };
+
+    return scanValue();
+}
@@ -0,0 +1,252 @@
+/**
+ * @file ConfigReferenceChecker.js
+ * @description Cross-file checks that a schema cannot express: names used in one config file
+ * must exist in the file that defines them (card geometry -> visuals.geometries, activeCards ->
+ * layout-content cards, activeTheme -> visuals.themes, ...). Checks whose source or target
+ * config is not loaded are skipped.
+ */
+
+import { joinPointer } from './SchemaValidator.js';
+import { parseCommand, parseKeySequence, isKnownCommand } from '../interactions/CommandDispatcher.js';
+
+// HomeMaster uniforms are named u_*; other animation keys may be CSS properties
+const PARAMETER_PREFIX = 'u_';
+const TRANSFORM_PREFIX = 'transform.';
+
+// JSON pointer to base + segments; base '' is the document root
+function pointer(base, ...segments) {
+    return segments.reduce((path, segment) => joinPointer(path, segment), base);
+}
+
+/**
+ * Check references between the four config files
+ * @param {Object} configs - { visuals, behavior, stateMap, layoutContent }; any may be null
+ * @returns {Array<{config: string, path: string, message: string}>} Errors, empty when consistent
+ */
+export function checkConfigReferences(configs) {
+    const { visuals, behavior, stateMap, layoutContent } = configs;
+    const errors = [];
+    const report = (config, path, message) => errors.push({ config, path, message });
+
+    const geometryNames = visuals ? new Set((visuals.geometries || []).map(geometry => geometry.name)) : null;
+    const themeNames = visuals ? new Set(Object.keys(visuals.themes || {})) : null;
+    const parameterNames = visuals ? new Set(Object.keys(visuals.parameters || {})) : null;
+    const stateNames = stateMap ? new Set(Object.keys(stateMap.states || {})) : null;
+    const cardIds = layoutContent ? new Set((layoutContent.cards || []).map(card => card.id)) : null;
+    const blueprintNames = behavior ? new Set(Object.keys(behavior.interactionBlueprints || {})) : null;
+
+    if (visuals) {
+        const seenIds = new Map();
+        (visuals.geometries || []).forEach((geometry, index) => {
+            if (seenIds.has(geometry.id)) {
+                report('visuals', pointer('', 'geometries', index, 'id'), `Geometry id ${geometry.id} is already used by '${seenIds.get(geometry.id)}'`);
+            }
+            seenIds.set(geometry.id, geometry.name);
+        });
+
+        for (const [name, range] of Object.entries(visuals.parameters || {})) {
+            if (range.min > range.max) {
+                report('visuals', pointer('', 'parameters', name), `min (${range.min}) is greater than max (${range.max})`);
+            } else if (range.default < range.min || range.default > range.max) {
+                report('visuals', pointer('', 'parameters', name, 'default'), `default ${range.default} is outside ${range.min}..${range.max}`);
+            }
+        }
+    }
+
+    if (layoutContent && geometryNames) {
+        (layoutContent.cards || []).forEach((card, index) => {
+            if (card.geometry && !geometryNames.has(card.geometry)) {
+                report('layoutContent', pointer('', 'cards', index, 'geometry'), `Unknown geometry '${card.geometry}' (not in visuals.geometries)`);
+            }
+        });
+    }
+
+    if (layoutContent) {
+        const seenCards = new Set();
+        (layoutContent.cards || []).forEach((card, index) => {
+            if (seenCards.has(card.id)) {
+                report('layoutContent', pointer('', 'cards', index, 'id'), `Duplicate card id '${card.id}'`);
+            }
+            seenCards.add(card.id);
+        });
+
+        const breakpointNames = new Set(Object.keys(layoutContent.breakpoints || {}));
+        for (const [layoutName, layout] of Object.entries(layoutContent.layouts || {})) {
+            for (const [breakpoint, arrangement] of Object.entries(layout)) {
+                const basePath = pointer('', 'layouts', layoutName, breakpoint);
+                if (!breakpointNames.has(breakpoint)) {
+                    report('layoutContent', basePath, `Unknown breakpoint '${breakpoint}' (not in breakpoints)`);
+                }
+                for (const cardId of Object.keys(arrangement.cards || {})) {
+                    if (!seenCards.has(cardId)) {
+                        report('layoutContent', pointer(basePath, 'cards', cardId), `Unknown card '${cardId}'`);
+                    }
+                }
+
+                // Areas name cards; a template whose rows differ in width is dropped by the browser
+                const rows = (arrangement.grid?.areas || []).map(row => row.trim().split(/\s+/));
+                rows.forEach((cells, index) => {
+                    const path = pointer(basePath, 'grid', 'areas', index);
+                    if (cells.length !== rows[0].length) {
+                        report('layoutContent', path, `Row has ${cells.length} cells, the first row has ${rows[0].length}`);
+                    }
+                    cells.filter(cell => !/^\.+$/.test(cell) && !seenCards.has(cell)).forEach((cell) => {
+                        report('layoutContent', path, `Unknown card '${cell}' in grid areas`);
+                    });
+                });
+            }
+        }
+    }
+
+    if (stateMap) {
+        for (const [stateName, state] of Object.entries(stateMap.states || {})) {
+            if (cardIds) {
+                (state.activeCards || []).forEach((cardId, index) => {
+                    if (!cardIds.has(cardId)) {
+                        report('stateMap', pointer('', 'states', stateName, 'activeCards', index), `Unknown card '${cardId}' (not in layout-content cards)`);
+                    }
+                });
+            }
+            if (layoutContent?.layouts && state.layout && !(state.layout in layoutContent.layouts)) {
+                report('stateMap', pointer('', 'states', stateName, 'layout'), `Unknown layout '${state.layout}' (not in layout-content layouts)`);
+            }
+            if (themeNames && state.activeTheme && !themeNames.has(state.activeTheme)) {
+                report('stateMap', pointer('', 'states', stateName, 'activeTheme'), `Unknown theme '${state.activeTheme}' (not in visuals.themes)`);
+            }
+            if (geometryNames && state.defaultGeometry && !geometryNames.has(state.defaultGeometry)) {
+                report('stateMap', pointer('', 'states', stateName, 'defaultGeometry'), `Unknown geometry '${state.defaultGeometry}' (not in visuals.geometries)`);
+            }
+            if (parameterNames) {
+                for (const [name, value] of Object.entries(state.parameters || {})) {
+                    const range = visuals.parameters[name];
+                    if (!range) {
+                        report('stateMap', pointer('', 'states', stateName, 'parameters', name), `Unknown parameter '${name}' (not in visuals.parameters)`);
+                    } else if (value < range.min || value > range.max) {
+                        report('stateMap', pointer('', 'states', stateName, 'parameters', name), `${value} is outside ${range.min}..${range.max}`);
+                    }
+                }
+            }
+        }
+
+        if (stateMap.initialState && !stateNames.has(stateMap.initialState)) {
+            report('stateMap', pointer('', 'initialState'), `Unknown state '${stateMap.initialState}'`);
+        }
+        (stateMap.stateOrder || []).forEach((stateName, index) => {
+            if (!stateNames.has(stateName)) {
+                report('stateMap', pointer('', 'stateOrder', index), `State '${stateName}' is listed in stateOrder but missing from states`);
+            }
+        });
+
+        // The initial state lives at the root URL; every other state needs its own segment
+        const seenPaths = new Map();
+        for (const [stateName, state] of Object.entries(stateMap.states || {})) {
+            if (stateName === stateMap.initialState) continue;
+            const segment = state.path ?? stateName;
+            if (seenPaths.has(segment)) {
+                report('stateMap', pointer('', 'states', stateName, 'path'), `URL path '${segment}' is already used by '${seenPaths.get(segment)}'`);
+            } else {
+                seenPaths.set(segment, stateName);
+            }
+        }
+
+        const seenSequences = new Map();
+        for (const [key, command] of Object.entries(stateMap.navigation || {})) {
+            const path = pointer('', 'navigation', key);
+            const chords = parseKeySequence(key);
+            if (!chords) {
+                report('stateMap', path, `Invalid key binding '${key}'`);
+            } else if (seenSequences.has(chords.join(' '))) {
+                report('stateMap', path, `Key binding '${key}' is the same as '${seenSequences.get(chords.join(' '))}'`);
+            } else {
+                seenSequences.set(chords.join(' '), key);
+            }
+
+            const parsed = parseCommand(command);
+            if (!parsed) continue;
+            const { name, args: [argument] } = parsed;
+            if (!isKnownCommand(name)) {
+                report('stateMap', path, `Unknown command '${name}'`);
+            } else if (name === 'navigateTo' && !stateNames.has(argument)) {
+                report('stateMap', path, `Unknown state '${argument}'`);
+            } else if (name === 'setGeometry' && typeof argument === 'string' && geometryNames && !geometryNames.has(argument)) {
+                report('stateMap', path, `Unknown geometry '${argument}' (not in visuals.geometries)`);
+            } else if (name === 'setParameter' && parameterNames && !parameterNames.has(argument)) {
+                report('stateMap', path, `Unknown parameter '${argument}' (not in visuals.parameters)`);
+            } else if (name === 'triggerInteraction' && blueprintNames && !blueprintNames.has(argument)) {
+                report('stateMap', path, `Unknown blueprint '${argument}' (not in interactionBlueprints)`);
+            } else if (name === 'openCard' && cardIds && !cardIds.has(argument)) {
+                report('stateMap', path, `Unknown card '${argument}' (not in layout-content cards)`);
+            }
+        }
+    }
+
+    if (behavior) {
+        const checkAnimationTargets = (reactions, basePath) => {
+            (reactions || []).forEach((reaction, index) => {
+                for (const property of Object.keys(reaction.animation || {})) {
+                    if (property.startsWith(TRANSFORM_PREFIX) || !parameterNames) continue;
+                    const isParameter = property.startsWith(PARAMETER_PREFIX) || property === 'geometry' || property === 'projection';
+                    if (isParameter && !parameterNames.has(property)) {
+                        report('behavior', pointer(basePath, 'reactions', index, 'animation', property), `Unknown parameter '${property}' (not in visuals.parameters)`);
+                    }
+                }
+            });
+        };
+
+        for (const [name, blueprint] of Object.entries(behavior.interactionBlueprints || {})) {
+            checkAnimationTargets(blueprint.reactions, pointer('', 'interactionBlueprints', name));
+        }
+
+        for (const [stateName, modifiers] of Object.entries(behavior.stateModifiers || {})) {
+            if (stateNames && !stateNames.has(stateName)) {
+                report('behavior', pointer('', 'stateModifiers', stateName), `Unknown state '${stateName}'`);
+            }
+            for (const [name, modifier] of Object.entries(modifiers || {})) {
+                if (!blueprintNames.has(name)) {
+                    report('behavior', pointer('', 'stateModifiers', stateName, name), `Unknown blueprint '${name}' (not in interactionBlueprints)`);
+                }
+                checkAnimationTargets(modifier.reactions, pointer('', 'stateModifiers', stateName, name));
+            }
+        }
+
+        const checkModulators = (modulators, basePath) => {
+            (modulators || []).forEach((modulator, index) => {
+                if (parameterNames && !parameterNames.has(modulator.target)) {
+                    report('behavior', pointer(basePath, index, 'target'), `Unknown parameter '${modulator.target}' (not in visuals.parameters)`);
+                }
+                if (modulator.trigger && !blueprintNames.has(modulator.trigger)) {
+                    report('behavior', pointer(basePath, index, 'trigger'), `Unknown blueprint '${modulator.trigger}' (not in interactionBlueprints)`);
+                }
+            });
+        };
+
+        checkModulators(behavior.modulators, pointer('', 'modulators'));
+        for (const [stateName, modulators] of Object.entries(behavior.stateModulators || {})) {
+            if (stateNames && !stateNames.has(stateName)) {
+                report('behavior', pointer('', 'stateModulators', stateName), `Unknown state '${stateName}'`);
+            }
+            checkModulators(modulators, pointer('', 'stateModulators', stateName));
+        }
+
+        for (const [master, mapping] of Object.entries(behavior.masterParameterMaps || {})) {
+            for (const property of Object.keys(mapping || {})) {
+                if (parameterNames && !parameterNames.has(property)) {
+                    report('behavior', pointer('', 'masterParameterMaps', master, property), `Unknown parameter '${property}' (not in visuals.parameters)`);
+                }
+            }
+        }
+    }
+
+    if (visuals) {
+        (visuals.modulators || []).forEach((modulator, index) => {
+            if (parameterNames && !parameterNames.has(modulator.target)) {
+                report('visuals', pointer('', 'modulators', index, 'target'), `Unknown parameter '${modulator.target}' (not in visuals.parameters)`);
+            }
+            if (modulator.trigger && blueprintNames && !blueprintNames.has(modulator.trigger)) {
+                report('visuals', pointer('', 'modulators', index, 'trigger'), `Unknown blueprint '${modulator.trigger}' (not in behavior interactionBlueprints)`);
+            }
+        });
+    }
+
+    return errors;
+}
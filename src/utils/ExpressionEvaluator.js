@@ -0,0 +1,377 @@
+/**
+ * @file ExpressionEvaluator.js
+ * @description Safe arithmetic expression language for behavior.json values
+ * Blueprint values such as "map(mouseX, 0, 1, 0.0, 1.5)", "+=scrollDelta*0.05" or "keyIndex"
+ * are tokenized and parsed into a small AST - nothing is ever passed to eval/Function.
+ *
+ * Grammar:  numbers, variables, f(args...), unary -/+, + - * / % and ^ (right associative)
+ * Prefixes: "+=", "-=", "*=", "/=" apply the expression to the `current` variable
+ *
+ * Calls with the wrong number of arguments fail to compile, and resolve() turns results that
+ * are not finite (sqrt(-1), pow(10, 400)) into null, so a bad value never reaches a parameter.
+ */
+
+const FUNCTIONS = {
+    map: (v, inMin, inMax, outMin, outMax) => (
+        inMax === inMin ? outMin : outMin + ((v - inMin) / (inMax - inMin)) * (outMax - outMin)
+    ),
+    clamp: (v, min, max) => Math.max(min, Math.min(max, v)),
+    lerp: (a, b, t) => a + (b - a) * t,
+    sin: Math.sin,
+    cos: Math.cos,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    sqrt: Math.sqrt,
+    pow: Math.pow,
+    sign: Math.sign,
+    noise: valueNoise
+};
+
+// Argument counts each function accepts: [min, max]; functions not listed take exactly one
+const ARITY = {
+    map: [5, 5],
+    clamp: [3, 3],
+    lerp: [3, 3],
+    min: [1, Infinity],
+    max: [1, Infinity],
+    pow: [2, 2]
+};
+
+const CONSTANTS = {
+    PI: Math.PI,
+    TAU: Math.PI * 2
+};
+
+// Binding powers for infix operators
+const INFIX = {
+    '+': 10, '-': 10,
+    '*': 20, '/': 20, '%': 20,
+    '^': 30
+};
+
+const COMPOUND_PREFIX = /^\s*([+\-*/])=/;
+
+/**
+ * Smooth 1D value noise in [0, 1], deterministic for a given input
+ * @param {number} x - Sample position
+ * @returns {number} Noise value
+ */
+function valueNoise(x) {
+    const hash = (n) => {
+        const s = Math.sin(n * 127.1) * 43758.5453123;
+        return s - Math.floor(s);
+    };
+    const i = Math.floor(x);
+    const f = x - i;
+    const u = f * f * (3 - 2 * f);
+    return hash(i) * (1 - u) + hash(i + 1) * u;
+}
+
+/**
+ * Split source text into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<Object>} Tokens of type number, name, op, paren, comma, end
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (/[\d.]/.test(ch)) {
+            const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+            if (!match) {
+                throw new Error(`Invalid number at position ${i} in "${source}"`);
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            tokens.push({ type: 'name', value: match[0], pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if ('+-*/%^'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: 'paren', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        if (ch === ',') {
+            tokens.push({ type: 'comma', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        throw new Error(`Unexpected character '${ch}' at position ${i} in "${source}"`);
+    }
+
+    tokens.push({ type: 'end', pos: source.length });
+    return tokens;
+}
+
+/**
+ * Pratt parser producing a plain-object AST
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    expect(type, value) {
+        const token = this.next();
+        if (token.type !== type || (value !== undefined && token.value !== value)) {
+            throw this.error(token, `Expected '${value || type}'`);
+        }
+        return token;
+    }
+
+    error(token, message) {
+        const found = token.type === 'end' ? 'end of input' : `'${token.value}'`;
+        return new Error(`${message} but found ${found} at position ${token.pos} in "${this.source}"`);
+    }
+
+    parse() {
+        const ast = this.parseExpression(0);
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw this.error(token, 'Expected end of expression');
+        }
+        return ast;
+    }
+
+    parseExpression(minPower) {
+        let left = this.parsePrefix();
+
+        for (;;) {
+            const token = this.peek();
+            if (token.type !== 'op') break;
+
+            const power = INFIX[token.value];
+            if (power <= minPower) break;
+
+            this.next();
+            // '^' is right associative, everything else left associative
+            const right = this.parseExpression(token.value === '^' ? power - 1 : power);
+            left = { type: 'binary', op: token.value, left, right };
+        }
+
+        return left;
+    }
+
+    parsePrefix() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value };
+
+            case 'name':
+                if (this.peek().type === 'paren' && this.peek().value === '(') {
+                    return this.parseCall(token);
+                }
+                return { type: 'variable', name: token.value };
+
+            case 'op':
+                if (token.value === '-' || token.value === '+') {
+                    // Unary binds tighter than * but looser than ^, so -2^2 === -4
+                    const operand = this.parseExpression(INFIX['*']);
+                    return token.value === '-' ? { type: 'negate', operand } : operand;
+                }
+                break;
+
+            case 'paren':
+                if (token.value === '(') {
+                    const inner = this.parseExpression(0);
+                    this.expect('paren', ')');
+                    return inner;
+                }
+                break;
+        }
+
+        throw this.error(token, 'Expected a value');
+    }
+
+    parseCall(nameToken) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, nameToken.value)) {
+            throw new Error(`Unknown function '${nameToken.value}' at position ${nameToken.pos} in "${this.source}"`);
+        }
+
+        this.expect('paren', '(');
+        const args = [];
+
+        if (!(this.peek().type === 'paren' && this.peek().value === ')')) {
+            for (;;) {
+                args.push(this.parseExpression(0));
+                if (this.peek().type !== 'comma') break;
+                this.next();
+            }
+        }
+
+        this.expect('paren', ')');
+
+        const [min, max] = ARITY[nameToken.value] || [1, 1];
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            throw new Error(`${nameToken.value}() takes ${expected} argument${(max === Infinity ? min : max) === 1 ? '' : 's'} but got ${args.length} at position ${nameToken.pos} in "${this.source}"`);
+        }
+        return { type: 'call', name: nameToken.value, args };
+    }
+}
+
+function evaluateNode(node, variables) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+
+        case 'variable': {
+            if (Object.prototype.hasOwnProperty.call(variables, node.name)) {
+                return Number(variables[node.name]) || 0;
+            }
+            if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) {
+                return CONSTANTS[node.name];
+            }
+            throw new Error(`Unknown variable '${node.name}'`);
+        }
+
+        case 'negate':
+            return -evaluateNode(node.operand, variables);
+
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, variables)));
+
+        case 'binary': {
+            const a = evaluateNode(node.left, variables);
+            const b = evaluateNode(node.right, variables);
+            switch (node.op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return b !== 0 ? a / b : 0;
+                case '%': return b !== 0 ? a % b : 0;
+                case '^': return Math.pow(a, b);
+            }
+        }
+    }
+
+    throw new Error(`Invalid expression node '${node.type}'`);
+}
+
+class ExpressionEvaluator {
+    constructor() {
+        // Compiled ASTs keyed by source; blueprints re-use the same few strings every frame
+        this.cache = new Map();
+    }
+
+    /**
+     * Parse an expression (without compound prefix) into a reusable AST
+     * @param {string} source - Expression source
+     * @returns {Object} AST
+     */
+    compile(source) {
+        let ast = this.cache.get(source);
+        if (!ast) {
+            ast = new Parser(source).parse();
+            this.cache.set(source, ast);
+        }
+        return ast;
+    }
+
+    /**
+     * Evaluate an expression
+     * @param {string} source - Expression source, e.g. "map(mouseX, 0, 1, 0.0, 1.5)"
+     * @param {Object} [variables] - Input variables (mouseX, mouseY, scrollDelta, keyIndex, velocity, time, current)
+     * @returns {number} Result
+     */
+    evaluate(source, variables = {}) {
+        return evaluateNode(this.compile(source), variables);
+    }
+
+    /**
+     * Resolve a blueprint "to" value into an absolute number
+     * Numbers pass through; strings are evaluated, with "+=", "-=", "*=" and "/="
+     * applying the rest of the expression to variables.current.
+     * @param {number|string} value - Value from behavior.json
+     * @param {Object} [variables] - Input variables, including current
+     * @returns {number|null} Result, or null if it could not be evaluated or is not finite
+     */
+    resolve(value, variables = {}) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string') return null;
+
+        let result = null;
+        try {
+            result = this.resolveString(value, variables);
+        } catch (error) {
+            console.warn(`⚠️ ExpressionEvaluator: ${error.message}`);
+            return null;
+        }
+
+        if (!Number.isFinite(result)) {
+            console.warn(`⚠️ ExpressionEvaluator: "${value}" gave ${result}`);
+            return null;
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    resolveString(value, variables) {
+        const compound = COMPOUND_PREFIX.exec(value);
+        if (!compound) {
+            return this.evaluate(value, variables);
+        }
+
+        const current = Number(variables.current) || 0;
+        const operand = this.evaluate(value.slice(compound[0].length), variables);
+        switch (compound[1]) {
+            case '+': return current + operand;
+            case '-': return current - operand;
+            case '*': return current * operand;
+            case '/': return operand !== 0 ? current / operand : current;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a blueprint value is relative to the current value
+     * @param {*} value - Value from behavior.json
+     * @returns {boolean}
+     */
+    static isRelative(value) {
+        return typeof value === 'string' && COMPOUND_PREFIX.test(value);
+    }
+}
+
+export { ExpressionEvaluator, valueNoise };
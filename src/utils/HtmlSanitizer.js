@@ -0,0 +1,103 @@
+/**
+ * @file HtmlSanitizer.js
+ * @description Allow-list HTML sanitizer for config-supplied card content
+ * Markup is parsed into an inert <template>, so nothing loads or runs while it is inspected.
+ * Elements outside ALLOWED_ELEMENTS are unwrapped (their text survives), elements in
+ * DROPPED_ELEMENTS are removed with their content, every attribute not listed for its
+ * element is removed, and href/src must use a protocol from SAFE_PROTOCOLS (or be relative).
+ */
+
+// Element -> attributes it may keep
+const ALLOWED_ELEMENTS = {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    p: [], br: [], hr: [], div: [], span: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    ul: [], ol: ['start'], li: [],
+    strong: [], b: [], em: [], i: [], del: [], s: [], sub: [], sup: [], small: [],
+    blockquote: [], pre: [], code: ['class'],
+    table: [], thead: [], tbody: [], tr: [], th: [], td: []
+};
+
+// Removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'noscript', 'textarea', 'select', 'title', 'link', 'meta', 'base'
+]);
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Value to escape (null and undefined become '')
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+/**
+ * Check that a link or image URL cannot run script
+ * @param {string} url - URL as written
+ * @param {boolean} [isImage=false] - Images may only use http(s) or a relative path
+ * @returns {boolean} True if the URL is relative or uses an allowed protocol
+ */
+export function isSafeUrl(url, isImage = false) {
+    // Browsers skip control characters and spaces inside a scheme ('java\tscript:')
+    const compact = String(url).replace(/[\u0000- \u007f]/g, '');
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+    if (!scheme) return true;
+
+    const protocol = `${scheme[1].toLowerCase()}:`;
+    return (isImage ? IMAGE_PROTOCOLS : SAFE_PROTOCOLS).includes(protocol);
+}
+
+/**
+ * Reduce HTML to the allowed elements and attributes
+ * @param {string} html - Untrusted markup
+ * @returns {string} Markup that is safe to assign to innerHTML
+ */
+export function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html ?? '');
+    sanitizeChildren(template.content);
+    return template.innerHTML;
+}
+
+function sanitizeChildren(parent) {
+    for (const node of Array.from(parent.childNodes)) {
+        if (node.nodeType === Node.TEXT_NODE) continue;
+
+        // Comments, and SVG/MathML (which have their own script and link attributes)
+        if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI !== HTML_NAMESPACE || DROPPED_ELEMENTS.has(node.localName)) {
+            node.remove();
+            continue;
+        }
+
+        sanitizeChildren(node);
+
+        const allowedAttributes = ALLOWED_ELEMENTS[node.localName];
+        if (!allowedAttributes) {
+            node.replaceWith(...node.childNodes);
+            continue;
+        }
+
+        for (const { name, value } of Array.from(node.attributes)) {
+            const isUnsafeUrl = URL_ATTRIBUTES.includes(name) && !isSafeUrl(value, node.localName === 'img');
+            if (!allowedAttributes.includes(name) || isUnsafeUrl) {
+                node.removeAttribute(name);
+            }
+        }
+
+        // Off-site links leave the page in a new tab without handing it window.opener
+        if (node.localName === 'a' && /^https?:/i.test(node.getAttribute('href') || '')) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+}
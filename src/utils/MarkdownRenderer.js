@@ -0,0 +1,209 @@
+/**
+ * @file MarkdownRenderer.js
+ * @description Small Markdown renderer for card content
+ * Blocks: ATX headings, paragraphs, bullet and numbered lists (nested by indentation),
+ * blockquotes, fenced code and horizontal rules. Inline: **strong**, *em*, ~~del~~, `code`,
+ * [links](url "title"), ![images](url), <https://autolinks>, backslash escapes, and hard
+ * breaks (two trailing spaces or a trailing backslash). Raw HTML is escaped, not passed
+ * through; use format "html" for markup. Tables, reference links and setext headings are
+ * not supported.
+ */
+
+import { escapeHtml, isSafeUrl, sanitizeHtml } from './HtmlSanitizer.js';
+
+/**
+ * Formats a card's content can be written in
+ * text: plain text, escaped (line breaks kept); markdown: rendered by renderMarkdown();
+ * html: markup reduced to the sanitizer's allow-list
+ */
+export const CONTENT_FORMATS = ['text', 'markdown', 'html'];
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^\s{0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+// Inline spans replaced by placeholders before the text around them is escaped
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+const CODE_SPAN = /(`+)([\s\S]*?[^`])\1(?!`)/g;
+const ESCAPED_CHAR = /\\([\\`*_{}[\]()#+\-.!<>~|])/g;
+const IMAGE = /!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g;
+const LINK = /\[((?:[^\][]|\[[^\]]*\])*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g;
+const AUTOLINK = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi;
+
+/**
+ * Render Markdown to HTML
+ * @param {string} source - Markdown text
+ * @returns {string} HTML; every piece of source text in it is escaped
+ */
+export function renderMarkdown(source) {
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+    return renderBlocks(lines);
+}
+
+/**
+ * Render card content in its declared format
+ * Unknown formats fall back to plain text, so a typo shows the source instead of markup.
+ * @param {string} source - Content as written in layout-content.json
+ * @param {string} [format='markdown'] - One of CONTENT_FORMATS
+ * @returns {string} HTML that is safe to assign to innerHTML
+ */
+export function renderContent(source, format = 'markdown') {
+    switch (format) {
+        case 'markdown':
+            return sanitizeHtml(renderMarkdown(source));
+        case 'html':
+            return sanitizeHtml(source);
+        case 'text':
+            return escapeHtml(source).replace(/\r?\n/g, '<br>');
+        default:
+            console.warn(`⚠️ MarkdownRenderer: Unknown content format '${format}', showing it as text`);
+            return escapeHtml(source);
+    }
+}
+
+function renderBlocks(lines) {
+    const html = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                code.push(lines[index++]);
+            }
+            index++;
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2] || '')}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (index < lines.length && QUOTE.test(lines[index])) {
+                quoted.push(lines[index++].replace(QUOTE, ''));
+            }
+            html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            index = renderList(lines, index, html);
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && !startsBlock(lines[index])) {
+            paragraph.push(lines[index++]);
+        }
+        html.push(`<p>${renderInline(paragraph.join('\n').trim())}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+// Consumes one list (and the lines nested in its items); returns the index after it
+function renderList(lines, start, html) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let index = start;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const item = LIST_ITEM.exec(line);
+
+        if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+            items.push([item[3]]);
+            index++;
+        } else if (line.trim() && (line.length - line.trimStart().length) > indent) {
+            // Deeper lines belong to the current item: continuation text or a nested list
+            items[items.length - 1].push(line.slice(indent + 2));
+            index++;
+        } else if (!line.trim() && index + 1 < lines.length && LIST_ITEM.exec(lines[index + 1])?.[1].length >= indent) {
+            index++;
+        } else {
+            break;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttribute = startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const rendered = items.map(itemLines => {
+        const body = renderBlocks(itemLines);
+        // A single-paragraph item is written without the <p>
+        return `<li>${body.replace(/^<p>([\s\S]*?)<\/p>(?=\n<[uo]l|$)/, '$1')}</li>`;
+    });
+    html.push(`<${tag}${startAttribute}>\n${rendered.join('\n')}\n</${tag}>`);
+    return index;
+}
+
+// spans is shared with the link labels rendered inside this text; only the outermost call restores them
+function renderInline(text, spans = null) {
+    const isOutermost = spans === null;
+    spans = spans || [];
+    const hold = (html) => `\u0000${spans.push(html) - 1}\u0000`;
+
+    let result = text
+        .replace(CODE_SPAN, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim() || code)}</code>`))
+        .replace(ESCAPED_CHAR, (match, char) => hold(escapeHtml(char)))
+        .replace(IMAGE, (match, alt, url, title) => hold(renderImage(alt, url, title)))
+        .replace(LINK, (match, label, url, title) => hold(renderLink(renderInline(label, spans), url, title)))
+        .replace(AUTOLINK, (match, url) => hold(renderLink(escapeHtml(url), url)));
+
+    result = escapeHtml(result)
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+    if (!isOutermost) return result;
+
+    // Spans can hold placeholders of their own (a code span inside link text)
+    while (result.includes('\u0000')) {
+        result = result.replace(PLACEHOLDER, (match, spanIndex) => spans[spanIndex]);
+    }
+    return result;
+}
+
+function renderLink(labelHtml, url, title) {
+    if (!isSafeUrl(url)) return labelHtml;
+    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<a href="${escapeHtml(url)}"${titleAttribute}>${labelHtml}</a>`;
+}
+
+function renderImage(alt, url, title) {
+    if (!isSafeUrl(url, true)) return escapeHtml(alt);
+    const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+    return `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${titleAttribute}>`;
+}
@@ -0,0 +1,148 @@
+/**
+ * @file PermalinkCodec.js
+ * @description URL-fragment encoding of a "look": state, geometry, projection and parameters
+ * Format: #look=<version>.<base64url JSON>. Geometry and projection are stored by name so
+ * links survive reordering in visuals.json; parameters are stored only where they differ
+ * from their visuals.json default, rounded to PRECISION decimals.
+ */
+
+const PERMALINK_KEY = 'look';
+const PERMALINK_VERSION = 1;
+const PRECISION = 4;
+
+// Parameters carried by the dedicated geometry/projection fields instead of the value map
+const STRUCTURAL_PARAMS = ['geometry', 'projection'];
+
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+/**
+ * Resolve a geometry/projection reference (name or id) against a visuals.json list
+ * @returns {number|null} Id, or null if unknown
+ */
+function resolveEntry(list = [], reference, kind) {
+    if (reference === undefined || reference === null) return null;
+
+    const entry = typeof reference === 'number'
+        ? list.find(item => item.id === Math.round(reference))
+        : list.find(item => item.name === reference);
+
+    if (!entry) {
+        console.warn(`⚠️ PermalinkCodec: Unknown ${kind} '${reference}'`);
+        return null;
+    }
+    return entry.id;
+}
+
+/**
+ * Encode a look into a URL fragment (without the leading '#')
+ * @param {Object} look - { state, geometry, projection, parameters }
+ * @param {Object} visuals - visuals.json, used for names and defaults
+ * @returns {string} Fragment such as 'look=1.eyJz...'
+ */
+export function encodeLook(look, visuals) {
+    const defaults = visuals?.parameters || {};
+    const values = {};
+
+    for (const [name, value] of Object.entries(look.parameters || {})) {
+        if (STRUCTURAL_PARAMS.includes(name) || typeof value !== 'number') continue;
+        const rounded = Number(value.toFixed(PRECISION));
+        if (defaults[name] && rounded === defaults[name].default) continue;
+        values[name] = rounded;
+    }
+
+    const payload = {
+        s: look.state,
+        g: visuals?.geometries?.find(item => item.id === look.geometry)?.name ?? look.geometry,
+        p: visuals?.projections?.find(item => item.id === look.projection)?.name ?? look.projection,
+        v: values
+    };
+
+    return `${PERMALINK_KEY}=${PERMALINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Decode a fragment produced by encodeLook()
+ * @param {string} hash - location.hash, a full URL, or the bare fragment
+ * @returns {Object|null} Raw look { state, geometry, projection, parameters }, or null if absent/invalid
+ */
+export function decodeLook(hash) {
+    if (!hash) return null;
+
+    const fragment = String(hash).slice(String(hash).indexOf('#') + 1);
+    const field = fragment.split('&').find(part => part.startsWith(`${PERMALINK_KEY}=`));
+    if (!field) return null;
+
+    const [version, data] = field.slice(PERMALINK_KEY.length + 1).split('.');
+    if (Number(version) !== PERMALINK_VERSION || !data) {
+        console.warn(`⚠️ PermalinkCodec: Unsupported permalink version '${version}'`);
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(fromBase64Url(data));
+        return {
+            state: typeof payload.s === 'string' ? payload.s : null,
+            geometry: payload.g ?? null,
+            projection: payload.p ?? null,
+            parameters: payload.v && typeof payload.v === 'object' ? payload.v : {}
+        };
+    } catch (error) {
+        console.warn('⚠️ PermalinkCodec: Malformed permalink:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Validate a decoded look against the loaded configs
+ * Unknown states, geometries, projections and parameters are dropped; numbers are
+ * clamped to their visuals.json ranges.
+ * @param {Object} look - Look from decodeLook()
+ * @param {Object} visuals - visuals.json
+ * @param {Object} stateMap - state-map.json
+ * @returns {Object} { state|null, geometry|null, projection|null, parameters }
+ */
+export function sanitizeLook(look, visuals, stateMap) {
+    const ranges = visuals?.parameters || {};
+    const clamp = (name, value) => {
+        const range = ranges[name];
+        return range ? Math.max(range.min, Math.min(range.max, value)) : value;
+    };
+
+    let state = null;
+    if (look.state) {
+        if (stateMap?.states?.[look.state]) {
+            state = look.state;
+        } else {
+            console.warn(`⚠️ PermalinkCodec: Unknown state '${look.state}'`);
+        }
+    }
+
+    const parameters = {};
+    for (const [name, value] of Object.entries(look.parameters || {})) {
+        if (!ranges[name] || STRUCTURAL_PARAMS.includes(name) || !Number.isFinite(value)) {
+            console.warn(`⚠️ PermalinkCodec: Ignoring parameter '${name}'`);
+            continue;
+        }
+        parameters[name] = clamp(name, value);
+    }
+
+    const geometry = typeof look.geometry === 'number'
+        ? clamp('geometry', Math.round(look.geometry))
+        : resolveEntry(visuals?.geometries, look.geometry, 'geometry');
+    const projection = typeof look.projection === 'number'
+        ? clamp('projection', Math.round(look.projection))
+        : resolveEntry(visuals?.projections, look.projection, 'projection');
+
+    return { state, geometry, projection, parameters };
+}
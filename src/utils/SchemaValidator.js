@@ -0,0 +1,262 @@
+/**
+ * @file SchemaValidator.js
+ * @description Dependency-free validator for the JSON Schema subset used in config/schemas
+ * Supported keywords: $ref (local and to other registered schemas by $id), type, enum, const,
+ * required, properties, patternProperties, additionalProperties, minProperties, items,
+ * minItems, maxItems, uniqueItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * minLength, pattern, anyOf and allOf. Anything else is ignored.
+ * Errors are { path, message } with path as a JSON pointer (RFC 6901) into the data.
+ */
+
+/**
+ * Append a segment to a JSON pointer
+ * @param {string} pointer - Parent pointer ('' for the document root)
+ * @param {string|number} segment - Property name or array index
+ * @returns {string} Child pointer
+ */
+export function joinPointer(pointer, segment) {
+    return `${pointer}/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(value) {
+    return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Short description of what a schema accepts, for anyOf messages
+ */
+function summarize(schema) {
+    if (schema.description) return schema.description;
+    if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+    if (schema.const !== undefined) return describe(schema.const);
+    if (schema.pattern) return `a string matching ${schema.pattern}`;
+    if (schema.type) return `a ${[].concat(schema.type).join(' or ')}`;
+    return 'an allowed form';
+}
+
+class SchemaValidator {
+    /**
+     * @param {Object<string, Object>} [schemas] - Schemas other schemas may $ref, keyed by $id
+     */
+    constructor(schemas = {}) {
+        this.schemas = schemas;
+    }
+
+    /**
+     * Validate data against a schema
+     * @param {Object} schema - Root schema
+     * @param {*} data - Value to validate
+     * @returns {Array<{path: string, message: string}>} Errors, empty when valid
+     */
+    validate(schema, data) {
+        const errors = [];
+        this.check(schema, data, '', schema, errors);
+        return errors;
+    }
+
+    /**
+     * @private
+     */
+    check(schema, value, path, root, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push({ path, message: 'is not allowed' });
+            return;
+        }
+
+        if (schema.$ref) {
+            const { target, targetRoot } = this.resolveRef(schema.$ref, root);
+            this.check(target, value, path, targetRoot, errors);
+            return;
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+            errors.push({ path, message: `${describe(value)} is not one of: ${schema.enum.join(', ')}` });
+        }
+        if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+            errors.push({ path, message: `must be ${describe(schema.const)}` });
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(branch => this.check(branch, value, path, root, errors));
+        }
+        if (schema.anyOf) {
+            const matched = schema.anyOf.some(branch => this.validateBranch(branch, value, path, root));
+            if (!matched) {
+                const options = schema.anyOf.map(branch => summarize(this.deref(branch, root)));
+                errors.push({ path, message: `${describe(value)} is not valid: expected ${options.join(', or ')}` });
+            }
+        }
+
+        switch (typeOf(value)) {
+            case 'object':
+                this.checkObject(schema, value, path, root, errors);
+                break;
+            case 'array':
+                this.checkArray(schema, value, path, root, errors);
+                break;
+            case 'string':
+                if (schema.minLength !== undefined && value.length < schema.minLength) {
+                    errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+                }
+                if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                    errors.push({ path, message: `${describe(value)} does not match ${schema.pattern}` });
+                }
+                break;
+            case 'integer':
+            case 'number':
+                this.checkNumber(schema, value, path, errors);
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    checkObject(schema, value, path, root, errors) {
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                errors.push({ path: joinPointer(path, name), message: 'is required' });
+            }
+        }
+
+        const keys = Object.keys(value);
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push({ path, message: `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}` });
+        }
+
+        const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, sub]) => [new RegExp(pattern), sub]);
+
+        for (const key of keys) {
+            const childPath = joinPointer(path, key);
+            let covered = false;
+
+            if (schema.properties && key in schema.properties) {
+                this.check(schema.properties[key], value[key], childPath, root, errors);
+                covered = true;
+            }
+            for (const [regex, sub] of patterns) {
+                if (regex.test(key)) {
+                    this.check(sub, value[key], childPath, root, errors);
+                    covered = true;
+                }
+            }
+
+            if (!covered && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: `unknown property '${key}'` });
+                } else {
+                    this.check(schema.additionalProperties, value[key], childPath, root, errors);
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    checkArray(schema, value, path, root, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}` });
+        }
+        if (schema.uniqueItems) {
+            const seen = new Map();
+            value.forEach((item, index) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) {
+                    errors.push({ path: joinPointer(path, index), message: `duplicates item ${seen.get(key)}` });
+                } else {
+                    seen.set(key, index);
+                }
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => this.check(schema.items, item, joinPointer(path, index), root, errors));
+        }
+    }
+
+    /**
+     * @private
+     */
+    checkNumber(schema, value, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}, got ${value}` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ path, message: `must be < ${schema.exclusiveMaximum}, got ${value}` });
+        }
+    }
+
+    /**
+     * @private
+     */
+    validateBranch(branch, value, path, root) {
+        const branchErrors = [];
+        this.check(branch, value, path, root, branchErrors);
+        return branchErrors.length === 0;
+    }
+
+    /**
+     * @private
+     */
+    deref(schema, root) {
+        return schema && schema.$ref ? this.resolveRef(schema.$ref, root).target : schema;
+    }
+
+    /**
+     * @private
+     */
+    resolveRef(ref, root) {
+        const [file, fragment = ''] = ref.split('#');
+        const targetRoot = file ? this.schemas[file] : root;
+        if (!targetRoot) {
+            throw new Error(`SchemaValidator: Unknown schema '${file}'`);
+        }
+
+        const target = fragment
+            .split('/')
+            .filter(Boolean)
+            .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((node, segment) => node?.[segment], targetRoot);
+
+        if (target === undefined) {
+            throw new Error(`SchemaValidator: Unresolvable $ref '${ref}'`);
+        }
+        return { target, targetRoot };
+    }
+}
+
+export { SchemaValidator };
@@ -1,4 +1,6 @@
 
+import { SystemClock } from '../core/SystemClock.js';
+
 // ENHANCED HOLOGRAPHIC VISUALIZER
 class HolographicVisualizer {
     constructor(canvasId, role = 'content', reactivity = 1.0) {
@@ -84,7 +86,7 @@ class HolographicVisualizer {
             }
         ];
         
-        this.startTime = Date.now();
+        this.clock = SystemClock.shared();
         this.initShaders();
         this.initBuffers();
         this.resize();
@@ -416,7 +418,7 @@ class HolographicVisualizer {
             this.chaosIntensity = Math.max(this.chaosIntensity, params.u_glitchIntensity);
         }
         if (params.geometry !== undefined) {
-            this.changeState(Math.floor(params.geometry) % this.states.length);
+            this.snapToState(Math.floor(params.geometry) % this.states.length);
         }
     }
     
@@ -454,7 +456,8 @@ class HolographicVisualizer {
             this.currentState = this.targetState;
         }
         
-        const time = Date.now() - this.startTime;
+        // Shader speeds are tuned for milliseconds
+        const time = this.clock.time * 1000;
         
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
         this.gl.uniform1f(this.uniforms.time, time);
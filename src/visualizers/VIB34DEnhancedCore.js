@@ -4,16 +4,267 @@
  * Enhanced version with all advanced features from reference implementations
  */
 
+import { RotationPlanes, ROTATION_PLANES_GLSL } from '../geometry/RotationPlanes.js';
+import { SystemClock } from '../core/SystemClock.js';
+
+// High-fidelity vertex shader
+export const ENHANCED_VERTEX_SHADER = `
+    attribute vec4 a_position;
+    void main() {
+        gl_Position = a_position;
+    }
+`;
+
+// Advanced fragment shader with all geometry types
+export const ENHANCED_FRAGMENT_SHADER = `
+    precision highp float;
+    
+    uniform vec2 u_resolution;
+    uniform float u_time;
+    uniform vec2 u_mouse;
+    uniform float u_gridDensity;
+    uniform float u_morphFactor;
+    uniform float u_dimension;
+    uniform float u_glitchIntensity;
+    uniform float u_rotationSpeed;
+    uniform float u_geometry;
+    uniform float u_projection;
+    uniform float u_interactionIntensity;
+    uniform float u_colorShift;
+    uniform float u_patternIntensity;
+    uniform vec3 u_baseColor;
+    ${ROTATION_PLANES_GLSL}
+    // 4D rotation matrices
+    mat4 rotateXW(float angle) {
+        float c = cos(angle);
+        float s = sin(angle);
+        return mat4(
+            c, 0, 0, -s,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            s, 0, 0, c
+        );
+    }
+    
+    mat4 rotateYW(float angle) {
+        float c = cos(angle);
+        float s = sin(angle);
+        return mat4(
+            1, 0, 0, 0,
+            0, c, 0, -s,
+            0, 0, 1, 0,
+            0, s, 0, c
+        );
+    }
+    
+    mat4 rotateZW(float angle) {
+        float c = cos(angle);
+        float s = sin(angle);
+        return mat4(
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, c, -s,
+            0, 0, s, c
+        );
+    }
+    
+    // 4D to 3D projection (u_projection: 0 perspective, 1 orthographic, 2 stereographic)
+    vec3 project4Dto3D(vec4 p) {
+        float w = 2.0 / (2.0 + p.w);
+        vec3 perspective = vec3(p.x * w, p.y * w, p.z * w);
+        
+        if (u_projection > 1.5) {
+            // Project from a pole at w = -1.5
+            float denominator = p.w + 1.5;
+            return abs(denominator) < 0.001 ? normalize(p.xyz + 0.001) * 1000.0 : p.xyz * (1.5 / denominator);
+        }
+        if (u_projection > 0.5) {
+            return mix(p.xyz, perspective, smoothstep(0.0, 1.0, u_morphFactor));
+        }
+        return perspective;
+    }
+    
+    // HSV to RGB conversion
+    vec3 hsv2rgb(vec3 c) {
+        vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+        vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+        return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+    }
+    
+    // Geometry generators with enhanced detail
+    float hypercubeLattice(vec3 p, float gridSize) {
+        vec3 grid = fract(p * gridSize);
+        vec3 edges = 1.0 - smoothstep(0.0, 0.03, abs(grid - 0.5));
+        return max(max(edges.x, edges.y), edges.z);
+    }
+    
+    float tetrahedronLattice(vec3 p, float gridSize) {
+        vec3 q = fract(p * gridSize) - 0.5;
+        float d1 = length(q);
+        float d2 = length(q - vec3(0.5, 0.0, 0.0));
+        float d3 = length(q - vec3(0.0, 0.5, 0.0));
+        float d4 = length(q - vec3(0.0, 0.0, 0.5));
+        return 1.0 - smoothstep(0.0, 0.1, min(min(d1, d2), min(d3, d4)));
+    }
+    
+    float sphereLattice(vec3 p, float gridSize) {
+        vec3 q = fract(p * gridSize) - 0.5;
+        float r = length(q);
+        return 1.0 - smoothstep(0.2, 0.5, r);
+    }
+    
+    float torusLattice(vec3 p, float gridSize) {
+        vec3 q = fract(p * gridSize) - 0.5;
+        float r1 = sqrt(q.x*q.x + q.y*q.y);
+        float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
+        return 1.0 - smoothstep(0.0, 0.1, r2);
+    }
+    
+    float kleinBottleLattice(vec3 p, float gridSize) {
+        vec3 q = p * gridSize;
+        float u = q.x * 0.5;
+        float v = q.y * 0.5;
+        float x = (2.0 + cos(u/2.0)*sin(v) - sin(u/2.0)*sin(2.0*v)) * cos(u);
+        float y = (2.0 + cos(u/2.0)*sin(v) - sin(u/2.0)*sin(2.0*v)) * sin(u);
+        float z = sin(u/2.0)*sin(v) + cos(u/2.0)*sin(2.0*v);
+        vec3 klein = vec3(x, y, z) * 0.1;
+        return 1.0 - smoothstep(0.0, 0.2, length(q - klein));
+    }
+    
+    float fractalLattice(vec3 p, float gridSize) {
+        vec3 q = p * gridSize;
+        float scale = 1.0;
+        float fractal = 0.0;
+        for(int i = 0; i < 4; i++) {
+            q = fract(q) - 0.5;
+            fractal += abs(length(q)) / scale;
+            scale *= 2.0;
+            q *= 2.0;
+        }
+        return 1.0 - smoothstep(0.0, 1.0, fractal);
+    }
+    
+    float waveLattice(vec3 p, float gridSize) {
+        vec3 q = p * gridSize;
+        float wave = sin(q.x * 2.0 + u_time) * sin(q.y * 2.0 + u_time * 0.7) * sin(q.z * 2.0 + u_time * 0.3);
+        return 0.5 + 0.5 * wave;
+    }
+    
+    float crystalLattice(vec3 p, float gridSize) {
+        vec3 q = fract(p * gridSize) - 0.5;
+        float crystal = max(abs(q.x), max(abs(q.y), abs(q.z)));
+        return 1.0 - smoothstep(0.3, 0.5, crystal);
+    }
+    
+    float getGeometryValue(vec3 p, float gridSize, float geomType) {
+        if (geomType < 0.5) return hypercubeLattice(p, gridSize);
+        else if (geomType < 1.5) return tetrahedronLattice(p, gridSize);
+        else if (geomType < 2.5) return sphereLattice(p, gridSize);
+        else if (geomType < 3.5) return torusLattice(p, gridSize);
+        else if (geomType < 4.5) return kleinBottleLattice(p, gridSize);
+        else if (geomType < 5.5) return fractalLattice(p, gridSize);
+        else if (geomType < 6.5) return waveLattice(p, gridSize);
+        else return crystalLattice(p, gridSize);
+    }
+    
+    void main() {
+        vec2 uv = gl_FragCoord.xy / u_resolution.xy;
+        float aspectRatio = u_resolution.x / u_resolution.y;
+        uv.x *= aspectRatio;
+        
+        vec2 center = vec2(u_mouse.x * aspectRatio, u_mouse.y);
+        vec3 p = vec3(uv - center, 0.0);
+        
+        // Enhanced interaction-driven rotation
+        float timeRotation = u_time * 0.2 * u_rotationSpeed * (1.0 + u_interactionIntensity);
+        mat2 rotation = mat2(cos(timeRotation), -sin(timeRotation), sin(timeRotation), cos(timeRotation));
+        p.xy = rotation * p.xy;
+        p.z = sin(u_time * 0.1) * 0.5;
+        
+        // Advanced 4D transformations
+        vec4 p4d = vec4(p, 0.0);
+        if (u_dimension > 3.0) {
+            p4d.w = sin(length(p) * 3.0 + u_time * 0.3) * (u_dimension - 3.0) * (1.0 + u_interactionIntensity * 0.5);
+            
+            p4d = rotateXW(timeRotation * 0.31) * p4d;
+            p4d = rotateYW(timeRotation * 0.27) * p4d;
+            p4d = rotateZW(timeRotation * 0.23) * p4d;
+        }
+        
+        // Explicit six-plane orientation on top of the time-driven spin
+        p4d = rotatePlanes(p4d);
+        p = project4Dto3D(p4d);
+        
+        // Dynamic grid density with interaction
+        float dynamicGridDensity = u_gridDensity * (1.0 + u_interactionIntensity * 0.3);
+        
+        // Enhanced glitch effects with RGB separation
+        float glitchAmount = u_glitchIntensity * (0.1 + 0.1 * sin(u_time * 5.0)) * (1.0 + u_interactionIntensity);
+        
+        vec2 rOffset = vec2(glitchAmount, glitchAmount * 0.5);
+        vec2 gOffset = vec2(-glitchAmount * 0.3, glitchAmount * 0.2);
+        vec2 bOffset = vec2(glitchAmount * 0.1, -glitchAmount * 0.4);
+        
+        float r = getGeometryValue(vec3(p.xy + rOffset, p.z), dynamicGridDensity, u_geometry);
+        float g = getGeometryValue(vec3(p.xy + gOffset, p.z), dynamicGridDensity, u_geometry);
+        float b = getGeometryValue(vec3(p.xy + bOffset, p.z), dynamicGridDensity, u_geometry);
+        
+        // Advanced HSV color system
+        float hue = u_colorShift + u_time * 0.1 + length(p) * 0.5 + u_geometry * 45.0;
+        float saturation = 0.8 + u_interactionIntensity * 0.2;
+        float brightness = 0.9 + u_interactionIntensity * 0.1;
+        
+        vec3 baseHSV = vec3(hue / 360.0, saturation, brightness);
+        vec3 baseRGB = hsv2rgb(baseHSV);
+        
+        // Mix base color with HSV computed color
+        vec3 finalColor = mix(u_baseColor, baseRGB, 0.7);
+        
+        // Apply RGB channel effects
+        finalColor *= vec3(r, g, b);
+        
+        // Enhanced morphing effects
+        float morphInfluence = u_morphFactor * (1.0 + sin(u_time * 0.5) * 0.1);
+        finalColor = mix(finalColor, finalColor.zxy, morphInfluence * 0.3);
+        
+        // Final brightness and contrast enhancement
+        finalColor = pow(finalColor, vec3(0.9));
+        finalColor *= 1.2 * u_patternIntensity;
+        
+        gl_FragColor = vec4(finalColor, 1.0);
+    }
+`;
+
 export class VIB34DEnhancedCore {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas the visualizer is displayed on
+     * @param {Object} [options]
+     * @param {SharedContextRenderer} [options.sharedRenderer] - Draw through a shared
+     *   WebGL context and blit into this canvas instead of owning a context
+     * @param {SystemClock} [options.clock] - Time source; defaults to the shared clock
+     */
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        this.sharedRenderer = options.sharedRenderer || null;
+        this.clock = options.clock || SystemClock.shared();
         
-        if (!this.gl) {
-            throw new Error('WebGL not supported');
+        if (this.sharedRenderer) {
+            // Shared mode: the renderer owns the only WebGL context, we only need 2D to receive blits
+            this.gl = null;
+            this.context2d = canvas.getContext('2d');
+            
+            if (!this.context2d) {
+                throw new Error('2D canvas context not supported');
+            }
+        } else {
+            this.gl = canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+            
+            if (!this.gl) {
+                throw new Error('WebGL not supported');
+            }
         }
         
-        this.time = 0;
+        this.time = this.clock.time;
         this.animationId = null;
         this.isActive = false;
         
@@ -25,8 +276,10 @@ export class VIB34DEnhancedCore {
             glitchIntensity: 0.3,
             rotationSpeed: 0.5,
             geometry: 0,
+            projection: 0,
             interactionIntensity: 0.0,
             colorShift: 0.0,
+            patternIntensity: 1.0,
             baseColor: [1.0, 0.0, 1.0]
         };
         
@@ -138,15 +391,25 @@ export class VIB34DEnhancedCore {
             }
         };
         
+        this.rotation = new RotationPlanes();
+        
+        // Source -> { configKey: amount } added on top of config when uniforms are uploaded
+        this.offsets = new Map();
+        
         this.mouse = { x: 0.5, y: 0.5 };
         this.targetMouse = { x: 0.5, y: 0.5 };
         this.mouseVelocity = { x: 0, y: 0 };
         this.holdDuration = 0;
         this.isMouseDown = false;
         
-        this.setupWebGL();
-        this.createShaderProgram();
-        this.setupBuffers();
+        if (this.sharedRenderer) {
+            this.resize();
+            this.sharedRenderer.attach(this);
+        } else {
+            this.setupWebGL();
+            this.createShaderProgram();
+            this.setupBuffers();
+        }
         this.setupEventListeners();
     }
     
@@ -166,223 +429,9 @@ export class VIB34DEnhancedCore {
     createShaderProgram() {
         const gl = this.gl;
         
-        // High-fidelity vertex shader
-        const vertexShaderSource = `
-            attribute vec4 a_position;
-            void main() {
-                gl_Position = a_position;
-            }
-        `;
-        
-        // Advanced fragment shader with all geometry types
-        const fragmentShaderSource = `
-            precision highp float;
-            
-            uniform vec2 u_resolution;
-            uniform float u_time;
-            uniform vec2 u_mouse;
-            uniform float u_gridDensity;
-            uniform float u_morphFactor;
-            uniform float u_dimension;
-            uniform float u_glitchIntensity;
-            uniform float u_rotationSpeed;
-            uniform float u_geometry;
-            uniform float u_interactionIntensity;
-            uniform float u_colorShift;
-            uniform vec3 u_baseColor;
-            
-            // 4D rotation matrices
-            mat4 rotateXW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    c, 0, 0, -s,
-                    0, 1, 0, 0,
-                    0, 0, 1, 0,
-                    s, 0, 0, c
-                );
-            }
-            
-            mat4 rotateYW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, c, 0, -s,
-                    0, 0, 1, 0,
-                    0, s, 0, c
-                );
-            }
-            
-            mat4 rotateZW(float angle) {
-                float c = cos(angle);
-                float s = sin(angle);
-                return mat4(
-                    1, 0, 0, 0,
-                    0, 1, 0, 0,
-                    0, 0, c, -s,
-                    0, 0, s, c
-                );
-            }
-            
-            // 4D to 3D projection
-            vec3 project4Dto3D(vec4 p) {
-                float w = 2.0 / (2.0 + p.w);
-                return vec3(p.x * w, p.y * w, p.z * w);
-            }
-            
-            // HSV to RGB conversion
-            vec3 hsv2rgb(vec3 c) {
-                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
-                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
-                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
-            }
-            
-            // Geometry generators with enhanced detail
-            float hypercubeLattice(vec3 p, float gridSize) {
-                vec3 grid = fract(p * gridSize);
-                vec3 edges = 1.0 - smoothstep(0.0, 0.03, abs(grid - 0.5));
-                return max(max(edges.x, edges.y), edges.z);
-            }
-            
-            float tetrahedronLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float d1 = length(q);
-                float d2 = length(q - vec3(0.5, 0.0, 0.0));
-                float d3 = length(q - vec3(0.0, 0.5, 0.0));
-                float d4 = length(q - vec3(0.0, 0.0, 0.5));
-                return 1.0 - smoothstep(0.0, 0.1, min(min(d1, d2), min(d3, d4)));
-            }
-            
-            float sphereLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r = length(q);
-                return 1.0 - smoothstep(0.2, 0.5, r);
-            }
-            
-            float torusLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float r1 = sqrt(q.x*q.x + q.y*q.y);
-                float r2 = sqrt((r1 - 0.3)*(r1 - 0.3) + q.z*q.z);
-                return 1.0 - smoothstep(0.0, 0.1, r2);
-            }
-            
-            float kleinBottleLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float u = q.x * 0.5;
-                float v = q.y * 0.5;
-                float x = (2.0 + cos(u/2.0)*sin(v) - sin(u/2.0)*sin(2.0*v)) * cos(u);
-                float y = (2.0 + cos(u/2.0)*sin(v) - sin(u/2.0)*sin(2.0*v)) * sin(u);
-                float z = sin(u/2.0)*sin(v) + cos(u/2.0)*sin(2.0*v);
-                vec3 klein = vec3(x, y, z) * 0.1;
-                return 1.0 - smoothstep(0.0, 0.2, length(q - klein));
-            }
-            
-            float fractalLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float scale = 1.0;
-                float fractal = 0.0;
-                for(int i = 0; i < 4; i++) {
-                    q = fract(q) - 0.5;
-                    fractal += abs(length(q)) / scale;
-                    scale *= 2.0;
-                    q *= 2.0;
-                }
-                return 1.0 - smoothstep(0.0, 1.0, fractal);
-            }
-            
-            float waveLattice(vec3 p, float gridSize) {
-                vec3 q = p * gridSize;
-                float wave = sin(q.x * 2.0 + u_time) * sin(q.y * 2.0 + u_time * 0.7) * sin(q.z * 2.0 + u_time * 0.3);
-                return 0.5 + 0.5 * wave;
-            }
-            
-            float crystalLattice(vec3 p, float gridSize) {
-                vec3 q = fract(p * gridSize) - 0.5;
-                float crystal = max(abs(q.x), max(abs(q.y), abs(q.z)));
-                return 1.0 - smoothstep(0.3, 0.5, crystal);
-            }
-            
-            float getGeometryValue(vec3 p, float gridSize, float geomType) {
-                if (geomType < 0.5) return hypercubeLattice(p, gridSize);
-                else if (geomType < 1.5) return tetrahedronLattice(p, gridSize);
-                else if (geomType < 2.5) return sphereLattice(p, gridSize);
-                else if (geomType < 3.5) return torusLattice(p, gridSize);
-                else if (geomType < 4.5) return kleinBottleLattice(p, gridSize);
-                else if (geomType < 5.5) return fractalLattice(p, gridSize);
-                else if (geomType < 6.5) return waveLattice(p, gridSize);
-                else return crystalLattice(p, gridSize);
-            }
-            
-            void main() {
-                vec2 uv = gl_FragCoord.xy / u_resolution.xy;
-                float aspectRatio = u_resolution.x / u_resolution.y;
-                uv.x *= aspectRatio;
-                
-                vec2 center = vec2(u_mouse.x * aspectRatio, u_mouse.y);
-                vec3 p = vec3(uv - center, 0.0);
-                
-                // Enhanced interaction-driven rotation
-                float timeRotation = u_time * 0.2 * u_rotationSpeed * (1.0 + u_interactionIntensity);
-                mat2 rotation = mat2(cos(timeRotation), -sin(timeRotation), sin(timeRotation), cos(timeRotation));
-                p.xy = rotation * p.xy;
-                p.z = sin(u_time * 0.1) * 0.5;
-                
-                // Advanced 4D transformations
-                if (u_dimension > 3.0) {
-                    float w = sin(length(p) * 3.0 + u_time * 0.3) * (u_dimension - 3.0) * (1.0 + u_interactionIntensity * 0.5);
-                    vec4 p4d = vec4(p, w);
-                    
-                    p4d = rotateXW(timeRotation * 0.31) * p4d;
-                    p4d = rotateYW(timeRotation * 0.27) * p4d;
-                    p4d = rotateZW(timeRotation * 0.23) * p4d;
-                    
-                    p = project4Dto3D(p4d);
-                }
-                
-                // Dynamic grid density with interaction
-                float dynamicGridDensity = u_gridDensity * (1.0 + u_interactionIntensity * 0.3);
-                
-                // Enhanced glitch effects with RGB separation
-                float glitchAmount = u_glitchIntensity * (0.1 + 0.1 * sin(u_time * 5.0)) * (1.0 + u_interactionIntensity);
-                
-                vec2 rOffset = vec2(glitchAmount, glitchAmount * 0.5);
-                vec2 gOffset = vec2(-glitchAmount * 0.3, glitchAmount * 0.2);
-                vec2 bOffset = vec2(glitchAmount * 0.1, -glitchAmount * 0.4);
-                
-                float r = getGeometryValue(vec3(p.xy + rOffset, p.z), dynamicGridDensity, u_geometry);
-                float g = getGeometryValue(vec3(p.xy + gOffset, p.z), dynamicGridDensity, u_geometry);
-                float b = getGeometryValue(vec3(p.xy + bOffset, p.z), dynamicGridDensity, u_geometry);
-                
-                // Advanced HSV color system
-                float hue = u_colorShift + u_time * 0.1 + length(p) * 0.5 + u_geometry * 45.0;
-                float saturation = 0.8 + u_interactionIntensity * 0.2;
-                float brightness = 0.9 + u_interactionIntensity * 0.1;
-                
-                vec3 baseHSV = vec3(hue / 360.0, saturation, brightness);
-                vec3 baseRGB = hsv2rgb(baseHSV);
-                
-                // Mix base color with HSV computed color
-                vec3 finalColor = mix(u_baseColor, baseRGB, 0.7);
-                
-                // Apply RGB channel effects
-                finalColor *= vec3(r, g, b);
-                
-                // Enhanced morphing effects
-                float morphInfluence = u_morphFactor * (1.0 + sin(u_time * 0.5) * 0.1);
-                finalColor = mix(finalColor, finalColor.zxy, morphInfluence * 0.3);
-                
-                // Final brightness and contrast enhancement
-                finalColor = pow(finalColor, vec3(0.9));
-                finalColor *= 1.2;
-                
-                gl_FragColor = vec4(finalColor, 1.0);
-            }
-        `;
-        
         // Compile shaders
-        const vertexShader = this.createShader(gl.VERTEX_SHADER, vertexShaderSource);
-        const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, fragmentShaderSource);
+        const vertexShader = this.createShader(gl.VERTEX_SHADER, ENHANCED_VERTEX_SHADER);
+        const fragmentShader = this.createShader(gl.FRAGMENT_SHADER, ENHANCED_FRAGMENT_SHADER);
         
         // Create program
         this.program = gl.createProgram();
@@ -394,20 +443,32 @@ export class VIB34DEnhancedCore {
             throw new Error('Shader program failed to link: ' + gl.getProgramInfoLog(this.program));
         }
         
-        // Get uniform locations
-        this.uniforms = {
-            resolution: gl.getUniformLocation(this.program, 'u_resolution'),
-            time: gl.getUniformLocation(this.program, 'u_time'),
-            mouse: gl.getUniformLocation(this.program, 'u_mouse'),
-            gridDensity: gl.getUniformLocation(this.program, 'u_gridDensity'),
-            morphFactor: gl.getUniformLocation(this.program, 'u_morphFactor'),
-            dimension: gl.getUniformLocation(this.program, 'u_dimension'),
-            glitchIntensity: gl.getUniformLocation(this.program, 'u_glitchIntensity'),
-            rotationSpeed: gl.getUniformLocation(this.program, 'u_rotationSpeed'),
-            geometry: gl.getUniformLocation(this.program, 'u_geometry'),
-            interactionIntensity: gl.getUniformLocation(this.program, 'u_interactionIntensity'),
-            colorShift: gl.getUniformLocation(this.program, 'u_colorShift'),
-            baseColor: gl.getUniformLocation(this.program, 'u_baseColor')
+        this.uniforms = VIB34DEnhancedCore.getUniformLocations(gl, this.program);
+    }
+    
+    /**
+     * Look up the uniform locations used by applyUniforms()
+     * @param {WebGLRenderingContext} gl - Context the program was linked in
+     * @param {WebGLProgram} program - Program built from the enhanced shader sources
+     * @returns {Object} Uniform locations keyed by config name
+     */
+    static getUniformLocations(gl, program) {
+        return {
+            resolution: gl.getUniformLocation(program, 'u_resolution'),
+            time: gl.getUniformLocation(program, 'u_time'),
+            mouse: gl.getUniformLocation(program, 'u_mouse'),
+            gridDensity: gl.getUniformLocation(program, 'u_gridDensity'),
+            morphFactor: gl.getUniformLocation(program, 'u_morphFactor'),
+            dimension: gl.getUniformLocation(program, 'u_dimension'),
+            glitchIntensity: gl.getUniformLocation(program, 'u_glitchIntensity'),
+            rotationSpeed: gl.getUniformLocation(program, 'u_rotationSpeed'),
+            geometry: gl.getUniformLocation(program, 'u_geometry'),
+            projection: gl.getUniformLocation(program, 'u_projection'),
+            interactionIntensity: gl.getUniformLocation(program, 'u_interactionIntensity'),
+            colorShift: gl.getUniformLocation(program, 'u_colorShift'),
+            patternIntensity: gl.getUniformLocation(program, 'u_patternIntensity'),
+            baseColor: gl.getUniformLocation(program, 'u_baseColor'),
+            rotationPlanes: RotationPlanes.getUniformLocations(gl, program)
         };
     }
     
@@ -471,13 +532,15 @@ export class VIB34DEnhancedCore {
     }
     
     resize() {
-        const gl = this.gl;
         const canvas = this.canvas;
         
         canvas.width = canvas.clientWidth;
         canvas.height = canvas.clientHeight;
         
-        gl.viewport(0, 0, canvas.width, canvas.height);
+        // In shared mode the renderer sets its own viewport per view
+        if (this.gl) {
+            this.gl.viewport(0, 0, canvas.width, canvas.height);
+        }
     }
     
     updateMouseQuadrantEffects() {
@@ -520,11 +583,85 @@ export class VIB34DEnhancedCore {
         }
     }
     
+    /**
+     * Add amounts on top of config values for as long as a source holds them
+     * The quadrant effects rewrite gridDensity, morphFactor, dimension, rotationSpeed and
+     * glitchIntensity every frame, so writers that modulate a card (media playback, reading
+     * progress) go through here instead of setParameter().
+     * @param {string} source - Owner of the offsets; a later call replaces its previous set
+     * @param {Object} offsets - Amounts keyed by config name
+     */
+    setOffsets(source, offsets) {
+        this.offsets.set(source, { ...offsets });
+    }
+    
+    /**
+     * Change one amount of a source's offsets, keeping the others
+     * @param {string} source - Owner of the offset
+     * @param {string} key - Config name
+     * @param {number} amount - Amount added to the config value
+     */
+    setOffset(source, key, amount) {
+        this.offsets.set(source, { ...this.offsets.get(source), [key]: amount });
+    }
+    
+    /**
+     * Get one amount a source adds
+     * @param {string} source - Owner of the offset
+     * @param {string} key - Config name
+     * @returns {number|undefined} Amount, or undefined if the source does not offset the key
+     */
+    getOffset(source, key) {
+        return this.offsets.get(source)?.[key];
+    }
+    
+    /**
+     * Drop a source's offsets
+     * @param {string} source - Owner passed to setOffsets()
+     */
+    clearOffsets(source) {
+        this.offsets.delete(source);
+    }
+    
+    /**
+     * Config value with every source's offset added
+     * @param {string} key - Config name
+     * @returns {number} Value uploaded to the shader
+     */
+    getEffectiveValue(key) {
+        let value = this.config[key];
+        for (const offsets of this.offsets.values()) {
+            if (typeof offsets[key] === 'number') {
+                value += offsets[key];
+            }
+        }
+        return value;
+    }
+    
+    /**
+     * Receive HomeMaster parameters
+     * Only the rotation planes and the projection are taken from here; the rest of the look
+     * (including each card's geometry) is driven by setTheme()/setParameter() and the mouse
+     * quadrant system.
+     * @param {Object} params - Parameters keyed by visuals.json name
+     */
+    updateParams(params) {
+        this.rotation.updateParams(params);
+        
+        if (typeof params.projection === 'number') {
+            this.config.projection = Math.round(params.projection);
+        }
+    }
+    
     start() {
         if (this.isActive) return;
         
         this.isActive = true;
-        this.animate();
+        
+        // The shared renderer's loop steps and draws every active view
+        if (!this.sharedRenderer) {
+            this.animate();
+        }
     }
     
     stop() {
@@ -538,22 +675,31 @@ export class VIB34DEnhancedCore {
     animate() {
         if (!this.isActive) return;
         
-        this.time += 0.016; // 60fps
+        this.step();
+        this.render();
+        
+        this.animationId = requestAnimationFrame(() => this.animate());
+    }
+    
+    /**
+     * Catch up with the clock: time, rotation, mouse smoothing and quadrant effects
+     */
+    step() {
+        const delta = this.clock.time - this.time;
+        this.time = this.clock.time;
+        this.rotation.step(delta);
         
         if (this.isMouseDown) {
-            this.holdDuration += 0.016;
+            this.holdDuration += Math.max(0, delta);
         }
         
-        // Smooth mouse interpolation
-        this.mouse.x += (this.targetMouse.x - this.mouse.x) * 0.1;
-        this.mouse.y += (this.targetMouse.y - this.mouse.y) * 0.1;
+        // Smooth mouse interpolation (10% per 60Hz frame, scaled to the actual step)
+        const smoothing = 1 - Math.pow(0.9, Math.max(0, delta) * 60);
+        this.mouse.x += (this.targetMouse.x - this.mouse.x) * smoothing;
+        this.mouse.y += (this.targetMouse.y - this.mouse.y) * smoothing;
         
         // Update quadrant effects
         this.updateMouseQuadrantEffects();
-        
-        this.render();
-        
-        this.animationId = requestAnimationFrame(() => this.animate());
     }
     
     render() {
@@ -567,27 +713,46 @@ export class VIB34DEnhancedCore {
         gl.enableVertexAttribArray(this.positionAttribute);
         gl.vertexAttribPointer(this.positionAttribute, 2, gl.FLOAT, false, 0, 0);
         
-        // Set uniforms
-        gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
-        gl.uniform1f(this.uniforms.time, this.time);
-        gl.uniform2f(this.uniforms.mouse, this.mouse.x, this.mouse.y);
-        gl.uniform1f(this.uniforms.gridDensity, this.config.gridDensity);
-        gl.uniform1f(this.uniforms.morphFactor, this.config.morphFactor);
-        gl.uniform1f(this.uniforms.dimension, this.config.dimension);
-        gl.uniform1f(this.uniforms.glitchIntensity, this.config.glitchIntensity);
-        gl.uniform1f(this.uniforms.rotationSpeed, this.config.rotationSpeed);
-        gl.uniform1f(this.uniforms.geometry, this.config.geometry);
-        gl.uniform1f(this.uniforms.interactionIntensity, this.config.interactionIntensity);
-        gl.uniform1f(this.uniforms.colorShift, this.config.colorShift);
-        gl.uniform3f(this.uniforms.baseColor, ...this.config.baseColor);
+        this.applyUniforms(gl, this.uniforms, this.canvas.width, this.canvas.height);
         
         // Draw
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     }
     
+    /**
+     * Upload this visualizer's state into the bound enhanced program
+     * Offsets from setOffsets() are added here, after step() has run the quadrant effects.
+     * @param {WebGLRenderingContext} gl - Context the program is bound in
+     * @param {Object} uniforms - Locations from getUniformLocations()
+     * @param {number} width - Render target width in pixels
+     * @param {number} height - Render target height in pixels
+     */
+    applyUniforms(gl, uniforms, width, height) {
+        gl.uniform2f(uniforms.resolution, width, height);
+        gl.uniform1f(uniforms.time, this.time);
+        gl.uniform2f(uniforms.mouse, this.mouse.x, this.mouse.y);
+        gl.uniform1f(uniforms.gridDensity, this.getEffectiveValue('gridDensity'));
+        gl.uniform1f(uniforms.morphFactor, this.getEffectiveValue('morphFactor'));
+        gl.uniform1f(uniforms.dimension, this.getEffectiveValue('dimension'));
+        gl.uniform1f(uniforms.glitchIntensity, this.getEffectiveValue('glitchIntensity'));
+        gl.uniform1f(uniforms.rotationSpeed, this.getEffectiveValue('rotationSpeed'));
+        gl.uniform1f(uniforms.geometry, this.config.geometry);
+        gl.uniform1f(uniforms.projection, this.config.projection);
+        gl.uniform1f(uniforms.interactionIntensity, this.config.interactionIntensity);
+        gl.uniform1f(uniforms.colorShift, this.getEffectiveValue('colorShift'));
+        gl.uniform1f(uniforms.patternIntensity, this.getEffectiveValue('patternIntensity'));
+        gl.uniform3f(uniforms.baseColor, ...this.config.baseColor);
+        this.rotation.upload(gl, uniforms.rotationPlanes);
+    }
+    
     destroy() {
         this.stop();
         
+        if (this.sharedRenderer) {
+            this.sharedRenderer.detach(this);
+            return;
+        }
+        
         const gl = this.gl;
         if (this.program) {
             gl.deleteProgram(this.program);
@@ -4,6 +4,9 @@
  * @description Implements the core WebGL visualizer for VIB34D, handling rendering of 4D geometries.
  */
 
+import { RotationPlanes, ROTATION_PLANES_GLSL } from '../geometry/RotationPlanes.js';
+import { SystemClock } from '../core/SystemClock.js';
+
 /**
  * @class VIB34DReactiveCore
  * @description Manages a single WebGL visualizer instance, rendering dynamic 4D geometries.
@@ -34,8 +37,8 @@ class VIB34DReactiveCore {
         /** @type {string} */
         this.instanceType = instanceType;
         
-        /** @type {number} */
-        this.startTime = Date.now();
+        /** @type {SystemClock} */
+        this.clock = SystemClock.shared();
         /** @type {object} */
         this.interactionState = {
             type: 'idle',
@@ -65,6 +68,11 @@ class VIB34DReactiveCore {
         /** @type {boolean} */
         this.paramsDirty = true; // Add dirty flag
         
+        /** @type {RotationPlanes} */
+        this.rotation = new RotationPlanes();
+        /** @type {number} */
+        this.lastFrameTime = this.clock.time;
+        
         /** @type {object} */
         this.instanceModifiers = instanceType === 'board' ? {
             densityMult: 0.6,
@@ -126,7 +134,7 @@ class VIB34DReactiveCore {
           uniform float u_interactionEnergy;  // Overall user interaction intensity
           uniform float u_rhythmStrength;     // User interaction rhythm consistency
           uniform vec2 u_mousePos;             // Current mouse/touch position
-          
+          ${ROTATION_PLANES_GLSL}
           // HSV to RGB conversion for vibrant colors
           vec3 hsv2rgb(vec3 c) {
               vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
@@ -278,6 +286,9 @@ class VIB34DReactiveCore {
               p4d = rotateZW(time * 0.7) * p4d;
               p4d = rotateYW(time * 0.2 + u_morphFactor * 0.5) * p4d;
               
+              // Explicit six-plane orientation from u_rotXY..u_rotZW
+              p4d = rotatePlanes(p4d);
+              
               // Project to 3D
               vec3 p3d = project4Dto3D(p4d);
               
@@ -408,7 +419,8 @@ class VIB34DReactiveCore {
             // Additional USER EVENT REACTIVITY uniforms
             interactionEnergy: this.gl.getUniformLocation(this.program, 'u_interactionEnergy'),
             rhythmStrength: this.gl.getUniformLocation(this.program, 'u_rhythmStrength'),
-            mousePos: this.gl.getUniformLocation(this.program, 'u_mousePos')
+            mousePos: this.gl.getUniformLocation(this.program, 'u_mousePos'),
+            rotationPlanes: RotationPlanes.getUniformLocations(this.gl, this.program)
         };
         
         this.positionAttributeLocation = this.gl.getAttribLocation(this.program, 'a_position');
@@ -504,6 +516,7 @@ class VIB34DReactiveCore {
         if (changed) {
             this.paramsDirty = true;
         }
+        this.rotation.updateParams(newParams);
     }
     
     /**
@@ -546,7 +559,9 @@ class VIB34DReactiveCore {
         this.gl.useProgram(this.program);
         
         // Update uniforms
-        const time = (Date.now() - this.startTime) / 1000;
+        const time = this.clock.time;
+        this.rotation.step(time - this.lastFrameTime);
+        this.lastFrameTime = time;
         
         // Update all uniforms for 4D polytopal visualizer
         this.gl.uniform2f(this.uniforms.resolution, this.canvas.width, this.canvas.height);
@@ -588,6 +603,8 @@ class VIB34DReactiveCore {
             );
         }
         
+        this.rotation.upload(this.gl, this.uniforms.rotationPlanes);
+        
         // Bind and draw
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.positionBuffer);
         this.gl.enableVertexAttribArray(this.positionAttributeLocation);
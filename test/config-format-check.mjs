@@ -0,0 +1,45 @@
+/**
+ * Layout check for the dev server's config save (no server needed)
+ * Saving each file in config/ unchanged must reproduce it byte for byte, and saving an edit
+ * must only touch the edited values.
+ *
+ *   node test/config-format-check.mjs
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { formatConfig } from '../src/utils/ConfigFormatter.js';
+
+const CONFIG_DIR = new URL('../config/', import.meta.url);
+
+const failures = [];
+const check = (condition, message) => {
+    if (!condition) failures.push(message);
+};
+
+const files = (await readdir(CONFIG_DIR, { recursive: true }))
+    .filter(file => file.endsWith('.json') && !file.startsWith('.backups'));
+
+for (const file of files) {
+    const source = await readFile(new URL(file, CONFIG_DIR), 'utf8');
+    check(formatConfig(JSON.parse(source), source) === source, `saving config/${file} unchanged rewrites it`);
+}
+
+// One edited value: every other line stays as it was
+const source = await readFile(new URL('behavior.json', CONFIG_DIR), 'utf8');
+const config = JSON.parse(source);
+config.interactionBlueprints.cardHoverEcosystem.reactions[0].animation.u_patternIntensity.duration = 1234;
+const before = source.split('\n');
+const after = formatConfig(config, source).split('\n');
+const changed = after.filter((line, index) => line !== before[index]);
+check(after.length === before.length, `one edit changed the line count (${before.length} -> ${after.length})`);
+check(changed.length === 1 && changed[0].includes('1234'), `one edit rewrote ${changed.length} lines`);
+
+// New content is laid out with small objects and arrays inline
+const fresh = formatConfig({ a: { to: 1, curve: 'linear' }, b: [1, 2], c: { d: { e: 1 } } });
+check(fresh === '{\n  "a": { "to": 1, "curve": "linear" },\n  "b": [1, 2],\n  "c": {\n    "d": { "e": 1 }\n  }\n}', `unexpected layout for new content:\n${fresh}`);
+
+if (failures.length > 0) {
+    console.error(`❌ Config format check failed:\n  - ${failures.join('\n  - ')}`);
+    process.exit(1);
+}
+console.log(`✅ Config format check passed (${files.length} files)`);
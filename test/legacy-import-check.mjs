@@ -0,0 +1,91 @@
+/**
+ * Round-trip check for version 1.0 export bundles (no browser needed)
+ * Imports test/fixtures/export-1.0.json (exported before the geometry list grew and the
+ * geometry / projection / rotation parameters existed) into a system loaded from config/,
+ * checks the later parameters survive, exports again and re-imports the 1.1 result.
+ *
+ *   node test/legacy-import-check.mjs
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = new URL('../', import.meta.url);
+
+// Just enough of the browser for the config loader, HomeMaster and the export download
+globalThis.fetch = async (path) => {
+    try {
+        const text = await readFile(fileURLToPath(new URL(path, ROOT)), 'utf8');
+        return { ok: true, status: 200, statusText: 'OK', json: async () => JSON.parse(text), text: async () => text };
+    } catch {
+        return { ok: false, status: 404, statusText: 'Not Found' };
+    }
+};
+globalThis.document = {
+    getElementById: () => null,
+    createElement: () => ({ click() {} })
+};
+globalThis.Blob = class Blob {};
+globalThis.URL.createObjectURL = () => 'blob:check';
+globalThis.URL.revokeObjectURL = () => {};
+
+const { JsonConfigSystem } = await import('../src/core/JsonConfigSystem.js');
+const { VIB3HomeMaster } = await import('../src/core/VIB3HomeMaster.js');
+const { AgentAPI } = await import('../src/core/AgentAPI.js');
+
+const failures = [];
+const check = (condition, message) => {
+    if (!condition) failures.push(message);
+};
+
+const jsonConfigSystem = new JsonConfigSystem({ profile: [] });
+const homeMaster = new VIB3HomeMaster(jsonConfigSystem);
+await homeMaster.initialize();
+
+// The parts of SystemController an import drives
+const systemController = {
+    currentState: homeMaster.getCurrentState(),
+    getActiveBlueprints: () => jsonConfigSystem.getConfig('behavior').interactionBlueprints,
+    async handleConfigUpdate(configName, config) {
+        if (configName === 'visuals') homeMaster.reloadParameters(config);
+    },
+    async navigateToState(stateName, options = {}) {
+        this.currentState = stateName;
+        const source = options.source ?? 'navigation';
+        await homeMaster.history.runUntracked(() => homeMaster.setState(stateName, source), options.record === false ? [source] : []);
+        return true;
+    }
+};
+const agentAPI = new AgentAPI(systemController, homeMaster, jsonConfigSystem);
+
+const currentDefinitions = Object.keys(jsonConfigSystem.getConfig('visuals').parameters);
+const legacyBundle = JSON.parse(await readFile(new URL('fixtures/export-1.0.json', import.meta.url), 'utf8'));
+
+check(await agentAPI.importSystemState(legacyBundle), '1.0 bundle was rejected');
+check(homeMaster.history.getEntries().length === 0, 'the import left entries in the history');
+for (const name of currentDefinitions) {
+    check(homeMaster.hasParameter(name), `'${name}' is gone after the 1.0 import`);
+}
+check(homeMaster.getParameter('geometry') === 6, `legacy geometry 4 (wave) should import as 6, got ${homeMaster.getParameter('geometry')}`);
+check(homeMaster.getParameter('u_morphFactor') === 0.8, 'u_morphFactor from the bundle was not applied');
+check(jsonConfigSystem.getConfig('visuals').geometries.length === 8, 'the current geometry list was not kept');
+
+await homeMaster.setParameter('geometry', 2, 'check');
+check(homeMaster.getParameter('geometry') === 2, 'setParameter(geometry) has no effect after the 1.0 import');
+agentAPI.setRotation('XW', { angle: 1.2 });
+check(homeMaster.getParameter('u_rotXW') === 1.2, 'setRotation has no effect after the 1.0 import');
+
+// Export what the legacy import produced and load it back
+const exported = JSON.parse(JSON.stringify(agentAPI.exportSystemState()));
+check(exported.version === '1.1', `export wrote version ${exported.version}`);
+check(await agentAPI.importSystemState(exported), 're-importing the export failed');
+for (const [name, value] of Object.entries(exported.state.parameters)) {
+    if (!Number.isFinite(value)) continue;
+    check(homeMaster.getParameter(name) === value, `'${name}' changed in the round trip (${value} -> ${homeMaster.getParameter(name)})`);
+}
+
+if (failures.length > 0) {
+    console.error(`❌ Legacy import check failed:\n  - ${failures.join('\n  - ')}`);
+    process.exit(1);
+}
+console.log('✅ Legacy import check passed');